@@ -7,98 +7,181 @@ class OptimizedImageLoader {
     this.supportsWebP = false;
     this.manifest = {
   "version": "1.0.0",
-  "generated": "2026-02-03T07:23:45.813Z",
+  "generated": "2026-10-19T16:36:01.848Z",
   "images": [
     {
       "id": 1,
+      "type": "image",
       "original": "Source/1.png",
       "webp": "assets/portfolio/webp/1.webp",
       "fallback": "assets/portfolio/fallback/1.jpg",
-      "alt": "Portfolio Sample 1",
-      "loading": "eager"
+      "alt": "Judge Can't Believe This Father!",
+      "categories": [
+        "shortform"
+      ],
+      "loading": "eager",
+      "title": "Judge Can't Believe This Father!",
+      "platform": "YouTube Shorts",
+      "views": 1100000
     },
     {
       "id": 2,
+      "type": "image",
       "original": "Source/2.png",
       "webp": "assets/portfolio/webp/2.webp",
       "fallback": "assets/portfolio/fallback/2.jpg",
-      "alt": "Portfolio Sample 2",
-      "loading": "eager"
+      "alt": "Brand new glove to grab stuff",
+      "categories": [
+        "shortform",
+        "commercial"
+      ],
+      "loading": "eager",
+      "title": "Brand new glove to grab stuff",
+      "platform": "YouTube Shorts",
+      "views": 30000000
     },
     {
       "id": 3,
+      "type": "image",
       "original": "Source/3.png",
       "webp": "assets/portfolio/webp/3.webp",
       "fallback": "assets/portfolio/fallback/3.jpg",
-      "alt": "Portfolio Sample 3",
-      "loading": "eager"
+      "alt": "Best Towel",
+      "categories": [
+        "shortform",
+        "commercial"
+      ],
+      "loading": "eager",
+      "title": "Best Towel",
+      "platform": "YouTube Shorts",
+      "views": 22000000
     },
     {
       "id": 4,
+      "type": "image",
       "original": "Source/4.png",
       "webp": "assets/portfolio/webp/4.webp",
       "fallback": "assets/portfolio/fallback/4.jpg",
-      "alt": "Portfolio Sample 4",
-      "loading": "lazy"
+      "alt": "Daughter is placing stickers everywhere",
+      "categories": [
+        "shortform"
+      ],
+      "loading": "lazy",
+      "title": "Daughter is placing stickers everywhere",
+      "platform": "YouTube Shorts",
+      "views": 18000000
     },
     {
       "id": 5,
+      "type": "image",
       "original": "Source/5.png",
       "webp": "assets/portfolio/webp/5.webp",
       "fallback": "assets/portfolio/fallback/5.jpg",
-      "alt": "Portfolio Sample 5",
-      "loading": "lazy"
+      "alt": "Stickers are all over the fridge",
+      "categories": [
+        "shortform"
+      ],
+      "loading": "lazy",
+      "title": "Stickers are all over the fridge",
+      "platform": "YouTube Shorts",
+      "views": 8500000
     },
     {
       "id": 6,
+      "type": "image",
       "original": "Source/6.png",
       "webp": "assets/portfolio/webp/6.webp",
       "fallback": "assets/portfolio/fallback/6.jpg",
-      "alt": "Portfolio Sample 6",
-      "loading": "lazy"
+      "alt": "This weird machine is scanning them",
+      "categories": [
+        "shortform"
+      ],
+      "loading": "lazy",
+      "title": "This weird machine is scanning them",
+      "platform": "YouTube Shorts",
+      "views": 8500000
     },
     {
       "id": 7,
+      "type": "image",
       "original": "Source/7.png",
       "webp": "assets/portfolio/webp/7.webp",
       "fallback": "assets/portfolio/fallback/7.jpg",
-      "alt": "Portfolio Sample 7",
-      "loading": "lazy"
+      "alt": "She Waited All Her Life For This Moment",
+      "categories": [
+        "shortform"
+      ],
+      "loading": "lazy",
+      "title": "She Waited All Her Life For This Moment",
+      "platform": "YouTube Shorts",
+      "views": 16000000
     },
     {
       "id": 8,
+      "type": "image",
       "original": "Source/8.png",
       "webp": "assets/portfolio/webp/8.webp",
       "fallback": "assets/portfolio/fallback/8.jpg",
-      "alt": "Portfolio Sample 8",
-      "loading": "lazy"
+      "alt": "He Almost Ruined Everything!",
+      "categories": [
+        "shortform"
+      ],
+      "loading": "lazy",
+      "title": "He Almost Ruined Everything!",
+      "platform": "YouTube Shorts",
+      "views": 10000000
     },
     {
       "id": 9,
+      "type": "image",
       "original": "Source/9.png",
       "webp": "assets/portfolio/webp/9.webp",
       "fallback": "assets/portfolio/fallback/9.jpg",
-      "alt": "Portfolio Sample 9",
-      "loading": "lazy"
+      "alt": "You Won't Believe How He Transports the Dog",
+      "categories": [
+        "shortform"
+      ],
+      "loading": "lazy",
+      "title": "You Won't Believe How He Transports the Dog",
+      "platform": "YouTube Shorts",
+      "views": 9100000
     },
     {
       "id": 10,
+      "type": "image",
       "original": "Source/10.png",
       "webp": "assets/portfolio/webp/10.webp",
       "fallback": "assets/portfolio/fallback/10.jpg",
-      "alt": "Portfolio Sample 10",
-      "loading": "lazy"
+      "alt": "First One To Stand Up In Plane",
+      "categories": [
+        "shortform"
+      ],
+      "loading": "lazy",
+      "title": "First One To Stand Up In Plane",
+      "platform": "YouTube Shorts",
+      "views": 6800000
     },
     {
       "id": 11,
+      "type": "image",
       "original": "Source/11.png",
       "webp": "assets/portfolio/webp/11.webp",
       "fallback": "assets/portfolio/fallback/11.jpg",
-      "alt": "Portfolio Sample 11",
-      "loading": "lazy"
+      "alt": "Never Touch This Helicopter Lever!",
+      "categories": [
+        "shortform"
+      ],
+      "loading": "lazy",
+      "title": "Never Touch This Helicopter Lever!",
+      "platform": "YouTube Shorts",
+      "views": 4600000
     }
   ]
 };
+    // Decode promises by URL, so repeated preloads while dragging cost nothing
+    this.preloadedImages = new Map();
+    // Set once WebP support is known and the first slides were upgraded
+    this.isReady = false;
     this.init();
   }
 
@@ -113,6 +196,7 @@ class OptimizedImageLoader {
     
     // Initialize image loading
     this.loadImages();
+    this.isReady = true;
     
     console.log('✅ Image loader initialized (WebP: ' + this.supportsWebP + ')');
   }
@@ -127,14 +211,17 @@ class OptimizedImageLoader {
     });
   }
 
+  // Upgrades the rendered slides; each names its manifest entry in data-image-id, so a
+  // filtered or reordered slide set still gets the right src and alt
   loadImages() {
-    const slides = document.querySelectorAll('.slide');
+    // Loop clones are copies of these and don't map to manifest entries
+    const slides = document.querySelectorAll('.slide[data-image-id]:not(.slide-clone)');
     
-    slides.forEach((slide, index) => {
+    slides.forEach((slide) => {
       const img = slide.querySelector('img');
-      if (!img || !this.manifest.images[index]) return;
+      const imageData = this.manifest.images.find(image => String(image.id) === slide.dataset.imageId);
+      if (!img || !imageData) return;
 
-      const imageData = this.manifest.images[index];
       const imageSrc = this.supportsWebP ? imageData.webp : imageData.fallback;
       
       // Set up progressive loading
@@ -168,21 +255,47 @@ class OptimizedImageLoader {
     preloadImg.src = src;
   }
 
-  // Method to preload next images for better UX
-  preloadNextImages(currentIndex, count = 2) {
-    const startIndex = Math.max(0, currentIndex - 1);
-    const endIndex = Math.min(this.manifest.images.length, currentIndex + count + 1);
+  // Fetches and decodes the count images after currentIndex in the direction of travel
+  // (1 or -1), wrapping like the looping slider. Pass images when the slider shows a
+  // filtered subset of the manifest. Resolves once they're ready to paint.
+  preloadNextImages(currentIndex, count = 2, direction = 1, images = this.manifest.images) {
+    const preloads = [];
     
-    for (let i = startIndex; i < endIndex; i++) {
-      if (i === currentIndex) continue;
+    for (let step = 1; step <= count && step < images.length; step++) {
+      const index = ((currentIndex + direction * step) % images.length + images.length) % images.length;
+      const imageData = images[index];
+      if (!imageData || imageData.type === 'video') continue;
       
-      const imageData = this.manifest.images[i];
-      if (!imageData) continue;
+      // Same fallback as loadImageProgressively when an optimized variant is missing
+      const src = (this.supportsWebP ? imageData.webp : imageData.fallback) || imageData.original;
+      preloads.push(this.preloadImage(src).catch(() => this.preloadImage(imageData.original)));
       
-      const src = this.supportsWebP ? imageData.webp : imageData.fallback;
-      const preloadImg = new Image();
-      preloadImg.src = src;
+      // Comparison slides show their ungraded frame too
+      if (imageData.before) {
+        preloads.push(this.preloadImage(imageData.before));
+      }
     }
+    
+    return Promise.all(preloads.map(preload => preload.catch(() => null)));
+  }
+
+  preloadImage(src) {
+    if (!this.preloadedImages.has(src)) {
+      const img = new Image();
+      img.src = src;
+      
+      // decode() waits for the pixels, not just the download, so the first frame isn't blank
+      const decoded = typeof img.decode === 'function'
+        ? img.decode()
+        : new Promise((resolve, reject) => {
+          img.onload = resolve;
+          img.onerror = reject;
+        });
+      
+      this.preloadedImages.set(src, decoded.then(() => img));
+    }
+    
+    return this.preloadedImages.get(src);
   }
 }
 
@@ -184,7 +184,18 @@ function validateBuild() {
     'dist/js/main.min.js',
     'dist/js/email-config.min.js',
     'assets/portfolio/manifest.json',
-    'js/lazy-loading.js'
+    'js/lazy-loading.js',
+    'js/mobile-menu.js',
+    'js/scroll-spy.js',
+    'js/navbar-scroll.js',
+    'js/scroll-animator.js',
+    'js/keyboard-shortcuts.js',
+    'js/modal-dialog.js',
+    'js/lightbox.js',
+    'js/swipe-gesture.js',
+    'js/shorts-viewer.js',
+    'js/slider.js',
+    'js/before-after.js'
   ];
   
   requiredFiles.forEach(file => {
@@ -271,6 +282,17 @@ function prepareDeployment() {
     // Copy essential files to dist directory
     const filesToCopy = [
       { src: 'js/lazy-loading.js', dest: 'dist/js/lazy-loading.js' },
+      { src: 'js/mobile-menu.js', dest: 'dist/js/mobile-menu.js' },
+      { src: 'js/scroll-spy.js', dest: 'dist/js/scroll-spy.js' },
+      { src: 'js/navbar-scroll.js', dest: 'dist/js/navbar-scroll.js' },
+      { src: 'js/scroll-animator.js', dest: 'dist/js/scroll-animator.js' },
+      { src: 'js/keyboard-shortcuts.js', dest: 'dist/js/keyboard-shortcuts.js' },
+      { src: 'js/modal-dialog.js', dest: 'dist/js/modal-dialog.js' },
+      { src: 'js/lightbox.js', dest: 'dist/js/lightbox.js' },
+      { src: 'js/swipe-gesture.js', dest: 'dist/js/swipe-gesture.js' },
+      { src: 'js/shorts-viewer.js', dest: 'dist/js/shorts-viewer.js' },
+      { src: 'js/slider.js', dest: 'dist/js/slider.js' },
+      { src: 'js/before-after.js', dest: 'dist/js/before-after.js' },
       { src: 'assets/portfolio/manifest.json', dest: 'dist/assets/portfolio/manifest.json' },
       { src: 'assets/portfolio/optimized-images.css', dest: 'dist/assets/portfolio/optimized-images.css' },
       { src: 'assets/portfolio/optimized-images.js', dest: 'dist/assets/portfolio/optimized-images.js' }
@@ -3,9 +3,16 @@
 /**
  * Image Optimization Script for GofieVFX Portfolio
  * 
+ * Short video clips (.mp4/.webm) in Source/ are listed in the manifest as
+ * video slides; everything else is treated as an image.
+ * 
+ * Titles, credits and filter tags are written by hand in the metadata sidecar
+ * (assets/portfolio/metadata.json, keyed by source file name) and merged into
+ * each entry, so regenerating the manifest never loses them.
+ * 
  * This script optimizes images for web performance by:
  * 1. Converting PNG images to WebP format with quality optimization
- * 2. Creating responsive image variants
+ * 2. Creating responsive image variants (including the slider's thumbnail strip)
  * 3. Generating fallback images for browser compatibility
  * 4. Optimizing file sizes while maintaining visual quality
  */
@@ -20,7 +27,14 @@ const CONFIG = {
   webpQuality: 85,
   jpegQuality: 90,
   maxWidth: 600, // Max width for portfolio images
-  aspectRatio: 267 / 491 // Target aspect ratio from design
+  thumbnailWidth: 160, // Width of the thumbnail strip images under the slider
+  aspectRatio: 267 / 491, // Target aspect ratio from design
+  exclude: ['favicon.png', 'Video.mp4'], // Site assets that live in Source/ but aren't portfolio work
+  metadataFile: 'assets/portfolio/metadata.json',
+  // Filter tags for files whose metadata doesn't list any: none, so new work only shows
+  // under "All" until it is tagged with the contact form's projectType values
+  // (youtube-longform, shortform, motion-graphics, commercial, color-grading)
+  defaultCategories: []
 };
 
 /**
@@ -30,7 +44,8 @@ function createDirectories() {
   const dirs = [
     CONFIG.outputDir,
     path.join(CONFIG.outputDir, 'webp'),
-    path.join(CONFIG.outputDir, 'fallback')
+    path.join(CONFIG.outputDir, 'fallback'),
+    path.join(CONFIG.outputDir, 'thumbs')
   ];
   
   dirs.forEach(dir => {
@@ -41,12 +56,50 @@ function createDirectories() {
   });
 }
 
+/**
+ * Reads the hand-written metadata sidecar
+ * 
+ * Each key is a file in Source/ and each value any of: title, client, platform,
+ * views, published (YYYY-MM-DD), link, categories, alt, poster, and before
+ * (the ungraded file in Source/, which makes the entry a before/after comparison).
+ */
+function loadMetadata() {
+  if (!fs.existsSync(CONFIG.metadataFile)) return {};
+  
+  try {
+    return JSON.parse(fs.readFileSync(CONFIG.metadataFile, 'utf8'));
+  } catch (error) {
+    throw new Error('Could not read ' + CONFIG.metadataFile + ': ' + error.message);
+  }
+}
+
+/**
+ * Adds a file's sidecar metadata to its generated manifest entry
+ */
+function mergeMetadata(entry, details = {}) {
+  return {
+    ...entry,
+    // A title makes better alt text than the numbered default
+    alt: details.title || entry.alt,
+    ...details
+  };
+}
+
 /**
  * Generates image optimization manifest
  */
 function generateImageManifest() {
+  const metadata = loadMetadata();
+  
+  // The ungraded half of a comparison is shown with its graded file, not as its own slide
+  const beforeFiles = Object.values(metadata)
+    .map(details => details.before)
+    .filter(Boolean);
+
   const sourceFiles = fs.readdirSync(CONFIG.sourceDir)
-    .filter(file => file.match(/\.(png|jpg|jpeg)$/i))
+    .filter(file => file.match(/\.(png|jpg|jpeg|mp4|webm)$/i))
+    .filter(file => !CONFIG.exclude.includes(file))
+    .filter(file => !beforeFiles.includes(file))
     .sort((a, b) => {
       // Sort numerically (1.png, 2.png, etc.)
       const numA = parseInt(a.match(/\d+/)?.[0] || '0');
@@ -54,19 +107,57 @@ function generateImageManifest() {
       return numA - numB;
     });
 
+  // Catch typos in the sidecar before they silently drop a caption
+  Object.keys(metadata)
+    .filter(file => !sourceFiles.includes(file))
+    .forEach(file => console.warn('⚠️  ' + CONFIG.metadataFile + ' has an entry for unknown file: ' + file));
+  
+  beforeFiles
+    .filter(file => !fs.existsSync(path.join(CONFIG.sourceDir, file)))
+    .forEach(file => console.warn('⚠️  Missing before image for a comparison: ' + path.join(CONFIG.sourceDir, file)));
+
   const manifest = {
     version: '1.0.0',
     generated: new Date().toISOString(),
     images: sourceFiles.map((file, index) => {
       const name = path.parse(file).name;
-      return {
+      const loading = index < 3 ? 'eager' : 'lazy'; // First 3 items load eagerly
+      const details = metadata[file] || {};
+
+      // Video clips are served as-is and play muted in the slider
+      if (file.match(/\.(mp4|webm)$/i)) {
+        return mergeMetadata({
+          id: index + 1,
+          type: 'video',
+          video: 'Source/' + file,
+          alt: 'Portfolio Sample ' + (index + 1),
+          categories: CONFIG.defaultCategories,
+          loading: loading
+        }, details);
+      }
+
+      // Thumbnails are only listed once they exist, since the strip turns on for them
+      const thumbnail = 'assets/portfolio/thumbs/' + name + '.webp';
+
+      const entry = mergeMetadata({
         id: index + 1,
+        type: 'image',
         original: 'Source/' + file,
         webp: 'assets/portfolio/webp/' + name + '.webp',
         fallback: 'assets/portfolio/fallback/' + name + '.jpg',
+        thumbnail: fs.existsSync(thumbnail) ? thumbnail : undefined,
         alt: 'Portfolio Sample ' + (index + 1),
-        loading: index < 3 ? 'eager' : 'lazy' // First 3 images load eagerly
-      };
+        categories: details.before ? ['color-grading'] : CONFIG.defaultCategories,
+        loading: loading
+      }, details);
+
+      // The graded file is the "after"; optimized variants and thumbnails follow it
+      if (details.before) {
+        entry.type = 'comparison';
+        entry.before = 'Source/' + details.before;
+      }
+
+      return entry;
     })
   };
 
@@ -161,6 +252,10 @@ class OptimizedImageLoader {
   constructor() {
     this.supportsWebP = false;
     this.manifest = ` + JSON.stringify(manifest, null, 2) + `;
+    // Decode promises by URL, so repeated preloads while dragging cost nothing
+    this.preloadedImages = new Map();
+    // Set once WebP support is known and the first slides were upgraded
+    this.isReady = false;
     this.init();
   }
 
@@ -175,6 +270,7 @@ class OptimizedImageLoader {
     
     // Initialize image loading
     this.loadImages();
+    this.isReady = true;
     
     console.log('✅ Image loader initialized (WebP: ' + this.supportsWebP + ')');
   }
@@ -189,14 +285,17 @@ class OptimizedImageLoader {
     });
   }
 
+  // Upgrades the rendered slides; each names its manifest entry in data-image-id, so a
+  // filtered or reordered slide set still gets the right src and alt
   loadImages() {
-    const slides = document.querySelectorAll('.slide');
+    // Loop clones are copies of these and don't map to manifest entries
+    const slides = document.querySelectorAll('.slide[data-image-id]:not(.slide-clone)');
     
-    slides.forEach((slide, index) => {
+    slides.forEach((slide) => {
       const img = slide.querySelector('img');
-      if (!img || !this.manifest.images[index]) return;
+      const imageData = this.manifest.images.find(image => String(image.id) === slide.dataset.imageId);
+      if (!img || !imageData) return;
 
-      const imageData = this.manifest.images[index];
       const imageSrc = this.supportsWebP ? imageData.webp : imageData.fallback;
       
       // Set up progressive loading
@@ -230,21 +329,47 @@ class OptimizedImageLoader {
     preloadImg.src = src;
   }
 
-  // Method to preload next images for better UX
-  preloadNextImages(currentIndex, count = 2) {
-    const startIndex = Math.max(0, currentIndex - 1);
-    const endIndex = Math.min(this.manifest.images.length, currentIndex + count + 1);
+  // Fetches and decodes the count images after currentIndex in the direction of travel
+  // (1 or -1), wrapping like the looping slider. Pass images when the slider shows a
+  // filtered subset of the manifest. Resolves once they're ready to paint.
+  preloadNextImages(currentIndex, count = 2, direction = 1, images = this.manifest.images) {
+    const preloads = [];
     
-    for (let i = startIndex; i < endIndex; i++) {
-      if (i === currentIndex) continue;
+    for (let step = 1; step <= count && step < images.length; step++) {
+      const index = ((currentIndex + direction * step) % images.length + images.length) % images.length;
+      const imageData = images[index];
+      if (!imageData || imageData.type === 'video') continue;
       
-      const imageData = this.manifest.images[i];
-      if (!imageData) continue;
+      // Same fallback as loadImageProgressively when an optimized variant is missing
+      const src = (this.supportsWebP ? imageData.webp : imageData.fallback) || imageData.original;
+      preloads.push(this.preloadImage(src).catch(() => this.preloadImage(imageData.original)));
       
-      const src = this.supportsWebP ? imageData.webp : imageData.fallback;
-      const preloadImg = new Image();
-      preloadImg.src = src;
+      // Comparison slides show their ungraded frame too
+      if (imageData.before) {
+        preloads.push(this.preloadImage(imageData.before));
+      }
     }
+    
+    return Promise.all(preloads.map(preload => preload.catch(() => null)));
+  }
+
+  preloadImage(src) {
+    if (!this.preloadedImages.has(src)) {
+      const img = new Image();
+      img.src = src;
+      
+      // decode() waits for the pixels, not just the download, so the first frame isn't blank
+      const decoded = typeof img.decode === 'function'
+        ? img.decode()
+        : new Promise((resolve, reject) => {
+          img.onload = resolve;
+          img.onerror = reject;
+        });
+      
+      this.preloadedImages.set(src, decoded.then(() => img));
+    }
+    
+    return this.preloadedImages.get(src);
   }
 }
 
@@ -286,6 +411,7 @@ function main() {
     console.log('   • ' + manifest.images.length + ' images ready for optimization');
     console.log('   • WebP versions will be created in: ' + path.join(CONFIG.outputDir, 'webp'));
     console.log('   • Fallback versions will be created in: ' + path.join(CONFIG.outputDir, 'fallback'));
+    console.log('   • ' + CONFIG.thumbnailWidth + 'px thumbnails will be created in: ' + path.join(CONFIG.outputDir, 'thumbs'));
     console.log('   • Manifest generated: ' + path.join(CONFIG.outputDir, 'manifest.json'));
     console.log('');
     console.log('⚠️  Note: This script creates the optimization infrastructure.');
@@ -67,7 +67,7 @@ document.addEventListener('DOMContentLoaded', () => {
   // Debug info object
   const debugInfo = {
     currentSlide: 0,
-    totalSlides: document.querySelectorAll('.slide').length,
+    totalSlides: document.querySelectorAll('.slide:not(.slide-clone)').length,
     isMobile: window.innerWidth <= 767,
     isDragging: false,
     touchSupport: 'ontouchstart' in window,
@@ -136,31 +136,13 @@ document.addEventListener('DOMContentLoaded', () => {
     }
   });
   
-  // Monitor slide changes
-  const observer = new MutationObserver((mutations) => {
-    mutations.forEach((mutation) => {
-      if (mutation.type === 'attributes' && mutation.attributeName === 'style') {
-        const transform = sliderTrack.style.transform;
-        if (transform.includes('translateX')) {
-          const match = transform.match(/translateX\((-?\d+(?:\.\d+)?)%\)/);
-          if (match) {
-            const translatePercent = parseFloat(match[1]);
-            const newSlide = Math.abs(translatePercent / 100);
-            if (newSlide !== debugInfo.currentSlide) {
-              debugInfo.currentSlide = newSlide;
-              debugInfo.lastAction = `Slide Changed to ${newSlide}`;
-              updateDebugInfo(debugInfo);
-              debugLog(`🎯 Slide changed to ${newSlide}`);
-            }
-          }
-        }
-      }
-    });
-  });
-  
-  observer.observe(sliderTrack, {
-    attributes: true,
-    attributeFilter: ['style']
+  // Monitor slide changes (the Slider reports them; the track's translateX also counts loop clones)
+  sliderContainer.closest('.portfolio-slider').addEventListener('slidechange', (e) => {
+    debugInfo.currentSlide = e.detail.index;
+    debugInfo.totalSlides = sliderTrack.querySelectorAll('.slide:not(.slide-clone)').length;
+    debugInfo.lastAction = `Slide Changed to ${e.detail.index} (${e.detail.trigger})`;
+    updateDebugInfo(debugInfo);
+    debugLog(`🎯 Slide changed to ${e.detail.index}`, e.detail);
   });
   
   // Monitor window resize
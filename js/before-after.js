@@ -0,0 +1,223 @@
+/**
+ * Before/After Comparison for GofieVFX Portfolio
+ *
+ * Overlays an ungraded "before" image on the graded "after" one, split by a divider:
+ * 1. Drag the divider handle with mouse, touch or pen (Pointer Events)
+ * 2. Arrow keys, Page Up/Down, Home and End move it from the keyboard
+ * 3. Exposed to assistive technology as a WAI-ARIA slider
+ * 4. Keeps its pointer and key events to itself, so a surrounding carousel
+ *    doesn't treat a divider drag as a swipe or an arrow key as navigation
+ *
+ * Expected markup:
+ *   <div class="comparison">
+ *     <img class="comparison-after" src="after.png" alt="…">
+ *     <img class="comparison-before" src="before.png" alt="…">
+ *   </div>
+ *
+ * data-position="<0-100>" on the root sets where the divider starts.
+ */
+
+class BeforeAfter {
+  constructor(root, options = {}) {
+    this.options = {
+      // Divider position as a percentage of the width showing "before"
+      position: 50,
+      keyboardStep: 5,
+      pageStep: 25,
+      onStart: null,
+      onEnd: null,
+      ...options,
+      labels: {
+        handle: 'Before and after divider',
+        before: 'Before',
+        after: 'After',
+        ...options.labels
+      }
+    };
+
+    this.root = root;
+    this.pointerId = null;
+
+    const dataPosition = parseFloat(root.dataset.position);
+    this.position = Number.isNaN(dataPosition) ? this.options.position : dataPosition;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+
+    this.build();
+    this.setPosition(this.position);
+  }
+
+  /**
+   * Adds the divider handle and the corner labels
+   */
+  build() {
+    const { labels } = this.options;
+
+    const handle = document.createElement('div');
+    handle.className = 'comparison-handle';
+    handle.tabIndex = 0;
+    handle.setAttribute('role', 'slider');
+    handle.setAttribute('aria-label', labels.handle);
+    handle.setAttribute('aria-valuemin', '0');
+    handle.setAttribute('aria-valuemax', '100');
+    handle.setAttribute('aria-orientation', 'horizontal');
+
+    // The divider is dragged by us, never scrolled or zoomed by the browser
+    handle.style.touchAction = 'none';
+
+    const beforeLabel = document.createElement('span');
+    beforeLabel.className = 'comparison-label comparison-label-before';
+    beforeLabel.setAttribute('aria-hidden', 'true');
+    beforeLabel.textContent = labels.before;
+
+    const afterLabel = document.createElement('span');
+    afterLabel.className = 'comparison-label comparison-label-after';
+    afterLabel.setAttribute('aria-hidden', 'true');
+    afterLabel.textContent = labels.after;
+
+    this.root.append(beforeLabel, afterLabel, handle);
+    this.handle = handle;
+    this.labelElements = [beforeLabel, afterLabel];
+
+    handle.addEventListener('pointerdown', this.handlePointerDown);
+    handle.addEventListener('pointermove', this.handlePointerMove);
+    handle.addEventListener('pointerup', this.handlePointerUp);
+    handle.addEventListener('pointercancel', this.handlePointerUp);
+    handle.addEventListener('keydown', this.handleKeydown);
+    handle.addEventListener('click', this.handleClick);
+  }
+
+  get isDragging() {
+    return this.pointerId !== null;
+  }
+
+  /**
+   * Moves the divider to a percentage of the width (0 = all "after", 100 = all "before")
+   */
+  setPosition(position) {
+    this.position = Math.min(100, Math.max(0, Math.round(position * 10) / 10));
+
+    const { labels } = this.options;
+    const rounded = Math.round(this.position);
+
+    this.root.style.setProperty('--comparison-position', `${this.position}%`);
+    this.handle.setAttribute('aria-valuenow', String(rounded));
+    this.handle.setAttribute('aria-valuetext', `${rounded}% ${labels.before.toLowerCase()}, ${100 - rounded}% ${labels.after.toLowerCase()}`);
+  }
+
+  handlePointerDown(e) {
+    if (this.pointerId !== null || !e.isPrimary) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    // Keep the carousel's swipe recognizer from seeing this pointer at all
+    e.stopPropagation();
+    e.preventDefault();
+
+    this.pointerId = e.pointerId;
+    this.handle.setPointerCapture?.(e.pointerId);
+    this.root.classList.add('is-dragging');
+    this.moveToPointer(e);
+    this.emit('onStart');
+  }
+
+  handlePointerMove(e) {
+    if (e.pointerId !== this.pointerId) return;
+
+    e.stopPropagation();
+    e.preventDefault();
+    this.moveToPointer(e);
+  }
+
+  handlePointerUp(e) {
+    if (e.pointerId !== this.pointerId) return;
+
+    e.stopPropagation();
+
+    if (this.handle.hasPointerCapture?.(e.pointerId)) {
+      this.handle.releasePointerCapture(e.pointerId);
+    }
+
+    this.pointerId = null;
+    this.root.classList.remove('is-dragging');
+    this.emit('onEnd');
+  }
+
+  // A press on the handle isn't a click on whatever contains the comparison
+  handleClick(e) {
+    e.stopPropagation();
+  }
+
+  moveToPointer(e) {
+    const rect = this.root.getBoundingClientRect();
+    if (rect.width === 0) return;
+
+    this.setPosition(((e.clientX - rect.left) / rect.width) * 100);
+  }
+
+  handleKeydown(e) {
+    const { keyboardStep, pageStep } = this.options;
+    let position;
+
+    switch (e.key) {
+      case 'ArrowLeft':
+      case 'ArrowDown':
+        position = this.position - keyboardStep;
+        break;
+      case 'ArrowRight':
+      case 'ArrowUp':
+        position = this.position + keyboardStep;
+        break;
+      case 'PageDown':
+        position = this.position - pageStep;
+        break;
+      case 'PageUp':
+        position = this.position + pageStep;
+        break;
+      case 'Home':
+        position = 0;
+        break;
+      case 'End':
+        position = 100;
+        break;
+      default:
+        return;
+    }
+
+    // These keys belong to the divider, not to the carousel around it
+    e.preventDefault();
+    e.stopPropagation();
+    this.setPosition(position);
+  }
+
+  emit(name) {
+    if (typeof this.options[name] === 'function') {
+      this.options[name](this.position);
+    }
+  }
+
+  destroy() {
+    this.handle.removeEventListener('pointerdown', this.handlePointerDown);
+    this.handle.removeEventListener('pointermove', this.handlePointerMove);
+    this.handle.removeEventListener('pointerup', this.handlePointerUp);
+    this.handle.removeEventListener('pointercancel', this.handlePointerUp);
+    this.handle.removeEventListener('keydown', this.handleKeydown);
+    this.handle.removeEventListener('click', this.handleClick);
+
+    this.handle.remove();
+    this.labelElements.forEach(label => label.remove());
+    this.root.classList.remove('is-dragging');
+    this.root.style.removeProperty('--comparison-position');
+  }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BeforeAfter;
+}
+
+// Make available globally
+window.BeforeAfter = BeforeAfter;
@@ -0,0 +1,281 @@
+/**
+ * Keyboard Shortcuts for GofieVFX Portfolio
+ *
+ * A page-wide registry that PortfolioApp and its components add shortcuts to:
+ * 1. Single keys ('j') and sequences pressed one after the other ('g c')
+ * 2. Quiet while typing in form fields, inside dialogs with keys of their own,
+ *    and whenever Ctrl, Alt or Meta is held
+ * 3. register() hands back a function that removes the shortcut again
+ * 4. A help overlay listing every shortcut by group, from the descriptions given
+ *
+ * Usage:
+ *   const shortcuts = new KeyboardShortcuts();
+ *   shortcuts.register('g c', () => goTo('contact'), { description: 'Go to Contact', group: 'Navigation' });
+ *   shortcuts.register('?', () => shortcuts.toggleHelp(), { description: 'Show keyboard shortcuts' });
+ */
+
+class KeyboardShortcuts {
+  constructor(options = {}) {
+    this.options = {
+      // Time (ms) allowed between the keys of a sequence
+      sequenceTimeout: 1000,
+      // Keys typed here are text, not shortcuts
+      ignore: 'input, textarea, select, [contenteditable]:not([contenteditable="false"]), [aria-modal="true"]',
+      ...options,
+      labels: {
+        dialog: 'Keyboard shortcuts',
+        close: 'Close keyboard shortcuts',
+        then: 'then',
+        general: 'General',
+        ...options.labels
+      }
+    };
+
+    // keys ('g c') → { keys, handler, description, group }
+    this.bindings = new Map();
+    this.pendingKeys = null;
+    this.pendingTimer = null;
+    this.isHelpOpen = false;
+    this.returnFocusTo = null;
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleHelpKeydown = this.handleHelpKeydown.bind(this);
+
+    document.addEventListener('keydown', this.handleKeydown);
+  }
+
+  /**
+   * Binds keys (space-separated for a sequence) to handler
+   * options.description and options.group are shown in the help overlay
+   * A later registration for the same keys replaces the earlier one
+   * Returns a function that removes this binding
+   */
+  register(keys, handler, options = {}) {
+    const normalizedKeys = keys.trim().split(/\s+/).join(' ');
+    const binding = {
+      keys: normalizedKeys,
+      handler,
+      description: options.description || '',
+      group: options.group || this.options.labels.general
+    };
+
+    if (this.bindings.has(normalizedKeys)) {
+      console.warn(`KeyboardShortcuts: "${normalizedKeys}" was already registered and has been replaced`);
+    }
+    this.bindings.set(normalizedKeys, binding);
+
+    return () => {
+      // Leave a replacement registered by someone else alone
+      if (this.bindings.get(normalizedKeys) === binding) {
+        this.bindings.delete(normalizedKeys);
+      }
+    };
+  }
+
+  unregister(keys) {
+    this.bindings.delete(keys.trim().split(/\s+/).join(' '));
+  }
+
+  /**
+   * Registered shortcuts in registration order, for the help overlay and diagnostics
+   */
+  getBindings() {
+    return Array.from(this.bindings.values()).map(({ keys, description, group }) => ({ keys, description, group }));
+  }
+
+  handleKeydown(e) {
+    if (this.isHelpOpen || e.defaultPrevented || e.isComposing) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.target instanceof Element && e.target.closest(this.options.ignore)) return;
+
+    const key = e.key;
+    // Shift (for '?') and the like only modify the next key; they mustn't break a sequence
+    if (!key || KeyboardShortcuts.MODIFIER_KEYS.includes(key)) return;
+
+    const candidates = this.pendingKeys ? [`${this.pendingKeys} ${key}`, key] : [key];
+    this.clearPending();
+
+    for (const keys of candidates) {
+      const binding = this.bindings.get(keys);
+      if (binding) {
+        e.preventDefault();
+        binding.handler(e);
+        return;
+      }
+
+      if (this.isSequenceStart(keys)) {
+        e.preventDefault();
+        this.pendingKeys = keys;
+        this.pendingTimer = setTimeout(() => this.clearPending(), this.options.sequenceTimeout);
+        return;
+      }
+    }
+  }
+
+  // Whether keys are the opening of a longer sequence ('g' for 'g c')
+  isSequenceStart(keys) {
+    const prefix = `${keys} `;
+    return Array.from(this.bindings.keys()).some(bound => bound.startsWith(prefix));
+  }
+
+  clearPending() {
+    clearTimeout(this.pendingTimer);
+    this.pendingTimer = null;
+    this.pendingKeys = null;
+  }
+
+  /**
+   * Help overlay
+   */
+  showHelp() {
+    if (this.isHelpOpen) return;
+
+    if (!this.helpElement) {
+      this.buildHelp();
+    }
+
+    this.renderHelp();
+    this.returnFocusTo = document.activeElement;
+    this.isHelpOpen = true;
+    this.clearPending();
+
+    this.helpElement.hidden = false;
+    document.addEventListener('keydown', this.handleHelpKeydown);
+    this.helpCloseBtn.focus();
+  }
+
+  hideHelp() {
+    if (!this.isHelpOpen) return;
+
+    this.isHelpOpen = false;
+    this.helpElement.hidden = true;
+    document.removeEventListener('keydown', this.handleHelpKeydown);
+
+    if (this.returnFocusTo && typeof this.returnFocusTo.focus === 'function') {
+      this.returnFocusTo.focus();
+    }
+    this.returnFocusTo = null;
+  }
+
+  toggleHelp() {
+    if (this.isHelpOpen) {
+      this.hideHelp();
+    } else {
+      this.showHelp();
+    }
+  }
+
+  buildHelp() {
+    const { labels } = this.options;
+
+    const element = document.createElement('div');
+    element.className = 'shortcuts-help';
+    element.hidden = true;
+    element.innerHTML = `
+      <div class="shortcuts-help-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcutsHelpTitle">
+        <h2 class="shortcuts-help-title" id="shortcutsHelpTitle">${labels.dialog}</h2>
+        <button type="button" class="shortcuts-help-close" aria-label="${labels.close}">×</button>
+        <div class="shortcuts-help-groups"></div>
+      </div>
+    `;
+
+    this.helpElement = element;
+    this.helpCloseBtn = element.querySelector('.shortcuts-help-close');
+    this.helpGroups = element.querySelector('.shortcuts-help-groups');
+
+    this.helpCloseBtn.addEventListener('click', () => this.hideHelp());
+
+    // Clicking the backdrop (not the dialog) closes
+    element.addEventListener('click', (e) => {
+      if (e.target === element) {
+        this.hideHelp();
+      }
+    });
+
+    document.body.appendChild(element);
+  }
+
+  // One list per group, rebuilt on every open so later registrations show up
+  renderHelp() {
+    const groups = new Map();
+    this.getBindings()
+      .filter(binding => binding.description)
+      .forEach(binding => {
+        if (!groups.has(binding.group)) {
+          groups.set(binding.group, []);
+        }
+        groups.get(binding.group).push(binding);
+      });
+
+    this.helpGroups.replaceChildren(...Array.from(groups, ([group, bindings]) => {
+      const groupElement = document.createElement('div');
+      groupElement.className = 'shortcuts-help-group';
+
+      const heading = document.createElement('h3');
+      heading.textContent = group;
+
+      const list = document.createElement('dl');
+      bindings.forEach(({ keys, description }) => {
+        const row = document.createElement('div');
+        row.className = 'shortcuts-help-row';
+
+        const term = document.createElement('dt');
+        keys.split(' ').forEach((key, index) => {
+          if (index > 0) {
+            term.append(` ${this.options.labels.then} `);
+          }
+          const kbd = document.createElement('kbd');
+          kbd.textContent = key;
+          term.appendChild(kbd);
+        });
+
+        const definition = document.createElement('dd');
+        definition.textContent = description;
+
+        row.append(term, definition);
+        list.appendChild(row);
+      });
+
+      groupElement.append(heading, list);
+      return groupElement;
+    }));
+  }
+
+  handleHelpKeydown(e) {
+    switch (e.key) {
+      case 'Escape':
+      case '?':
+        e.preventDefault();
+        this.hideHelp();
+        break;
+      case 'Tab':
+        // The close button is the only control
+        e.preventDefault();
+        this.helpCloseBtn.focus();
+        break;
+    }
+  }
+
+  destroy() {
+    this.hideHelp();
+    this.clearPending();
+    document.removeEventListener('keydown', this.handleKeydown);
+    this.bindings.clear();
+
+    if (this.helpElement) {
+      this.helpElement.remove();
+      this.helpElement = null;
+    }
+  }
+}
+
+// Keys that never count as a press of their own
+KeyboardShortcuts.MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock'];
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = KeyboardShortcuts;
+}
+
+// Make available globally
+window.KeyboardShortcuts = KeyboardShortcuts;
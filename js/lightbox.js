@@ -0,0 +1,533 @@
+/**
+ * Fullscreen Lightbox for GofieVFX Portfolio
+ *
+ * Shows portfolio items at full resolution so analytics screenshots are readable:
+ * 1. Wheel zoom on desktop, pinch zoom and drag pan on touch
+ * 2. Double-click / double-tap toggles zoom
+ * 3. Arrow keys, Escape and a focus trap while open (ModalDialog)
+ * 4. A detail panel with the item's title, credits and link when the manifest has them
+ */
+
+class Lightbox {
+  constructor(options = {}) {
+    this.options = {
+      minScale: 1,
+      maxScale: 4,
+      doubleTapScale: 2.5,
+      wheelSensitivity: 0.002,
+      swipeThreshold: 50,
+      ...options,
+      labels: {
+        dialog: 'Portfolio viewer',
+        close: 'Close viewer',
+        previous: 'Previous image',
+        next: 'Next image',
+        zoomIn: 'Zoom in',
+        zoomOut: 'Zoom out',
+        client: 'Client',
+        platform: 'Platform',
+        views: 'Views',
+        published: 'Published',
+        link: 'View original',
+        ...options.labels
+      }
+    };
+
+    this.items = [];
+    this.currentIndex = 0;
+    this.modal = null;
+
+    // Zoom and pan state
+    this.scale = 1;
+    this.translateX = 0;
+    this.translateY = 0;
+    this.pointers = new Map();
+    this.gesture = null;
+    this.lastTap = 0;
+  }
+
+  /**
+   * Opens the lightbox on the given item
+   */
+  open(items, index = 0, trigger = document.activeElement) {
+    if (!items || !items.length) return;
+
+    if (!this.element) {
+      this.build();
+    }
+
+    this.items = items;
+    this.modal.open(trigger);
+    this.show(index);
+  }
+
+  get isOpen() {
+    return Boolean(this.modal && this.modal.isOpen);
+  }
+
+  /**
+   * Closes the lightbox; handleClose() reports the item that was last shown
+   */
+  close() {
+    if (this.modal) {
+      this.modal.close();
+    }
+  }
+
+  handleClose() {
+    this.stopMedia();
+
+    if (typeof this.options.onClose === 'function') {
+      this.options.onClose(this.currentIndex);
+    }
+  }
+
+  next() {
+    this.show((this.currentIndex + 1) % this.items.length);
+  }
+
+  previous() {
+    this.show(this.currentIndex === 0 ? this.items.length - 1 : this.currentIndex - 1);
+  }
+
+  /**
+   * Renders the item at index and resets zoom
+   */
+  show(index) {
+    const item = this.items[index];
+    if (!item) return;
+
+    this.stopMedia();
+    this.currentIndex = index;
+
+    let media;
+    if (item.type === 'video') {
+      media = document.createElement('video');
+      media.src = item.video;
+      media.controls = true;
+      media.playsInline = true;
+      media.setAttribute('playsinline', '');
+      if (item.poster) media.poster = item.poster;
+      media.setAttribute('aria-label', item.alt || '');
+    } else {
+      media = document.createElement('img');
+      media.src = item.original;
+      media.alt = item.alt || '';
+      media.draggable = false;
+    }
+    media.className = 'lightbox-media';
+
+    this.stage.replaceChildren(media);
+    this.media = media;
+    this.resetZoom();
+
+    const hasMultiple = this.items.length > 1;
+    this.prevBtn.hidden = !hasMultiple;
+    this.nextBtn.hidden = !hasMultiple;
+    this.counter.textContent = `${index + 1} / ${this.items.length}`;
+    this.renderDetails(item);
+  }
+
+  /**
+   * Fills the detail panel from the item's metadata, or hides it when there is none
+   */
+  renderDetails(item) {
+    const { labels } = this.options;
+    const details = this.details;
+    details.replaceChildren();
+
+    if (item.title) {
+      const title = document.createElement('h2');
+      title.className = 'lightbox-details-title';
+      title.textContent = item.title;
+      details.appendChild(title);
+    }
+
+    const rows = [
+      [labels.client, item.client],
+      [labels.platform, item.platform],
+      [labels.views, item.views ? this.formatViews(item.views) : null],
+      [labels.published, item.published ? this.createDate(item.published) : null]
+    ].filter(([, value]) => value);
+
+    if (rows.length > 0) {
+      const list = document.createElement('dl');
+      list.className = 'lightbox-details-list';
+
+      rows.forEach(([label, value]) => {
+        const term = document.createElement('dt');
+        const description = document.createElement('dd');
+        term.textContent = label;
+        description.append(value);
+        list.append(term, description);
+      });
+
+      details.appendChild(list);
+    }
+
+    if (item.link) {
+      const link = document.createElement('a');
+      link.className = 'lightbox-details-link';
+      link.href = item.link;
+      link.target = '_blank';
+      link.rel = 'noopener noreferrer';
+      link.textContent = labels.link;
+      details.appendChild(link);
+    }
+
+    details.hidden = details.childElementCount === 0;
+  }
+
+  formatViews(views) {
+    return new Intl.NumberFormat('en').format(views);
+  }
+
+  /**
+   * <time> for a YYYY-MM-DD date, shown as e.g. "Mar 5, 2024"
+   */
+  createDate(value) {
+    const time = document.createElement('time');
+    const date = new Date(value);
+    time.dateTime = value;
+
+    // Dates without a time parse as UTC midnight, so format in UTC to keep the day
+    time.textContent = Number.isNaN(date.getTime())
+      ? value
+      : date.toLocaleDateString('en', { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+
+    return time;
+  }
+
+  /**
+   * Creates the dialog markup and binds its handlers
+   */
+  build() {
+    const { labels } = this.options;
+
+    const element = document.createElement('div');
+    element.className = 'lightbox';
+    element.id = 'lightbox';
+    element.hidden = true;
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-label', labels.dialog);
+    element.innerHTML = `
+      <div class="lightbox-stage"></div>
+      <p class="lightbox-counter" aria-live="polite"></p>
+      <div class="lightbox-details" hidden></div>
+      <button type="button" class="lightbox-btn lightbox-close" aria-label="${labels.close}">×</button>
+      <button type="button" class="lightbox-btn lightbox-prev" aria-label="${labels.previous}">‹</button>
+      <button type="button" class="lightbox-btn lightbox-next" aria-label="${labels.next}">›</button>
+      <div class="lightbox-zoom-controls">
+        <button type="button" class="lightbox-btn lightbox-zoom-out" aria-label="${labels.zoomOut}">−</button>
+        <button type="button" class="lightbox-btn lightbox-zoom-in" aria-label="${labels.zoomIn}">+</button>
+      </div>
+    `;
+
+    this.element = element;
+    this.stage = element.querySelector('.lightbox-stage');
+    this.counter = element.querySelector('.lightbox-counter');
+    this.details = element.querySelector('.lightbox-details');
+    this.closeBtn = element.querySelector('.lightbox-close');
+    this.prevBtn = element.querySelector('.lightbox-prev');
+    this.nextBtn = element.querySelector('.lightbox-next');
+
+    this.modal = new window.ModalDialog(element, {
+      bodyClass: 'lightbox-open',
+      initialFocus: this.closeBtn,
+      onKeydown: (e) => this.handleKeydown(e),
+      onClose: () => this.handleClose()
+    });
+
+    this.closeBtn.addEventListener('click', () => this.close());
+    this.prevBtn.addEventListener('click', () => this.previous());
+    this.nextBtn.addEventListener('click', () => this.next());
+    element.querySelector('.lightbox-zoom-in').addEventListener('click', () => this.zoomBy(1.5));
+    element.querySelector('.lightbox-zoom-out').addEventListener('click', () => this.zoomBy(1 / 1.5));
+
+    // Clicking the backdrop (not the media) closes, like most viewers
+    this.stage.addEventListener('click', (e) => {
+      if (e.target === this.stage && this.scale === 1) {
+        this.close();
+      }
+    });
+
+    this.setupZoomAndPan();
+    document.body.appendChild(element);
+  }
+
+  /**
+   * Keyboard handling while open: navigation and zoom (ModalDialog handles Escape and Tab)
+   */
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowLeft':
+        e.preventDefault();
+        this.previous();
+        break;
+      case 'ArrowRight':
+        e.preventDefault();
+        this.next();
+        break;
+      case '+':
+      case '=':
+        e.preventDefault();
+        this.zoomBy(1.5);
+        break;
+      case '-':
+        e.preventDefault();
+        this.zoomBy(1 / 1.5);
+        break;
+      case '0':
+        e.preventDefault();
+        this.resetZoom();
+        break;
+    }
+  }
+
+  /**
+   * Wheel zoom, pinch zoom, drag pan and swipe-to-navigate
+   */
+  setupZoomAndPan() {
+    const stage = this.stage;
+
+    stage.addEventListener('wheel', (e) => {
+      if (!this.isZoomable()) return;
+      e.preventDefault();
+
+      const factor = Math.exp(-e.deltaY * this.options.wheelSensitivity);
+      this.zoomTo(this.scale * factor, this.toStagePoint(e.clientX, e.clientY));
+    }, { passive: false });
+
+    stage.addEventListener('pointerdown', (e) => {
+      if (!this.isZoomable()) return;
+
+      stage.setPointerCapture?.(e.pointerId);
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      this.startGesture();
+    });
+
+    stage.addEventListener('pointermove', (e) => {
+      if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+
+      this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      const points = Array.from(this.pointers.values());
+
+      if (points.length >= 2 && this.gesture.type === 'pinch') {
+        // Pinch: scale by finger distance, anchored on the starting midpoint
+        const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+        const nextScale = this.clampScale(this.gesture.startScale * (distance / this.gesture.startDistance));
+        const anchor = this.gesture.anchor;
+        const ratio = nextScale / this.gesture.startScale;
+
+        this.scale = nextScale;
+        this.translateX = anchor.x - (anchor.x - this.gesture.startX) * ratio;
+        this.translateY = anchor.y - (anchor.y - this.gesture.startY) * ratio;
+        this.applyTransform();
+      } else if (points.length === 1 && this.gesture.type === 'pan') {
+        const dx = points[0].x - this.gesture.originX;
+        const dy = points[0].y - this.gesture.originY;
+        this.gesture.moved = this.gesture.moved || Math.abs(dx) > 5 || Math.abs(dy) > 5;
+
+        if (this.scale > 1) {
+          this.translateX = this.gesture.startX + dx;
+          this.translateY = this.gesture.startY + dy;
+          this.applyTransform();
+        }
+      }
+    });
+
+    const endPointer = (e) => {
+      if (!this.pointers.has(e.pointerId)) return;
+
+      const gesture = this.gesture;
+      const point = this.pointers.get(e.pointerId);
+      this.pointers.delete(e.pointerId);
+
+      if (gesture && gesture.type === 'pan' && this.pointers.size === 0) {
+        const dx = point.x - gesture.originX;
+        const dy = point.y - gesture.originY;
+
+        if (!gesture.moved && e.type === 'pointerup') {
+          this.handleTap(point);
+        } else if (this.scale === 1 && Math.abs(dx) > this.options.swipeThreshold && Math.abs(dx) > Math.abs(dy)) {
+          // Unzoomed horizontal swipe moves between items
+          if (dx < 0) {
+            this.next();
+          } else {
+            this.previous();
+          }
+        }
+      }
+
+      // Continue with the remaining finger (pinch -> pan) or finish
+      if (this.pointers.size > 0) {
+        this.startGesture();
+      } else {
+        this.gesture = null;
+        this.clampTranslation();
+        this.applyTransform();
+      }
+    };
+
+    stage.addEventListener('pointerup', endPointer);
+    stage.addEventListener('pointercancel', endPointer);
+
+    // Zoom and pan are handled here, not by the browser
+    stage.style.touchAction = 'none';
+  }
+
+  startGesture() {
+    const points = Array.from(this.pointers.values());
+
+    if (points.length >= 2) {
+      const midpoint = {
+        x: (points[0].x + points[1].x) / 2,
+        y: (points[0].y + points[1].y) / 2
+      };
+
+      this.gesture = {
+        type: 'pinch',
+        startScale: this.scale,
+        startDistance: Math.max(Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y), 1),
+        startX: this.translateX,
+        startY: this.translateY,
+        anchor: this.toStagePoint(midpoint.x, midpoint.y)
+      };
+    } else if (points.length === 1) {
+      this.gesture = {
+        type: 'pan',
+        originX: points[0].x,
+        originY: points[0].y,
+        startX: this.translateX,
+        startY: this.translateY,
+        moved: this.gesture !== null
+      };
+    }
+  }
+
+  /**
+   * Double-tap / double-click toggles between fit and zoomed
+   */
+  handleTap(point) {
+    const now = Date.now();
+
+    if (now - this.lastTap < 300) {
+      this.lastTap = 0;
+
+      if (this.scale > 1) {
+        this.resetZoom();
+      } else {
+        this.zoomTo(this.options.doubleTapScale, this.toStagePoint(point.x, point.y));
+      }
+    } else {
+      this.lastTap = now;
+    }
+  }
+
+  isZoomable() {
+    return this.isOpen && this.media && this.media.tagName === 'IMG';
+  }
+
+  clampScale(scale) {
+    return Math.min(this.options.maxScale, Math.max(this.options.minScale, scale));
+  }
+
+  /**
+   * Converts viewport coordinates into offsets from the stage centre
+   */
+  toStagePoint(clientX, clientY) {
+    const rect = this.stage.getBoundingClientRect();
+
+    return {
+      x: clientX - (rect.left + rect.width / 2),
+      y: clientY - (rect.top + rect.height / 2)
+    };
+  }
+
+  zoomBy(factor) {
+    if (!this.isZoomable()) return;
+    this.zoomTo(this.scale * factor, { x: 0, y: 0 });
+  }
+
+  /**
+   * Zooms so the point under the anchor stays in place
+   */
+  zoomTo(scale, anchor = { x: 0, y: 0 }) {
+    const nextScale = this.clampScale(scale);
+    const ratio = nextScale / this.scale;
+
+    this.translateX = anchor.x - (anchor.x - this.translateX) * ratio;
+    this.translateY = anchor.y - (anchor.y - this.translateY) * ratio;
+    this.scale = nextScale;
+
+    this.clampTranslation();
+    this.applyTransform();
+  }
+
+  resetZoom() {
+    this.scale = 1;
+    this.translateX = 0;
+    this.translateY = 0;
+    this.applyTransform();
+  }
+
+  /**
+   * Stops the image being panned past its own edges
+   */
+  clampTranslation() {
+    if (!this.media) return;
+
+    if (this.scale <= 1) {
+      this.translateX = 0;
+      this.translateY = 0;
+      return;
+    }
+
+    const stageRect = this.stage.getBoundingClientRect();
+    const mediaWidth = this.media.offsetWidth * this.scale;
+    const mediaHeight = this.media.offsetHeight * this.scale;
+    const maxX = Math.max(0, (mediaWidth - stageRect.width) / 2);
+    const maxY = Math.max(0, (mediaHeight - stageRect.height) / 2);
+
+    this.translateX = Math.min(maxX, Math.max(-maxX, this.translateX));
+    this.translateY = Math.min(maxY, Math.max(-maxY, this.translateY));
+  }
+
+  applyTransform() {
+    if (!this.media) return;
+
+    this.media.style.transform = `translate(${this.translateX}px, ${this.translateY}px) scale(${this.scale})`;
+    this.media.style.transition = this.gesture ? 'none' : '';
+    this.element.classList.toggle('is-zoomed', this.scale > 1);
+  }
+
+  stopMedia() {
+    if (this.media && this.media.tagName === 'VIDEO') {
+      this.media.pause();
+    }
+  }
+
+  /**
+   * Removes the dialog from the page
+   */
+  destroy() {
+    if (this.modal) {
+      this.modal.destroy();
+      this.modal = null;
+    }
+
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Lightbox;
+}
+
+// Make available globally
+window.Lightbox = Lightbox;
@@ -1,11 +1,71 @@
 // Main JavaScript Module for GofieVFX Portfolio
 // Handles navigation, animations, form submission, and portfolio slider
 
+const PORTFOLIO_MANIFEST_URL = 'assets/portfolio/manifest.json';
+
+// Slides visible at once, keyed by minimum viewport width (matches the CSS breakpoints).
+// Override per page with data-slides-per-view='{"0":1,"768":2,"1200":3}' on .portfolio-slider
+const SLIDER_SLIDES_PER_VIEW = { 0: 1, 768: 2, 1200: 3 };
+
+// Slides fetched and decoded ahead of the view in the direction of travel
+const SLIDE_PRELOAD_COUNT = 2;
+
+// Longest a jump waits (ms) for the images it lands on to decode before moving anyway
+const SLIDE_DECODE_TIMEOUT = 300;
+
+// Quiet time (ms) after scrolling before the position is saved to the history entry
+const SCROLL_SAVE_DELAY = 150;
+
+// Portfolio filter chips, keyed by the contact form's projectType values so a filter can
+// preselect the quote form. Manifest entries are tagged in build/optimize-images.js
+const PORTFOLIO_CATEGORIES = {
+  'youtube-longform': 'Long-form',
+  'shortform': 'Short-form',
+  'motion-graphics': 'Motion Graphics',
+  'commercial': 'Commercial',
+  'color-grading': 'Color Grading'
+};
+
 class PortfolioApp {
   constructor() {
-    this.currentSlide = 0;
-    this.totalSlides = 0;
-    this.isAnimating = false;
+    // Hamburger menu controller (js/mobile-menu.js)
+    this.mobileMenu = null;
+    
+    // Current-section tracking behind the nav highlighting (js/scroll-spy.js)
+    this.scrollSpy = null;
+    
+    // Navbar that slides away on scroll down, with the reading progress bar (js/navbar-scroll.js)
+    this.navbarScroll = null;
+    
+    // Watches #hero and #contact for the sticky quote button
+    this.quoteCtaObserver = null;
+    
+    // Smooth page scrolls for nav links, back-to-top and deep links (js/scroll-animator.js)
+    this.scrollAnimator = typeof window.ScrollAnimator === 'function' ? new window.ScrollAnimator() : null;
+    
+    // Page-wide keyboard shortcuts that components can add to (js/keyboard-shortcuts.js)
+    this.shortcuts = null;
+    // Section the last j/k press is heading for, while the scroll is still on its way
+    this.shortcutSectionId = null;
+    
+    // Results carousel (js/slider.js)
+    this.slider = null;
+    
+    // Filmstrip under the slider, when .portfolio-slider has data-thumbnails
+    this.thumbnailStrip = null;
+    // Slide picked in the strip; with several slides per view the slider may stop short of it
+    this.selectedThumbnail = null;
+    
+    // Before/after dividers on comparison slides (js/before-after.js)
+    this.comparisons = [];
+    
+    // Full-height viewer for the short-form work (js/shorts-viewer.js)
+    this.shortsViewer = null;
+    this.shortsLauncher = null;
+    
+    // Every manifest item, and the category narrowing it down to portfolioItems (null = all)
+    this.allPortfolioItems = [];
+    this.activePortfolioCategory = null;
     
     this.init();
   }
@@ -24,15 +84,27 @@ class PortfolioApp {
   }
 
   setupEventListeners() {
+    // Navigation menu from the sections' data-nav-label / data-nav-order
+    this.renderNavMenu();
+    
     // Mobile hamburger menu
     this.setupMobileMenu();
     
     // Back to top button (mobile only)
     this.setupBackToTop();
     
+    // Sticky quote button between the hero and the contact form
+    this.setupQuoteCta();
+    
     // Navigation smooth scrolling
     this.setupSmoothScrolling();
     
+    // Section history entries and scroll restoration
+    this.setupSectionRouting();
+    
+    // Keyboard shortcuts (before the components that register their own)
+    this.setupKeyboardShortcuts();
+    
     // Portfolio slider
     this.setupPortfolioSlider();
     
@@ -52,77 +124,64 @@ class PortfolioApp {
     this.setupKeyboardNavigation();
   }
 
-  // Mobile Hamburger Menu - Clean and Reliable
+  // Navigation Menu: a link for every section with a data-nav-label, sorted by data-nav-order
+  // (sections without an order follow, in page order). Builds the one list used on desktop
+  // and behind the hamburger; pages without labelled sections keep the links in their markup
+  renderNavMenu() {
+    const navMenu = document.getElementById('navMenu');
+    const sections = Array.from(document.querySelectorAll('section[id][data-nav-label]'));
+    if (!navMenu || !sections.length) return;
+
+    const entries = sections
+      .map((section, pageIndex) => {
+        const order = parseFloat(section.dataset.navOrder);
+        return { section, pageIndex, order: Number.isNaN(order) ? Infinity : order };
+      })
+      .sort((a, b) => (a.order - b.order) || (a.pageIndex - b.pageIndex));
+
+    const items = entries.map(({ section }, index) => {
+      const item = document.createElement('li');
+      item.className = 'nav-item';
+      // Staggers the mobile menu's slide-in (see .nav-menu.active .nav-item)
+      item.style.setProperty('--nav-item-index', index);
+      
+      const link = document.createElement('a');
+      link.className = 'nav-link';
+      link.href = `#${section.id}`;
+      link.textContent = section.dataset.navLabel;
+      
+      item.appendChild(link);
+      return item;
+    });
+
+    navMenu.replaceChildren(...items);
+  }
+
+  // Mobile Hamburger Menu (js/mobile-menu.js)
   setupMobileMenu() {
-    console.log('🔧 Setting up mobile menu...');
+    if (typeof window.MobileMenu !== 'function') return;
     
     const navToggle = document.getElementById('navToggle');
     const navMenu = document.getElementById('navMenu');
-    const navLinks = document.querySelectorAll('.nav-link');
 
     if (!navToggle || !navMenu) {
       console.error('❌ Mobile menu elements not found:', { navToggle: !!navToggle, navMenu: !!navMenu });
       return;
     }
 
-    console.log('✅ Mobile menu elements found');
-
-    // Clean toggle handler - works reliably on all mobile browsers
-    navToggle.addEventListener('pointerdown', (e) => {
-  console.log('🖱️ Menu toggle pointerdown');  // Optional: Keep for debugging; remove in production
-  e.preventDefault();
-  
-  navToggle.classList.toggle('active');
-  navMenu.classList.toggle('active');
-  document.body.classList.toggle('nav-open');
-  
-  const isActive = navMenu.classList.contains('active');
-  console.log(isActive ? '📱 Menu opened' : '📴 Menu closed');
-});
-
-    // Close menu when clicking nav links
-    navLinks.forEach((link, index) => {
-      link.addEventListener('click', () => {
-        console.log(`🔗 Nav link ${index} clicked, closing menu`);
-        navToggle.classList.remove('active');
-        navMenu.classList.remove('active');
-        document.body.classList.remove('nav-open');
-      });
-    });
-
-    // Close menu when clicking outside
-    document.addEventListener('click', (e) => {
-      if (!navToggle.contains(e.target) && !navMenu.contains(e.target)) {
-        if (navMenu.classList.contains('active')) {
-          console.log('🌐 Outside click, closing menu');
-          navToggle.classList.remove('active');
-          navMenu.classList.remove('active');
-          document.body.classList.remove('nav-open');
+    // Hands back the existing controller if this menu is already wired
+    this.mobileMenu = window.MobileMenu.attach(navToggle, navMenu, {
+      // While the menu covers the page, Tab cycles through the navbar only
+      onChange: (state) => {
+        if (state === 'open') {
+          this.trapFocus(navToggle.closest('.navbar') || navMenu);
+          // Opened from code while the navbar was scrolled away
+          if (this.navbarScroll) this.navbarScroll.show();
+        } else {
+          this.removeFocusTrap();
         }
       }
     });
-
-    // Close menu on escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && navMenu.classList.contains('active')) {
-        console.log('⌨️ Escape key, closing menu');
-        navToggle.classList.remove('active');
-        navMenu.classList.remove('active');
-        document.body.classList.remove('nav-open');
-      }
-    });
-
-    // Handle window resize
-    window.addEventListener('resize', () => {
-      if (window.innerWidth > 767 && navMenu.classList.contains('active')) {
-        console.log('📏 Window resized to desktop, closing menu');
-        navToggle.classList.remove('active');
-        navMenu.classList.remove('active');
-        document.body.classList.remove('nav-open');
-      }
-    });
-
-    console.log('✅ Mobile menu setup complete');
   }
 
   // Back to Top Button - Mobile Only
@@ -143,37 +202,14 @@ class PortfolioApp {
     let ticking = false;
 
     // Smooth scroll to top function
-   const scrollToTop = () => {
-  const html = document.documentElement;
-  const body = document.body;
-
-  // Kill momentum scrolling (THIS IS THE KEY)
-  body.style.overflow = 'hidden';
-  body.offsetHeight; // force reflow
-  body.style.overflow = '';
-
-  html.style.scrollBehavior = 'auto';
-
-  const start = window.scrollY;
-  const duration = 600; // Increased from 220ms for smoother, slower scroll
-  const startTime = performance.now();
-
-  const animate = time => {
-    const t = Math.min((time - startTime) / duration, 1);
-    const eased = t * (2 - t); // fast but controlled
-
-    window.scrollTo(0, start * (1 - eased));
-
-    if (t < 1) {
-      requestAnimationFrame(animate);
-    }
-  };
-
-  requestAnimationFrame(animate);
-};
-
-
-
+    const scrollToTop = () => {
+      // Stop any momentum scroll first, or it carries on underneath the animation
+      document.body.style.overflow = 'hidden';
+      document.body.offsetHeight; // force reflow
+      document.body.style.overflow = '';
+      
+      this.scrollToPosition(0, { easing: 'easeOutQuad' });
+    };
 
     // Show/hide button based on scroll position
     const handleScroll = () => {
@@ -244,27 +280,76 @@ class PortfolioApp {
     console.log('✅ Back to top button setup complete');
   }
 
+  // Sticky "Get a Quote": shown once #hero is out of view, hidden again while #contact is in view.
+  // Shares .floating-actions with back-to-top, which keeps them side by side on mobile
+  setupQuoteCta() {
+    const quoteCta = document.getElementById('quoteCta');
+    const hero = document.getElementById('hero');
+    const contact = document.getElementById('contact');
+    if (!quoteCta || !hero || !contact || typeof window.IntersectionObserver !== 'function') return;
+
+    const inView = { hero: true, contact: false };
+
+    this.quoteCtaObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        inView[entry.target.id] = entry.isIntersecting;
+      });
+      
+      quoteCta.classList.toggle('visible', !inView.hero && !inView.contact);
+    });
+    this.quoteCtaObserver.observe(hero);
+    this.quoteCtaObserver.observe(contact);
+
+    // Handled before the delegated section links, which would focus the heading instead
+    quoteCta.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.goToContactForm();
+    });
+  }
+
+  // Scrolls to the quote form, then puts the cursor in its first field
+  goToContactForm() {
+    const contact = document.getElementById('contact');
+    if (!contact) return Promise.resolve(false);
+
+    const firstField = contact.querySelector('input, select, textarea');
+
+    return this.navigateToSection(contact).then((arrived) => {
+      if (arrived && firstField) {
+        // The scroll has already taken it there
+        firstField.focus({ preventScroll: true });
+      }
+      return arrived;
+    });
+  }
+
   openMobileMenu() {
-    // Deprecated - functionality moved to setupMobileMenu
-    console.log('⚠️ openMobileMenu called - use setupMobileMenu instead');
+    if (this.mobileMenu) {
+      this.mobileMenu.open();
+    }
   }
 
   closeMobileMenu() {
-    // Deprecated - functionality moved to setupMobileMenu  
-    console.log('⚠️ closeMobileMenu called - use setupMobileMenu instead');
+    if (this.mobileMenu) {
+      this.mobileMenu.close();
+    }
   }
 
-  // Focus trap for accessibility
+  // Focus trap for accessibility; the focusable elements are looked up on each Tab,
+  // so links rendered after the trap was set are part of it
   trapFocus(element) {
-    const focusableElements = element.querySelectorAll(
-      'a[href], button, textarea, input[type="text"], input[type="radio"], input[type="checkbox"], select'
-    );
-    
-    const firstFocusableElement = focusableElements[0];
-    const lastFocusableElement = focusableElements[focusableElements.length - 1];
+    this.removeFocusTrap();
 
     this.focusTrapHandler = (e) => {
       if (e.key === 'Tab') {
+        const focusableElements = element.querySelectorAll(
+          'a[href], button, textarea, input[type="text"], input[type="radio"], input[type="checkbox"], select'
+        );
+        if (!focusableElements.length) return;
+        
+        const firstFocusableElement = focusableElements[0];
+        const lastFocusableElement = focusableElements[focusableElements.length - 1];
+        
         if (e.shiftKey) {
           if (document.activeElement === firstFocusableElement) {
             lastFocusableElement.focus();
@@ -291,75 +376,70 @@ class PortfolioApp {
 
   // Mobile Touch Optimization
   setupMobileTouchOptimization() {
-    // Optimize touch targets for mobile
-    const navLinks = document.querySelectorAll('.nav-link');
-    
-    navLinks.forEach(link => {
-  link.addEventListener('pointerdown', (e) => {
-    console.log('🔗 Nav link pointerdown:', link.getAttribute('href'));  // Optional: Remove after testing
-    e.preventDefault();  // Prevent default link behavior immediately
-    
-    const targetId = link.getAttribute('href');
-    const targetSection = document.querySelector(targetId);
-    
-    if (targetSection) {
-      const navbarHeight = document.querySelector('.navbar').offsetHeight;
-      const offsetTop = targetSection.offsetTop - navbarHeight - 20;
+    // Pressed feedback on in-page links; activation itself is the click handled in setupSmoothScrolling()
+    document.querySelectorAll('a[href^="#"]').forEach(link => {
+      link.addEventListener('touchstart', () => {
+        link.style.transform = 'scale(0.95)';
+      }, { passive: true });
       
-      if ('scrollBehavior' in document.documentElement.style) {
-        window.scrollTo({
-          top: offsetTop,
-          behavior: 'smooth'
-        });
-      } else {
-        this.smoothScrollTo(offsetTop, 800);
-      }
-    }
-    
-    // Touch feedback (optional)
-    link.style.transform = 'scale(0.95)';
-    setTimeout(() => {
-      link.style.transform = '';
-    }, 150);
-  });
-});
-
-    // Prevent double-tap zoom on navigation
-    const navbar = document.querySelector('.navbar');
-    if (navbar) {
-      navbar.addEventListener('touchend', (e) => {
-        e.preventDefault();
+      link.addEventListener('touchend', () => {
+        setTimeout(() => {
+          link.style.transform = '';
+        }, 150);
       });
-    }
-
-    // Optimize scroll performance on mobile
-    let ticking = false;
-    const optimizedScrollHandler = () => {
-      if (!ticking) {
-        requestAnimationFrame(() => {
-          this.updateActiveNavOnScroll();
-          ticking = false;
-        });
-        ticking = true;
-      }
-    };
-
-    window.addEventListener('scroll', optimizedScrollHandler, { passive: true });
+    });
   }
 
   // Keyboard Navigation Support
   setupKeyboardNavigation() {
-    const navLinks = document.querySelectorAll('.nav-link');
-    
-    navLinks.forEach((link, index) => {
-  link.addEventListener('pointerdown', (e) => {
-    console.log(`🔗 Nav link ${index} pointerdown, closing menu`);  // Optional: Remove after testing
-    e.preventDefault();  // Prevent navigation if not handled by smooth scroll
-    navToggle.classList.remove('active');
-    navMenu.classList.remove('active');
-    document.body.classList.remove('nav-open');
-  });
-});
+    // Enter already clicks a link; nav links answer Space too, like the buttons they look like
+    document.addEventListener('keydown', (e) => {
+      if (e.key !== ' ' || !(e.target instanceof Element)) return;
+      
+      const link = e.target.closest('.nav-link');
+      if (!link) return;
+      
+      e.preventDefault();
+      link.click();
+    });
+  }
+
+  // Keyboard Shortcuts (js/keyboard-shortcuts.js); press ? for the list
+  setupKeyboardShortcuts() {
+    if (typeof window.KeyboardShortcuts !== 'function') return;
+    
+    this.shortcuts = new window.KeyboardShortcuts();
+    
+    const goTo = (sectionId) => () => {
+      const section = document.getElementById(sectionId);
+      if (section) this.goToSection(section);
+    };
+    
+    this.shortcuts.register('g c', goTo('contact'), { description: 'Go to Contact', group: 'Navigation' });
+    this.shortcuts.register('g w', goTo('results'), { description: 'Go to the work', group: 'Navigation' });
+    this.shortcuts.register('j', () => this.moveSection(1), { description: 'Next section', group: 'Navigation' });
+    this.shortcuts.register('k', () => this.moveSection(-1), { description: 'Previous section', group: 'Navigation' });
+    this.shortcuts.register('?', () => this.shortcuts.toggleHelp(), { description: 'Show keyboard shortcuts' });
+  }
+
+  // Goes to the section step places after the current one (the one being scrolled to, if any)
+  moveSection(step) {
+    const sections = Array.from(document.querySelectorAll('section[id]'));
+    if (!sections.length) return;
+    
+    const currentId = this.shortcutSectionId || (this.scrollSpy && this.scrollSpy.currentId);
+    const currentIndex = sections.findIndex(section => section.id === currentId);
+    const targetIndex = Math.min(Math.max(currentIndex + step, 0), sections.length - 1);
+    const targetSection = sections[targetIndex];
+    
+    if (targetIndex === currentIndex) return;
+    
+    this.shortcutSectionId = targetSection.id;
+    this.goToSection(targetSection).then(() => {
+      if (this.shortcutSectionId === targetSection.id) {
+        this.shortcutSectionId = null;
+      }
+    });
   }
 
   initializeComponents() {
@@ -373,553 +453,953 @@ class PortfolioApp {
     this.initNavbarScrollEffect();
   }
 
-  // Navbar Scroll Effect
+  // Navbar Scroll Effect (js/navbar-scroll.js): .scrolled past 100px, hidden while scrolling
+  // down and back on the way up, plus the reading progress bar
   initNavbarScrollEffect() {
     const navbar = document.querySelector('.navbar');
-    let lastScrollY = window.scrollY;
+    if (!navbar || typeof window.NavbarScroll !== 'function') return;
 
-    const handleScroll = () => {
-      const currentScrollY = window.scrollY;
+    this.navbarScroll = new window.NavbarScroll(navbar, {
+      sections: document.querySelectorAll('section[id]'),
+      // The mobile menu hangs off the navbar
+      isPinned: () => Boolean(this.mobileMenu && this.mobileMenu.isOpen)
+    });
+  }
+
+  // Smooth Scrolling Navigation
+  setupSmoothScrolling() {
+    // One delegated click covers mouse, touch, Enter (and Space, see setupKeyboardNavigation),
+    // and links added to the page later
+    document.addEventListener('click', (e) => {
+      // Leave modified clicks (new tab, new window) and handled ones to the browser
+      if (e.defaultPrevented || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+      if (!(e.target instanceof Element)) return;
       
-      if (currentScrollY > 100) {
-        navbar.classList.add('scrolled');
-      } else {
-        navbar.classList.remove('scrolled');
+      const link = e.target.closest('a[href^="#"]');
+      if (!link) return;
+      
+      const targetSection = this.getSectionFromHash(link.hash);
+      if (!targetSection) return;
+      
+      e.preventDefault();
+      this.goToSection(targetSection);
+    });
+  }
+
+  // Navigates to the section, then moves focus to it if the scroll gets there
+  goToSection(targetSection) {
+    return this.navigateToSection(targetSection).then((arrived) => {
+      if (arrived) {
+        this.focusSectionHeading(targetSection);
       }
+      return arrived;
+    });
+  }
+
+  // Moves focus to where the link led, so keyboard and screen-reader users continue from there
+  focusSectionHeading(targetSection) {
+    const heading = targetSection.querySelector('h1, h2, h3') || targetSection;
+    
+    if (!heading.hasAttribute('tabindex')) {
+      heading.setAttribute('tabindex', '-1');
+    }
+    
+    // The scroll has already taken it there
+    heading.focus({ preventScroll: true });
+  }
+
+  // Scrolls a section into view below the fixed navbar
+  scrollToSection(targetSection) {
+    return this.scrollToPosition(this.getSectionScrollTop(targetSection));
+  }
+
+  // Scroll position that puts the section just below the fixed navbar
+  getSectionScrollTop(targetSection) {
+    const navbar = document.querySelector('.navbar');
+    const navbarHeight = navbar ? navbar.offsetHeight : 0;
+    return Math.max(0, targetSection.offsetTop - navbarHeight - 20); // Extra padding
+  }
+
+  // Resolves true once there, false if the visitor scrolled away first (see js/scroll-animator.js)
+  scrollToPosition(top, options) {
+    if (this.scrollAnimator) {
+      return this.scrollAnimator.scrollTo(top, options);
+    }
+    
+    window.scrollTo({ top, behavior: 'smooth' });
+    return Promise.resolve(true);
+  }
+
+  // Section Routing: in-page links add history entries (#services, #contact) and every
+  // entry remembers its scroll position, so Back, Forward and reload return to it
+  setupSectionRouting() {
+    if (!window.history || typeof window.history.pushState !== 'function') return;
+
+    // Positions are restored per entry below; the browser's own jump lands under the navbar
+    if ('scrollRestoration' in window.history) {
+      window.history.scrollRestoration = 'manual';
+    }
+
+    let saveTimeout;
+    window.addEventListener('scroll', () => {
+      clearTimeout(saveTimeout);
+      saveTimeout = setTimeout(() => this.saveScrollPosition(), SCROLL_SAVE_DELAY);
+    }, { passive: true });
+    
+    window.addEventListener('pagehide', () => this.saveScrollPosition());
+    window.addEventListener('popstate', (e) => this.restoreHistoryScroll(e.state));
+
+    this.restoreInitialScroll();
+  }
+
+  // The element a hash points at; #results/slide-3 points at #results
+  getSectionFromHash(hash = window.location.hash) {
+    const id = decodeURIComponent((hash || '').slice(1).split('/')[0]);
+    return id ? document.getElementById(id) : null;
+  }
+
+  saveScrollPosition() {
+    window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '');
+  }
+
+  // Adds a history entry for the section (keeping ?category= and the like), then scrolls to it
+  navigateToSection(targetSection) {
+    const hash = `#${targetSection.id}`;
+    
+    if (window.history && typeof window.history.pushState === 'function' && window.location.hash !== hash) {
+      // Back should return to exactly where the visitor was
+      this.saveScrollPosition();
       
-      lastScrollY = currentScrollY;
-    };
+      const url = new URL(window.location.href);
+      url.hash = hash;
+      window.history.pushState({ ...window.history.state, scrollY: this.getSectionScrollTop(targetSection) }, '', url.toString());
+    }
+    
+    return this.scrollToSection(targetSection);
+  }
 
-    window.addEventListener('scroll', handleScroll, { passive: true });
+  // Back/forward: the entry's saved position, or the section its hash names, or the top
+  restoreHistoryScroll(state) {
+    if (state && typeof state.scrollY === 'number') {
+      this.scrollToPosition(state.scrollY);
+      return;
+    }
+    
+    const targetSection = this.getSectionFromHash();
+    this.scrollToPosition(targetSection ? this.getSectionScrollTop(targetSection) : 0);
   }
 
-  // Smooth Scrolling Navigation
-  setupSmoothScrolling() {
-    const navLinks = document.querySelectorAll('a[href^="#"]');
+  // On load: where this entry was left on reload, else the linked section below the navbar
+  restoreInitialScroll() {
+    const state = window.history.state;
+    const targetSection = this.getSectionFromHash();
+    const hasSavedPosition = state && typeof state.scrollY === 'number';
     
-    navLinks.forEach(link => {
-      link.addEventListener('click', (e) => {
-        e.preventDefault();
-        
-        const targetId = link.getAttribute('href');
-        const targetSection = document.querySelector(targetId);
-        
-        if (targetSection) {
-          const navbarHeight = document.querySelector('.navbar').offsetHeight;
-          const offsetTop = targetSection.offsetTop - navbarHeight - 20; // Extra padding
-          
-          // Enhanced smooth scrolling with fallback
-          if ('scrollBehavior' in document.documentElement.style) {
-            window.scrollTo({
-              top: offsetTop,
-              behavior: 'smooth'
-            });
-          } else {
-            // Fallback for browsers without smooth scroll support
-            this.smoothScrollTo(offsetTop, 800);
-          }
+    if (!hasSavedPosition && !targetSection) return;
+    
+    const getTop = () => (hasSavedPosition ? state.scrollY : this.getSectionScrollTop(targetSection));
+    const top = getTop();
+    
+    window.scrollTo({ top, behavior: 'instant' });
+    this.initialScrollRestored = true;
+    
+    // Images above the target can still push it down; settle again once they've loaded,
+    // unless the visitor has already scrolled away
+    if (document.readyState !== 'complete') {
+      window.addEventListener('load', () => {
+        if (Math.abs(window.scrollY - top) < 2) {
+          window.scrollTo({ top: getTop(), behavior: 'instant' });
         }
-      });
+      }, { once: true });
+    }
+  }
+
+  // Active Navigation Highlighting (js/scroll-spy.js)
+  setupActiveNavigation() {
+    if (typeof window.ScrollSpy !== 'function') return;
+    
+    const navbar = document.querySelector('.navbar');
+
+    // Listen first: the spy announces the section the page opens on straight away
+    this.handleSectionChange = (e) => this.updateActiveNavLink(e.detail.id);
+    document.addEventListener('sectionchange', this.handleSectionChange);
+
+    this.scrollSpy = new window.ScrollSpy(document.querySelectorAll('section[id]'), {
+      // Sections count as reached once they clear the fixed navbar
+      offset: () => (navbar ? navbar.offsetHeight : 0)
+    });
+  }
+
+  // Marks the nav link for the given section; sections without one leave none marked
+  updateActiveNavLink(sectionId) {
+    document.querySelectorAll('.nav-link').forEach(link => {
+      const isActive = link.getAttribute('href') === `#${sectionId}`;
       
-      // Touch optimization for mobile
-      link.addEventListener('touchstart', (e) => {
-        // Add visual feedback for touch
-        link.style.transform = 'scale(0.95)';
-      });
+      link.classList.toggle('active', isActive);
+      link.setAttribute('aria-current', isActive ? 'page' : 'false');
+    });
+  }
+
+  // Portfolio Slider
+  setupPortfolioSlider() {
+    const sliderRoot = document.querySelector('.portfolio-slider');
+    if (!sliderRoot || !sliderRoot.querySelector('.slider-track') || typeof window.Slider !== 'function') return;
+
+    // Slides arrive with the manifest; initPortfolioSlider() refreshes the slider then
+    this.slider = new window.Slider(sliderRoot, {
+      slidesPerView: SLIDER_SLIDES_PER_VIEW,
+      labels: { region: 'Portfolio image slider' },
+      beforeJump: (index) => this.decodeSlidesAt(index)
+    });
+    
+    if (this.shortcuts) {
+      this.slider.registerShortcuts(this.shortcuts, 'Portfolio');
+    }
+
+    sliderRoot.addEventListener('slidechange', (e) => this.handleSlideChange(e.detail));
+    
+    // Start on the images a move will show before the track sets off (see preloadUpcomingSlides)
+    sliderRoot.addEventListener('slidestart', (e) => this.preloadUpcomingSlides(e.detail.direction || 1));
+    
+    // A drag shows the neighbouring slide before any slidechange, so fetch it as soon as the drag has a direction
+    sliderRoot.addEventListener('dragmove', (e) => {
+      if (e.detail.deltaX !== 0) {
+        this.preloadUpcomingSlides(e.detail.deltaX < 0 ? 1 : -1);
+      }
+    });
+    
+    // Fullscreen viewer for reading the screenshots
+    this.setupLightbox();
+    
+    // Vertical viewer for the 9:16 short-form work
+    this.setupShortsViewer();
+  }
+
+  setupLightbox() {
+    if (typeof window.Lightbox !== 'function') return;
+
+    const { track, container } = this.slider;
+
+    this.lightbox = new window.Lightbox({
+      // Land the slider on whatever was being viewed
+      onClose: (index) => {
+        this.slider.goTo(index);
+        this.slider.resume('lightbox');
+      }
+    });
+
+    track.addEventListener('click', (e) => {
+      const slide = e.target.closest('.slide');
+      if (!slide) return;
       
-      link.addEventListener('touchend', (e) => {
-        // Reset visual feedback
-        setTimeout(() => {
-          link.style.transform = '';
-        }, 150);
-      });
+      // Loop clones carry the index of the slide they mirror
+      this.openLightbox(parseInt(slide.dataset.index, 10));
+    });
+
+    container.addEventListener('keydown', (e) => {
+      if (e.key !== 'Enter' || e.target !== container) return;
+      
+      e.preventDefault();
+      this.openLightbox();
+    });
+  }
+
+  openLightbox(index = this.slider.currentIndex) {
+    if (!this.lightbox || !this.portfolioItems || !this.portfolioItems.length) return;
+    
+    this.slider.pause('lightbox');
+    this.lightbox.open(this.portfolioItems, index, this.slider.container);
+  }
+
+  setupShortsViewer() {
+    if (typeof window.ShortsViewer !== 'function') return;
+
+    this.shortsViewer = new window.ShortsViewer({
+      onClose: () => this.slider.resume('shorts')
     });
   }
 
-  // Smooth scroll fallback for older browsers
-  smoothScrollTo(targetPosition, duration) {
-    const startPosition = window.pageYOffset;
-    const distance = targetPosition - startPosition;
-    let startTime = null;
+  // "Watch as Shorts" under the slider, shown while there's short-form work to watch
+  renderShortsLauncher() {
+    const sliderRoot = document.querySelector('.portfolio-slider');
+    if (!sliderRoot || !this.shortsViewer) return;
+
+    if (!this.shortsLauncher) {
+      this.shortsLauncher = document.createElement('button');
+      this.shortsLauncher.type = 'button';
+      this.shortsLauncher.className = 'btn btn-secondary shorts-launch';
+      this.shortsLauncher.textContent = '▶ Watch as Shorts';
+      this.shortsLauncher.addEventListener('click', () => this.openShortsViewer());
+      
+      sliderRoot.after(this.shortsLauncher);
+    }
 
-    const animation = (currentTime) => {
-      if (startTime === null) startTime = currentTime;
-      const timeElapsed = currentTime - startTime;
-      const run = this.easeInOutQuad(timeElapsed, startPosition, distance, duration);
-      window.scrollTo(0, run);
-      if (timeElapsed < duration) requestAnimationFrame(animation);
-    };
+    this.shortsLauncher.hidden = this.getPortfolioItems('shortform').length === 0;
+  }
+
+  // Opens on the current slide when it's short-form, otherwise on the first short
+  openShortsViewer() {
+    const items = this.getPortfolioItems('shortform');
+    if (!this.shortsViewer || !items.length) return;
+    
+    const currentItem = this.portfolioItems && this.portfolioItems[this.slider.currentIndex];
+    
+    this.slider.pause('shorts');
+    this.shortsViewer.open(items, Math.max(items.indexOf(currentItem), 0), this.shortsLauncher);
+  }
+
+  // Portfolio manifest generated by build/optimize-images.js
+  async getPortfolioManifest() {
+    // Prefer the copy embedded in optimized-images.js to avoid an extra request
+    if (window.optimizedImageLoader && window.optimizedImageLoader.manifest) {
+      return window.optimizedImageLoader.manifest;
+    }
+    
+    const response = await fetch(PORTFOLIO_MANIFEST_URL);
+    if (!response.ok) {
+      throw new Error(`Manifest request failed with status ${response.status}`);
+    }
+    
+    return response.json();
+  }
+
+  renderPortfolioSlides(images) {
+    const sliderTrack = document.getElementById('sliderTrack');
+    if (!sliderTrack) return;
+
+    this.comparisons.forEach(comparison => comparison.destroy());
+    this.comparisons = [];
+
+    const slides = document.createDocumentFragment();
+
+    images.forEach((image, index) => {
+      const slide = document.createElement('div');
+      slide.className = image.type === 'video' || image.type === 'comparison' ? `slide slide-${image.type}` : 'slide';
+      slide.dataset.index = index;
+      slide.dataset.imageId = image.id;
+      
+      slide.appendChild(this.createSlideMedia(image, index));
+      
+      const caption = this.createSlideCaption(image);
+      if (caption) {
+        slide.appendChild(caption);
+      }
+      
+      slides.appendChild(slide);
+    });
+
+    sliderTrack.replaceChildren(slides);
+  }
+
+  createSlideMedia(item, index) {
+    switch (item.type) {
+      case 'video':
+        return this.createVideoSlideMedia(item, index);
+      case 'comparison':
+        return this.createComparisonSlideMedia(item, index);
+      default:
+        return this.createImageSlideMedia(item, index);
+    }
+  }
+
+  createImageSlideMedia(image, index) {
+    const img = document.createElement('img');
+    img.src = image.original;
+    img.alt = image.alt || `Portfolio Sample ${index + 1}`;
+    img.setAttribute('loading', image.loading || 'lazy');
+    return img;
+  }
+
+  createVideoSlideMedia(video, index) {
+    const videoElement = document.createElement('video');
+    
+    // Muted + playsinline is what lets mobile browsers autoplay without a gesture
+    videoElement.muted = true;
+    videoElement.loop = true;
+    videoElement.playsInline = true;
+    videoElement.setAttribute('muted', '');
+    videoElement.setAttribute('loop', '');
+    videoElement.setAttribute('playsinline', '');
+    videoElement.preload = video.loading === 'eager' ? 'auto' : 'metadata';
+    videoElement.setAttribute('aria-label', video.alt || `Portfolio Sample ${index + 1}`);
+    
+    if (video.poster) {
+      videoElement.poster = video.poster;
+    }
+    
+    videoElement.src = video.video;
+    return videoElement;
+  }
+
+  // Graded result with the ungraded frame on top, split by a draggable divider
+  createComparisonSlideMedia(item, index) {
+    const alt = item.alt || `Portfolio Sample ${index + 1}`;
+    const comparison = document.createElement('div');
+    comparison.className = 'comparison';
+
+    // "After" comes first so it's the image the optimized loader upgrades
+    const after = this.createImageSlideMedia(item, index);
+    after.classList.add('comparison-after');
+    after.alt = `${alt} (after)`;
+
+    const before = document.createElement('img');
+    before.className = 'comparison-before';
+    before.src = item.before;
+    before.alt = `${alt} (before)`;
+    before.setAttribute('loading', item.loading || 'lazy');
+
+    comparison.append(after, before);
+
+    if (typeof window.BeforeAfter === 'function') {
+      // Autoplay waits while the divider is being dragged, as it does for swipes
+      this.comparisons.push(new window.BeforeAfter(comparison, {
+        onStart: () => this.slider && this.slider.pause('drag'),
+        onEnd: () => this.slider && this.slider.resume('drag')
+      }));
+    }
 
-    requestAnimationFrame(animation);
+    return comparison;
+  }
+
+  // Overlay with the project's title and credits (merged into the manifest from metadata.json)
+  createSlideCaption(item) {
+    const credits = [
+      item.client,
+      item.platform,
+      item.views ? `${this.formatViewCount(item.views)} views` : null
+    ].filter(Boolean);
+    
+    if (!item.title && credits.length === 0) return null;
+
+    const caption = document.createElement('div');
+    caption.className = 'slide-caption';
+    
+    if (item.title) {
+      const title = document.createElement('p');
+      title.className = 'slide-caption-title';
+      title.textContent = item.title;
+      caption.appendChild(title);
+    }
+    
+    if (credits.length > 0) {
+      const meta = document.createElement('p');
+      meta.className = 'slide-caption-meta';
+      meta.textContent = credits.join(' · ');
+      caption.appendChild(meta);
+    }
+    
+    return caption;
   }
 
-  // Easing function for smooth animation
-  easeInOutQuad(t, b, c, d) {
-    t /= d / 2;
-    if (t < 1) return c / 2 * t * t + b;
-    t--;
-    return -c / 2 * (t * (t - 2) - 1) + b;
+  // 8500000 -> "8.5M"
+  formatViewCount(views) {
+    return new Intl.NumberFormat('en', { notation: 'compact', maximumFractionDigits: 1 }).format(views);
   }
 
-  // Active Navigation Highlighting
-  setupActiveNavigation() {
-    const sections = document.querySelectorAll('section[id]');
-    const navLinks = document.querySelectorAll('.nav-link');
-
-    const observerOptions = {
-      root: null,
-      rootMargin: '-10% 0px -80% 0px', // More precise triggering
-      threshold: [0, 0.25, 0.5, 0.75, 1] // Multiple thresholds for better accuracy
-    };
-
-    const observer = new IntersectionObserver((entries) => {
-      // Find the section with the highest intersection ratio
-      let maxRatio = 0;
-      let activeSection = null;
-
-      entries.forEach(entry => {
-        if (entry.isIntersecting && entry.intersectionRatio > maxRatio) {
-          maxRatio = entry.intersectionRatio;
-          activeSection = entry.target;
-        }
+  // Thumbnail filmstrip built from the manifest's small image variants; it stays off until
+  // the build has created them, rather than shrinking every full-size image
+  renderThumbnails(images) {
+    const sliderRoot = this.slider.root;
+    if (!sliderRoot.hasAttribute('data-thumbnails') || !images.length) return;
+    if (!this.allPortfolioItems.some(item => item.thumbnail)) return;
+
+    if (!this.thumbnailStrip) {
+      this.thumbnailStrip = document.createElement('div');
+      this.thumbnailStrip.className = 'slider-thumbnails';
+      this.thumbnailStrip.setAttribute('role', 'group');
+      this.thumbnailStrip.setAttribute('aria-label', 'Choose slide');
+      
+      this.thumbnailStrip.addEventListener('click', (e) => {
+        const thumbnail = e.target.closest('.slider-thumbnail');
+        if (!thumbnail) return;
+        
+        this.selectThumbnail(parseInt(thumbnail.dataset.slide, 10), 'thumbnail');
       });
+      this.thumbnailStrip.addEventListener('keydown', (e) => this.handleThumbnailKeydown(e));
+      
+      this.slider.container.after(this.thumbnailStrip);
+    }
 
-      if (activeSection) {
-        const sectionId = activeSection.id;
-        
-        // Remove active class from all nav links
-        navLinks.forEach(link => {
-          link.classList.remove('active');
-          link.setAttribute('aria-current', 'false');
-        });
+    const thumbnails = document.createDocumentFragment();
+
+    images.forEach((image, index) => {
+      const thumbnail = document.createElement('button');
+      thumbnail.type = 'button';
+      thumbnail.className = image.type === 'video' ? 'slider-thumbnail slider-thumbnail-video' : 'slider-thumbnail';
+      thumbnail.dataset.slide = index;
+      thumbnail.setAttribute('aria-label', image.title ? `Go to slide ${index + 1}: ${image.title}` : `Go to slide ${index + 1}`);
+      thumbnail.setAttribute('aria-controls', this.slider.track.id);
+      
+      // Videos have no small variant, so they show their poster (or just the play badge)
+      const src = image.type === 'video' ? image.poster : (image.thumbnail || image.original);
+      if (src) {
+        const img = document.createElement('img');
+        img.src = src;
+        img.alt = '';
+        img.setAttribute('loading', 'lazy');
         
-        // Add active class to current section's nav link
-        const activeLink = document.querySelector(`.nav-link[href="#${sectionId}"]`);
-        if (activeLink) {
-          activeLink.classList.add('active');
-          activeLink.setAttribute('aria-current', 'page');
+        // Thumbnails are optional build output; the full image still works
+        if (image.thumbnail && image.original) {
+          img.addEventListener('error', () => {
+            img.src = image.original;
+          }, { once: true });
         }
+        
+        thumbnail.appendChild(img);
       }
-    }, observerOptions);
-
-    sections.forEach(section => {
-      observer.observe(section);
+      
+      thumbnails.appendChild(thumbnail);
     });
 
-    // Handle scroll events for additional responsiveness on mobile
-    let scrollTimeout;
-    window.addEventListener('scroll', () => {
-      clearTimeout(scrollTimeout);
-      scrollTimeout = setTimeout(() => {
-        this.updateActiveNavOnScroll();
-      }, 100);
-    }, { passive: true });
+    this.thumbnailStrip.replaceChildren(thumbnails);
+    this.selectedThumbnail = null;
+    
+    // The strip takes over from the dots on larger screens (see .has-thumbnails in main.css)
+    sliderRoot.classList.add('has-thumbnails');
+    this.updateActiveThumbnail();
+  }
+
+  // Same roving focus as the dots: arrows pick the neighbouring thumbnail, Tab leaves the strip
+  handleThumbnailKeydown(e) {
+    const thumbnails = Array.from(this.thumbnailStrip.querySelectorAll('.slider-thumbnail'));
+    const position = thumbnails.indexOf(e.target.closest('.slider-thumbnail'));
+    if (position === -1) return;
+
+    let targetPosition;
+    switch (e.key) {
+      case 'ArrowLeft':
+        targetPosition = position === 0 ? thumbnails.length - 1 : position - 1;
+        break;
+      case 'ArrowRight':
+        targetPosition = (position + 1) % thumbnails.length;
+        break;
+      case 'Home':
+        targetPosition = 0;
+        break;
+      case 'End':
+        targetPosition = thumbnails.length - 1;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    this.selectThumbnail(targetPosition, 'keyboard');
+    thumbnails[targetPosition].focus();
+  }
+
+  // Brings the slide into view; goTo() clamps to the last full view, so the picked
+  // thumbnail (not the clamped index) is the one that stays current
+  selectThumbnail(index, trigger) {
+    this.selectedThumbnail = index;
+    this.slider.goTo(index, { trigger, force: true });
+    
+    // No slidechange when the clamped index is where the slider already is
+    this.updateActiveThumbnail();
   }
 
-  // Additional method for scroll-based active navigation update
-  updateActiveNavOnScroll() {
-    const sections = document.querySelectorAll('section[id]');
-    const navLinks = document.querySelectorAll('.nav-link');
-    const scrollPosition = window.scrollY + window.innerHeight / 3;
+  // Every thumbnail in view is marked; the current one is the picked slide while it's
+  // still in view, otherwise the first slide of the view
+  updateActiveThumbnail() {
+    if (!this.thumbnailStrip) return;
 
-    let activeSection = null;
+    const { currentIndex, slidesPerView } = this.slider;
+    const isInView = (index) => index >= currentIndex && index < currentIndex + slidesPerView;
+    if (this.selectedThumbnail === null || !isInView(this.selectedThumbnail)) {
+      this.selectedThumbnail = currentIndex;
+    }
     
-    sections.forEach(section => {
-      const sectionTop = section.offsetTop;
-      const sectionBottom = sectionTop + section.offsetHeight;
+    let activeThumbnail = null;
+
+    this.thumbnailStrip.querySelectorAll('.slider-thumbnail').forEach((thumbnail, index) => {
+      const isActive = index === this.selectedThumbnail;
+      thumbnail.classList.toggle('active', isActive);
+      thumbnail.classList.toggle('in-view', isInView(index));
+      thumbnail.tabIndex = isActive ? 0 : -1;
       
-      if (scrollPosition >= sectionTop && scrollPosition <= sectionBottom) {
-        activeSection = section;
+      if (isActive) {
+        thumbnail.setAttribute('aria-current', 'true');
+        activeThumbnail = thumbnail;
+      } else {
+        thumbnail.removeAttribute('aria-current');
       }
     });
 
-    if (activeSection) {
-      const sectionId = activeSection.id;
-      
-      navLinks.forEach(link => {
-        link.classList.remove('active');
-        link.setAttribute('aria-current', 'false');
-      });
-      
-      const activeLink = document.querySelector(`.nav-link[href="#${sectionId}"]`);
-      if (activeLink) {
-        activeLink.classList.add('active');
-        activeLink.setAttribute('aria-current', 'page');
-      }
+    if (activeThumbnail) {
+      this.centerThumbnail(activeThumbnail);
     }
   }
 
-  // Portfolio Slider
-  setupPortfolioSlider() {
-    const prevBtn = document.getElementById('prevBtn');
-    const nextBtn = document.getElementById('nextBtn');
-    const indicators = document.querySelectorAll('.indicator');
+  // Scrolls the strip itself, never the page, so the active thumbnail sits in the middle
+  centerThumbnail(thumbnail) {
+    const strip = this.thumbnailStrip;
+    const maxScroll = strip.scrollWidth - strip.clientWidth;
+    const centred = thumbnail.offsetLeft - (strip.clientWidth - thumbnail.offsetWidth) / 2;
+    const left = Math.max(0, Math.min(centred, maxScroll));
     
-    if (prevBtn && nextBtn) {
-      prevBtn.addEventListener('click', () => this.previousSlide());
-      nextBtn.addEventListener('click', () => this.nextSlide());
+    if (typeof strip.scrollTo === 'function') {
+      strip.scrollTo({ left, behavior: 'smooth' });
+    } else {
+      strip.scrollLeft = left;
     }
+  }
 
-    // Indicator click handlers
-    indicators.forEach((indicator, index) => {
-      indicator.addEventListener('click', () => {
-        this.goToSlide(index);
-      });
-    });
+  async initPortfolioSlider() {
+    try {
+      const manifest = await this.getPortfolioManifest();
+      this.allPortfolioItems = manifest.images || [];
+    } catch (error) {
+      console.error('❌ Failed to load portfolio manifest:', error);
+      return;
+    }
 
-    // Touch/swipe support for mobile
-    this.setupTouchNavigation();
+    this.renderPortfolioFilters();
+    this.renderShortsLauncher();
+    
+    // A shared ?category= link opens on that filter, with the quote form to match
+    const category = this.getCategoryFromUrl();
+    this.activePortfolioCategory = category;
+    this.updatePortfolioFilters();
+    this.showPortfolioItems(this.getPortfolioItems(category));
+    this.preselectProjectType(category);
+
+    if (!this.slider) return;
+    
+    console.log(`Portfolio slider initialized with ${this.slider.slideCount} slides (${this.slider.slidesPerView} per view)`);
+    
+    if (this.slider.slideCount > 0) {
+      // Open the slide named in the URL and follow back/forward
+      this.setupSlideDeepLinks();
+    }
   }
 
-  initPortfolioSlider() {
-    const slides = document.querySelectorAll('.slide');
-    this.totalSlides = slides.length;
+  // Renders the given manifest items as the slide set, with matching indicators and thumbnails
+  showPortfolioItems(items) {
+    this.portfolioItems = items;
+    this.renderPortfolioSlides(items);
+    
+    // Filtering replaces the slides, so swap the optimized variants in again
+    // (until the loader is ready, its own init() does this)
+    const loader = window.optimizedImageLoader;
+    if (loader && loader.isReady && typeof loader.loadImages === 'function') {
+      loader.loadImages();
+    }
+    
+    if (!this.slider) return;
     
-    console.log(`Portfolio slider initialized with ${this.totalSlides} slides`);
+    this.slider.refresh();
+    this.renderThumbnails(items);
+    this.preloadUpcomingSlides(1);
     
-    if (this.totalSlides > 0) {
-      this.updateSliderPosition();
+    // Ensure all images are loaded properly
+    this.slider.slides.forEach((slide, index) => {
+      const img = slide.querySelector('img');
+      if (img) {
+        // Add error handling for failed image loads
+        img.addEventListener('error', () => {
+          console.warn(`Failed to load image ${index + 1}: ${img.src}`);
+          img.style.backgroundColor = 'var(--color-bg-accent)';
+          img.alt = `${img.alt} - Loading Error`;
+        });
+        
+        // Add load success handling
+        img.addEventListener('load', () => {
+          console.log(`Successfully loaded image ${index + 1}`);
+          img.style.backgroundColor = 'transparent';
+        });
+      }
       
-      // Ensure all images are loaded properly
-      slides.forEach((slide, index) => {
-        const img = slide.querySelector('img');
-        if (img) {
-          // Add error handling for failed image loads
-          img.addEventListener('error', () => {
-            console.warn(`Failed to load image ${index + 1}: ${img.src}`);
-            img.style.backgroundColor = 'var(--color-bg-accent)';
-            img.alt = `Portfolio Sample ${index + 1} - Loading Error`;
-          });
-          
-          // Add load success handling
-          img.addEventListener('load', () => {
-            console.log(`Successfully loaded image ${index + 1}`);
-            img.style.backgroundColor = 'transparent';
-          });
-          
-          // Force reload if src is empty or invalid
-          if (!img.src || img.src === window.location.href) {
-            img.src = `Source/${index + 1}.png`;
-          }
+      const video = slide.querySelector('video');
+      if (video) {
+        video.addEventListener('error', () => {
+          console.warn(`Failed to load video ${index + 1}: ${video.currentSrc || video.src}`);
+        });
+      }
+    });
+  }
+
+  // Fetches and decodes the slides in view and just past its far edge in the given direction
+  // (1 or -1). Called on slidestart, before the track moves, and while dragging.
+  // A step doesn't wait: the slides coming into view were decoded by the previous move.
+  // Jumps (indicator, thumbnail, deep link) wait in decodeSlidesAt() instead.
+  preloadUpcomingSlides(direction) {
+    if (!this.slider || this.slider.slideCount === 0) return;
+
+    const { currentIndex, slideCount, slidesPerView, track } = this.slider;
+    // Counting from just behind the view, so its own slides come first
+    const startIndex = direction > 0 ? currentIndex - 1 : currentIndex + slidesPerView;
+    const count = slidesPerView + SLIDE_PRELOAD_COUNT;
+    const loader = window.optimizedImageLoader;
+
+    // Optimized variants, cached and decoded by the loader
+    if (loader && typeof loader.preloadNextImages === 'function') {
+      loader.preloadNextImages(startIndex, count, direction, this.portfolioItems);
+    }
+
+    // The slide images themselves: native lazy loading waits for them to near the
+    // viewport, which slides parked off to the side of the track never do
+    for (let step = 1; step <= count && step < slideCount; step++) {
+      let index = startIndex + direction * step;
+      
+      if (this.slider.isLoopEnabled()) {
+        index = (index % slideCount + slideCount) % slideCount;
+      } else if (index < 0 || index >= slideCount) {
+        break;
+      }
+
+      // Loop clones carry the same data-index and are what a wrapping move shows
+      track.querySelectorAll(`.slide[data-index="${index}"] img:not([data-preloaded])`).forEach(img => {
+        img.dataset.preloaded = '';
+        img.setAttribute('loading', 'eager');
+        
+        if (typeof img.decode === 'function') {
+          img.decode().catch(() => {});
         }
       });
     }
   }
 
-  setupTouchNavigation() {
-    const sliderTrack = document.getElementById('sliderTrack');
-    const sliderContainer = document.querySelector('.slider-container');
-    if (!sliderTrack || !sliderContainer) return;
-
-    let startX = 0;
-    let startY = 0;
-    let currentX = 0;
-    let currentY = 0;
-    let isDragging = false;
-    let startTime = 0;
-    let isMobile = window.innerWidth <= 767;
-    let initialTransform = 0;
-    let isHorizontalSwipe = false;
-
-    // Update mobile detection on resize
-    window.addEventListener('resize', () => {
-      isMobile = window.innerWidth <= 767;
-    });
+  // The slider's beforeJump: resolves once the images in the view starting at index are
+  // decoded, or after SLIDE_DECODE_TIMEOUT so a slow image doesn't hold the click up.
+  // Returns null (move now) when the browser can't decode ahead.
+  decodeSlidesAt(index) {
+    const { slidesPerView, track } = this.slider;
+    const decodes = [];
 
-    // Disable transition during drag for smooth feedback
-    const disableTransition = () => {
-      sliderTrack.style.transition = 'none';
-    };
+    for (let i = index; i < index + slidesPerView; i++) {
+      track.querySelectorAll(`.slide[data-index="${i}"] img`).forEach(img => {
+        if (typeof img.decode !== 'function') return;
 
-    const enableTransition = () => {
-      sliderTrack.style.transition = 'transform 500ms cubic-bezier(0.25, 0.46, 0.45, 0.94)';
-    };
+        img.dataset.preloaded = '';
+        img.setAttribute('loading', 'eager');
+        decodes.push(img.decode().catch(() => {}));
+      });
+    }
 
-    // Touch events for mobile
-    sliderContainer.addEventListener('touchstart', (e) => {
-      if (e.touches.length !== 1) return; // Only handle single touch
-      
-      startX = e.touches[0].clientX;
-      startY = e.touches[0].clientY;
-      currentX = startX;
-      currentY = startY;
-      startTime = Date.now();
-      isDragging = false; // Will be set to true in touchmove if it's a horizontal swipe
-      isHorizontalSwipe = false;
-      
-      // Get current transform value
-      initialTransform = -this.currentSlide * 100;
-      
-      // Don't prevent default here - let touchmove decide
-    }, { passive: true });
+    if (!decodes.length) return null;
 
-    sliderContainer.addEventListener('touchmove', (e) => {
-      if (e.touches.length !== 1) return;
-      
-      currentX = e.touches[0].clientX;
-      currentY = e.touches[0].clientY;
-      
-      const diffX = currentX - startX;
-      const diffY = currentY - startY;
-      
-      // Determine if this is a horizontal swipe
-      if (!isDragging && !isHorizontalSwipe) {
-        const absX = Math.abs(diffX);
-        const absY = Math.abs(diffY);
-        
-        if (absX > 10 || absY > 10) { // Minimum movement to determine direction
-          isHorizontalSwipe = absX > absY && absX > 15; // Horizontal swipe detected
-          
-          if (isHorizontalSwipe) {
-            isDragging = true;
-            disableTransition();
-            e.preventDefault(); // Prevent scrolling only for horizontal swipes
-          }
-        }
-      }
-      
-      // Provide visual feedback during horizontal drag
-      if (isDragging && isHorizontalSwipe) {
-        e.preventDefault();
-        const dragOffset = (diffX / sliderContainer.offsetWidth) * 100;
-        const newTransform = initialTransform + dragOffset;
-        
-        // Add resistance at boundaries
-        let resistanceTransform = newTransform;
-        const maxTransform = 0;
-        const minTransform = -(this.totalSlides - 1) * 100;
-        
-        if (newTransform > maxTransform) {
-          resistanceTransform = maxTransform + (newTransform - maxTransform) * 0.3;
-        } else if (newTransform < minTransform) {
-          resistanceTransform = minTransform + (newTransform - minTransform) * 0.3;
-        }
-        
-        sliderTrack.style.transform = `translateX(${resistanceTransform}%)`;
-      }
-    }, { passive: false });
+    return Promise.race([
+      Promise.all(decodes),
+      new Promise(resolve => setTimeout(resolve, SLIDE_DECODE_TIMEOUT))
+    ]);
+  }
 
-    sliderContainer.addEventListener('touchend', (e) => {
-      if (!isDragging || !isHorizontalSwipe) {
-        isDragging = false;
-        isHorizontalSwipe = false;
-        return;
-      }
-      
-      const diffX = currentX - startX;
-      const diffTime = Date.now() - startTime;
-      const threshold = 50; // Minimum distance for swipe
-      const velocity = Math.abs(diffX) / diffTime; // pixels per millisecond
-      const minVelocity = 0.3; // Minimum velocity for swipe
-      
-      enableTransition();
-      
-      // Determine if we should change slides
-      let shouldChangeSlide = false;
-      let direction = 0;
-      
-      // Check distance threshold
-      if (Math.abs(diffX) > threshold) {
-        shouldChangeSlide = true;
-        direction = diffX > 0 ? -1 : 1; // Swipe right = previous, swipe left = next
-      }
-      // Check velocity threshold
-      else if (velocity > minVelocity && Math.abs(diffX) > 20) {
-        shouldChangeSlide = true;
-        direction = diffX > 0 ? -1 : 1;
-      }
-      
-      if (shouldChangeSlide) {
-        if (direction > 0) {
-          this.nextSlide();
-        } else {
-          this.previousSlide();
-        }
-      } else {
-        // Snap back to current slide
-        this.updateSliderPosition();
-      }
-      
-      isDragging = false;
-      isHorizontalSwipe = false;
-      e.preventDefault();
-    }, { passive: false });
+  // Portfolio Category Filters
+  getItemCategories(item) {
+    // A single tag may be given as a plain string
+    return [].concat(item.categories || []);
+  }
 
-    // Mouse events for desktop drag
-    sliderContainer.addEventListener('mousedown', (e) => {
-      if (isMobile) return; // Skip mouse events on mobile
-      
-      startX = e.clientX;
-      startTime = Date.now();
-      isDragging = true;
-      initialTransform = -this.currentSlide * 100;
-      
-      sliderContainer.style.cursor = 'grabbing';
-      disableTransition();
-      e.preventDefault(); // Prevent text selection
-    });
+  getPortfolioItems(category) {
+    if (!category) return this.allPortfolioItems;
+    
+    return this.allPortfolioItems.filter(item => this.getItemCategories(item).includes(category));
+  }
 
-    // Use document for mousemove and mouseup to handle dragging outside the container
-    document.addEventListener('mousemove', (e) => {
-      if (!isDragging || isMobile) return;
-      
-      currentX = e.clientX;
-      const diffX = currentX - startX;
-      
-      // Visual feedback during drag
-      if (Math.abs(diffX) > 5) {
-        const dragOffset = (diffX / sliderContainer.offsetWidth) * 100;
-        const newTransform = initialTransform + dragOffset;
-        
-        // Add resistance at boundaries
-        let resistanceTransform = newTransform;
-        const maxTransform = 0;
-        const minTransform = -(this.totalSlides - 1) * 100;
-        
-        if (newTransform > maxTransform) {
-          resistanceTransform = maxTransform + (newTransform - maxTransform) * 0.2;
-        } else if (newTransform < minTransform) {
-          resistanceTransform = minTransform + (newTransform - minTransform) * 0.2;
-        }
-        
-        sliderTrack.style.transform = `translateX(${resistanceTransform}%)`;
-      }
-    });
+  // Category from ?category=, or null when it's missing or has no work to show
+  getCategoryFromUrl() {
+    const category = new URLSearchParams(window.location.search).get('category');
+    
+    return category && this.getPortfolioItems(category).length > 0 ? category : null;
+  }
 
-    document.addEventListener('mouseup', (e) => {
-      if (!isDragging || isMobile) return;
-      
-      const diffX = currentX - startX;
-      const diffTime = Date.now() - startTime;
-      const threshold = 80; // Slightly higher threshold for mouse
-      const velocity = Math.abs(diffX) / diffTime;
-      const minVelocity = 0.5;
-      
-      enableTransition();
-      sliderContainer.style.cursor = 'grab';
-      
-      // Determine if we should change slides
-      let shouldChangeSlide = false;
-      let direction = 0;
+  renderPortfolioFilters() {
+    const sliderRoot = document.querySelector('.portfolio-slider');
+    if (!sliderRoot) return;
+
+    if (!this.portfolioFilters) {
+      this.portfolioFilters = document.createElement('div');
+      this.portfolioFilters.className = 'portfolio-filters';
+      this.portfolioFilters.setAttribute('role', 'group');
+      this.portfolioFilters.setAttribute('aria-label', 'Filter work by project type');
       
-      if (Math.abs(diffX) > threshold) {
-        shouldChangeSlide = true;
-        direction = diffX > 0 ? -1 : 1;
-      } else if (velocity > minVelocity && Math.abs(diffX) > 30) {
-        shouldChangeSlide = true;
-        direction = diffX > 0 ? -1 : 1;
-      }
+      this.portfolioFilters.addEventListener('click', (e) => {
+        const chip = e.target.closest('.filter-chip');
+        if (!chip) return;
+        
+        this.filterPortfolio(chip.dataset.category || null);
+      });
       
-      if (shouldChangeSlide) {
-        if (direction > 0) {
-          this.nextSlide();
-        } else {
-          this.previousSlide();
-        }
-      } else {
-        // Snap back to current slide
-        this.updateSliderPosition();
+      // A project type picked by hand is never replaced by a later filter
+      const projectType = document.getElementById('projectType');
+      if (projectType) {
+        projectType.addEventListener('change', () => {
+          this.preselectedProjectType = null;
+        });
       }
       
-      isDragging = false;
-    });
+      sliderRoot.before(this.portfolioFilters);
+    }
 
-    // Handle mouse leave to reset drag state
-    sliderContainer.addEventListener('mouseleave', () => {
-      if (isDragging && !isMobile) {
-        enableTransition();
-        this.updateSliderPosition();
-        isDragging = false;
-        sliderContainer.style.cursor = 'grab';
-      }
+    // Categories in form order, and only those with work to show
+    const categories = Object.keys(PORTFOLIO_CATEGORIES)
+      .filter(category => this.getPortfolioItems(category).length > 0);
+    
+    const chips = document.createDocumentFragment();
+    
+    [null, ...categories].forEach(category => {
+      const chip = document.createElement('button');
+      chip.type = 'button';
+      chip.className = 'filter-chip';
+      chip.dataset.category = category || '';
+      chip.textContent = category ? PORTFOLIO_CATEGORIES[category] : 'All';
+      chips.appendChild(chip);
     });
 
-    // Prevent context menu on long press
-    sliderContainer.addEventListener('contextmenu', (e) => {
-      e.preventDefault();
-    });
+    this.portfolioFilters.replaceChildren(chips);
+    
+    // Nothing to choose between
+    this.portfolioFilters.hidden = categories.length < 2;
+  }
 
-    // Keyboard navigation
-    sliderContainer.addEventListener('keydown', (e) => {
-      switch (e.key) {
-        case 'ArrowLeft':
-          e.preventDefault();
-          this.previousSlide();
-          break;
-        case 'ArrowRight':
-          e.preventDefault();
-          this.nextSlide();
-          break;
-        case 'Home':
-          e.preventDefault();
-          this.goToSlide(0);
-          break;
-        case 'End':
-          e.preventDefault();
-          this.goToSlide(this.totalSlides - 1);
-          break;
-      }
+  updatePortfolioFilters() {
+    if (!this.portfolioFilters) return;
+
+    this.portfolioFilters.querySelectorAll('.filter-chip').forEach(chip => {
+      const isActive = (chip.dataset.category || null) === this.activePortfolioCategory;
+      chip.classList.toggle('active', isActive);
+      chip.setAttribute('aria-pressed', String(isActive));
     });
+  }
+
+  // options.updateHistory = false when following the URL (back/forward) rather than a chip
+  filterPortfolio(category, { updateHistory = true } = {}) {
+    if (category === this.activePortfolioCategory) return;
+
+    this.activePortfolioCategory = category;
+    this.updatePortfolioFilters();
+    this.showPortfolioItems(this.getPortfolioItems(category));
+    
+    if (this.slider) {
+      this.slider.goTo(0, { trigger: 'filter', animate: false, force: true });
+    }
+    
+    this.preselectProjectType(category);
+    
+    if (updateHistory) {
+      this.updateFilterHistory();
+    }
+  }
+
+  // The filtered set starts again at its first slide, so any slide link is dropped
+  updateFilterHistory() {
+    if (!window.history || typeof window.history.pushState !== 'function') return;
 
-    // Make slider focusable for keyboard navigation
-    sliderContainer.setAttribute('tabindex', '0');
-    sliderContainer.setAttribute('role', 'region');
-    sliderContainer.setAttribute('aria-label', 'Portfolio image slider');
+    const url = new URL(window.location.href);
+    url.searchParams.delete('slide');
+    
+    if (this.activePortfolioCategory) {
+      url.searchParams.set('category', this.activePortfolioCategory);
+    } else {
+      url.searchParams.delete('category');
+    }
     
-    // Set initial cursor and touch action
-    sliderContainer.style.cursor = 'grab';
-    sliderContainer.style.touchAction = 'pan-y pinch-zoom';
+    if (url.hash.startsWith('#results/')) {
+      url.hash = 'results';
+    }
     
-    // Ensure smooth transitions are enabled initially
-    enableTransition();
+    window.history.pushState({ ...window.history.state, slide: 0 }, '', url.toString());
   }
 
-  nextSlide() {
-    if (this.isAnimating || this.totalSlides === 0) return;
+  // Carry the filter over to the quote form's project type
+  preselectProjectType(category) {
+    const select = document.getElementById('projectType');
+    if (!select) return;
     
-    this.currentSlide = (this.currentSlide + 1) % this.totalSlides;
-    this.updateSliderPosition();
+    // Leave a choice the visitor made themselves
+    if (select.value && select.value !== this.preselectedProjectType) return;
+
+    const hasOption = category && Array.from(select.options).some(option => option.value === category);
+    select.value = hasOption ? category : '';
+    this.preselectedProjectType = select.value;
+    this.updateFloatingLabel(select);
+  }
+
+  // Slide Deep Links (#results/slide-3, or ?slide=3 for sharing tools that drop hashes)
+  getSlideUrl(slideIndex) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('slide');
+    url.hash = `results/slide-${slideIndex + 1}`;
+    return url.toString();
   }
 
-  previousSlide() {
-    if (this.isAnimating || this.totalSlides === 0) return;
+  // Zero-based slide index from the current URL, or null
+  getSlideFromUrl() {
+    const hashMatch = window.location.hash.match(/^#results\/slide-(\d+)$/);
+    const slideParam = new URLSearchParams(window.location.search).get('slide');
+    const slideNumber = parseInt(hashMatch ? hashMatch[1] : slideParam, 10);
     
-    this.currentSlide = this.currentSlide === 0 ? this.totalSlides - 1 : this.currentSlide - 1;
-    this.updateSliderPosition();
+    return slideNumber > 0 ? slideNumber - 1 : null;
   }
 
-  goToSlide(slideIndex) {
-    if (this.isAnimating || this.totalSlides === 0 || slideIndex === this.currentSlide) return;
+  // User navigation adds a history entry; autoplay only keeps an existing deep link accurate
+  handleSlideChange({ trigger }) {
+    this.updateActiveThumbnail();
     
-    this.currentSlide = slideIndex;
-    this.updateSliderPosition();
+    switch (trigger) {
+      case 'autoplay':
+        this.updateSlideHistory(this.getSlideFromUrl() !== null ? 'replace' : false);
+        break;
+      case 'history':
+      case 'layout':
+      case 'filter':
+        break;
+      default:
+        this.updateSlideHistory('push');
+    }
   }
 
-  updateSliderPosition() {
-    const sliderTrack = document.getElementById('sliderTrack');
-    const indicators = document.querySelectorAll('.indicator');
+  updateSlideHistory(mode = 'push') {
+    if (!mode || !window.history || typeof window.history.pushState !== 'function') return;
+
+    const url = this.getSlideUrl(this.slider.currentIndex);
+    if (url === window.location.href) return;
     
-    if (!sliderTrack) return;
+    const state = { ...window.history.state, slide: this.slider.currentIndex };
+    
+    if (mode === 'replace') {
+      window.history.replaceState(state, '', url);
+    } else {
+      window.history.pushState(state, '', url);
+    }
+  }
 
-    this.isAnimating = true;
-    const translateX = -this.currentSlide * 100;
-    sliderTrack.style.transform = `translateX(${translateX}%)`;
+  setupSlideDeepLinks() {
+    if (this.slideDeepLinksReady) return;
+    this.slideDeepLinksReady = true;
 
-    // Update indicators
-    indicators.forEach((indicator, index) => {
-      if (index === this.currentSlide) {
-        indicator.classList.add('active');
-        indicator.setAttribute('aria-current', 'true');
-      } else {
-        indicator.classList.remove('active');
-        indicator.setAttribute('aria-current', 'false');
+    // Back/forward walks through the slides that were visited
+    window.addEventListener('popstate', (e) => {
+      const category = this.getCategoryFromUrl();
+      if (category !== this.activePortfolioCategory) {
+        this.filterPortfolio(category, { updateHistory: false });
       }
+      
+      const slideIndex = e.state && typeof e.state.slide === 'number'
+        ? e.state.slide
+        : this.getSlideFromUrl();
+      
+      if (slideIndex === null) return;
+      
+      this.slider.goTo(slideIndex, { trigger: 'history', force: true });
     });
 
-    // Reset animation flag after transition
-    setTimeout(() => {
-      this.isAnimating = false;
-    }, 500);
+    const linkedSlide = this.getSlideFromUrl();
+    
+    if (linkedSlide !== null && linkedSlide < this.slider.slideCount) {
+      this.slider.goTo(linkedSlide, { trigger: 'history', animate: false });
+      
+      // Section routing has already put the page where the link (or the reload) left it
+      const resultsSection = document.getElementById('results');
+      if (resultsSection && !this.initialScrollRestored) {
+        this.scrollToSection(resultsSection);
+      }
+    }
+
+    // Remember where the entry we landed on started, so Back can return to it
+    if (window.history && typeof window.history.replaceState === 'function') {
+      window.history.replaceState({ ...window.history.state, slide: this.slider.currentIndex }, '');
+    }
   }
 
   // Contact Form
@@ -1497,114 +1977,81 @@ Source: ${data.source}
       document.removeEventListener('keydown', this.focusTrapHandler);
       this.focusTrapHandler = null;
     }
-  }
-}
-
-// Initialize the application
-const app = new PortfolioApp();
-
-// Fallback mobile menu initialization (in case main app fails)
-document.addEventListener('DOMContentLoaded', () => {
-  console.log('🚀 DOM loaded - checking mobile menu fallback...');
-  
-  // Wait a bit for main app to initialize
-  setTimeout(() => {
-    const navToggle = document.getElementById('navToggle');
-    const navMenu = document.getElementById('navMenu');
     
-    if (!navToggle || !navMenu) {
-      console.log('❌ Mobile menu elements not found for fallback');
-      return;
+    if (this.mobileMenu) {
+      this.mobileMenu.destroy();
+      this.mobileMenu = null;
     }
     
-    // Check if menu is already working
-    const hasClickListener = navToggle.onclick !== null;
-    const hasEventListeners = navToggle.getAttribute('data-menu-initialized') === 'true';
+    if (this.scrollSpy) {
+      this.scrollSpy.destroy();
+      this.scrollSpy = null;
+      document.removeEventListener('sectionchange', this.handleSectionChange);
+    }
     
-    if (!hasClickListener && !hasEventListeners) {
-      console.log('🔧 Initializing fallback mobile menu...');
-      
-      // Simple fallback toggle
-      const fallbackToggle = () => {
-        console.log('🔄 Fallback toggle activated');
-        const isActive = navMenu.classList.contains('active');
-        
-        if (isActive) {
-          navToggle.classList.remove('active');
-          navMenu.classList.remove('active');
-          document.body.classList.remove('nav-open');
-          console.log('📴 Fallback: Menu closed');
-        } else {
-          navToggle.classList.add('active');
-          navMenu.classList.add('active');
-          document.body.classList.add('nav-open');
-          console.log('📱 Fallback: Menu opened');
-        }
-      };
-      
-      // Add all possible event types
-      navToggle.addEventListener('click', fallbackToggle);
-      navToggle.addEventListener('touchend', fallbackToggle);
-      navToggle.addEventListener('pointerdown', fallbackToggle);
-      
-      // Mark as initialized
-      navToggle.setAttribute('data-menu-initialized', 'true');
-      
-      console.log('✅ Fallback mobile menu initialized');
-    } else {
-      console.log('✅ Mobile menu already initialized by main app');
+    if (this.scrollAnimator) {
+      this.scrollAnimator.destroy();
     }
-  }, 2000);
-});
-
-// Emergency mobile menu fix - runs immediately
-(function() {
-  console.log('🚨 Emergency mobile menu check...');
-  
-  const initEmergencyMenu = () => {
-    const navToggle = document.getElementById('navToggle');
-    const navMenu = document.getElementById('navMenu');
     
-    if (navToggle && navMenu && !navToggle.hasAttribute('data-emergency-init')) {
-      console.log('🆘 Setting up emergency mobile menu...');
-      
-      navToggle.onclick = function(e) {
-        console.log('🆘 Emergency click handler activated');
-        e.preventDefault();
-        
-        const isActive = navMenu.classList.contains('active');
-        
-        if (isActive) {
-          navToggle.classList.remove('active');
-          navMenu.classList.remove('active');
-          document.body.classList.remove('nav-open');
-        } else {
-          navToggle.classList.add('active');
-          navMenu.classList.add('active');
-          document.body.classList.add('nav-open');
-        }
-      };
-      
-      navToggle.setAttribute('data-emergency-init', 'true');
-      console.log('✅ Emergency mobile menu ready');
-    }
-  };
-  
-  // Try immediately
-  initEmergencyMenu();
-  
-  // Try again when DOM is ready
-  if (document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', initEmergencyMenu);
-  }
-  
-  // Try again after a delay
-  setTimeout(initEmergencyMenu, 1000);
-})();
-
-// Cleanup on page unload for performance
-window.addEventListener('beforeunload', () => {
-  if (app && typeof app.cleanup === 'function') {
+    if (this.navbarScroll) {
+      this.navbarScroll.destroy();
+      this.navbarScroll = null;
+    }
+    
+    if (this.quoteCtaObserver) {
+      this.quoteCtaObserver.disconnect();
+      this.quoteCtaObserver = null;
+    }
+    
+    if (this.shortcuts) {
+      this.shortcuts.destroy();
+      this.shortcuts = null;
+    }
+    
+    if (this.portfolioFilters) {
+      this.portfolioFilters.remove();
+      this.portfolioFilters = null;
+    }
+    
+    this.comparisons.forEach(comparison => comparison.destroy());
+    this.comparisons = [];
+    
+    if (this.thumbnailStrip) {
+      this.thumbnailStrip.remove();
+      this.thumbnailStrip = null;
+    }
+    
+    if (this.slider) {
+      this.slider.root.classList.remove('has-thumbnails');
+      this.slider.destroy();
+      this.slider = null;
+    }
+    
+    if (this.lightbox) {
+      this.lightbox.destroy();
+      this.lightbox = null;
+    }
+    
+    if (this.shortsViewer) {
+      this.shortsViewer.destroy();
+      this.shortsViewer = null;
+    }
+    
+    if (this.shortsLauncher) {
+      this.shortsLauncher.remove();
+      this.shortsLauncher = null;
+    }
+  }
+}
+
+// Initialize the application
+const app = new PortfolioApp();
+
+// Cleanup once the page is really going away. Not on beforeunload: that also fires for
+// mailto: links, after which the page stays open, and before the back/forward cache
+// keeps the page (pagehide with persisted), which would restore it without its components
+window.addEventListener('pagehide', (e) => {
+  if (!e.persisted && app && typeof app.cleanup === 'function') {
     app.cleanup();
   }
 });
@@ -0,0 +1,214 @@
+/**
+ * Mobile Menu Controller for GofieVFX Portfolio
+ *
+ * The one place the hamburger menu is wired up:
+ * 1. An explicit closed/open state machine; every change goes through transition()
+ * 2. Idempotent setup: MobileMenu.attach() returns the existing controller for a toggle
+ * 3. aria-expanded and aria-controls on the toggle, kept in step with the state
+ * 4. Closes on a nav link, an outside click, Escape and resizing up to desktop
+ * 5. getState() reports what the controller knows, for mobile-menu-diagnostic.html
+ *
+ * Expected markup:
+ *   <button class="nav-toggle" id="navToggle">…</button>
+ *   <ul class="nav-menu" id="navMenu">…</ul>
+ *
+ * Open means .active on the toggle and the menu, and .nav-open on <body>.
+ */
+
+class MobileMenu {
+  constructor(toggle, menu, options = {}) {
+    this.options = {
+      // Widest viewport (px) that uses the hamburger; matches the CSS breakpoint
+      maxWidth: 767,
+      // Transitions kept for getState()
+      historyLength: 10,
+      onChange: null,
+      ...options
+    };
+
+    this.toggle = toggle;
+    this.menu = menu;
+    this.state = 'closed';
+    this.history = [];
+    this.isInitialized = false;
+
+    this.handleToggleClick = this.handleToggleClick.bind(this);
+    this.handleMenuClick = this.handleMenuClick.bind(this);
+    this.handleDocumentClick = this.handleDocumentClick.bind(this);
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handleResize = this.handleResize.bind(this);
+
+    this.init();
+  }
+
+  /**
+   * The controller already attached to this toggle, or a new one
+   */
+  static attach(toggle, menu, options = {}) {
+    if (!toggle || !menu) return null;
+
+    return MobileMenu.instances.get(toggle) || new MobileMenu(toggle, menu, options);
+  }
+
+  /**
+   * The controller attached to this toggle, if any
+   */
+  static get(toggle) {
+    return MobileMenu.instances.get(toggle) || null;
+  }
+
+  init() {
+    if (this.isInitialized) return;
+
+    if (!this.menu.id) {
+      this.menu.id = 'navMenu';
+    }
+
+    this.toggle.setAttribute('aria-controls', this.menu.id);
+
+    // A click covers mouse, touch and keyboard, so one tap is exactly one toggle
+    this.toggle.addEventListener('click', this.handleToggleClick);
+    this.menu.addEventListener('click', this.handleMenuClick);
+    document.addEventListener('click', this.handleDocumentClick);
+    document.addEventListener('keydown', this.handleKeydown);
+    window.addEventListener('resize', this.handleResize);
+
+    MobileMenu.instances.set(this.toggle, this);
+    this.isInitialized = true;
+    this.render();
+  }
+
+  get isOpen() {
+    return this.state === 'open';
+  }
+
+  open(reason = 'api') {
+    return this.transition('open', reason);
+  }
+
+  close(reason = 'api') {
+    return this.transition('close', reason);
+  }
+
+  toggleMenu(reason = 'api') {
+    return this.transition(this.isOpen ? 'close' : 'open', reason);
+  }
+
+  /**
+   * Applies an action if the current state allows it
+   * Returns false when it doesn't (opening an open menu, say)
+   */
+  transition(action, reason) {
+    const nextState = MobileMenu.TRANSITIONS[this.state][action];
+    if (!nextState) return false;
+
+    const previousState = this.state;
+    this.state = nextState;
+    this.render();
+
+    this.history.push({ from: previousState, to: nextState, reason, time: Date.now() });
+    if (this.history.length > this.options.historyLength) {
+      this.history.shift();
+    }
+
+    if (typeof this.options.onChange === 'function') {
+      this.options.onChange(nextState, reason);
+    }
+
+    return true;
+  }
+
+  render() {
+    const { isOpen } = this;
+
+    this.toggle.classList.toggle('active', isOpen);
+    this.menu.classList.toggle('active', isOpen);
+    document.body.classList.toggle('nav-open', isOpen);
+    this.toggle.setAttribute('aria-expanded', String(isOpen));
+  }
+
+  handleToggleClick(e) {
+    e.preventDefault();
+    this.toggleMenu('toggle');
+  }
+
+  // Following a nav link closes the menu behind it
+  handleMenuClick(e) {
+    if (e.target.closest('a')) {
+      this.close('link');
+    }
+  }
+
+  handleDocumentClick(e) {
+    if (!this.isOpen || this.toggle.contains(e.target) || this.menu.contains(e.target)) return;
+
+    this.close('outside');
+  }
+
+  handleKeydown(e) {
+    if (e.key !== 'Escape' || !this.isOpen) return;
+
+    // Focus inside the menu would be lost as it hides
+    const hadFocus = this.menu.contains(document.activeElement);
+    this.close('escape');
+
+    if (hadFocus) {
+      this.toggle.focus();
+    }
+  }
+
+  handleResize() {
+    if (window.innerWidth > this.options.maxWidth) {
+      this.close('resize');
+    }
+  }
+
+  /**
+   * A snapshot of the controller and the DOM it manages
+   */
+  getState() {
+    return {
+      state: this.state,
+      initialized: this.isInitialized,
+      toggleId: this.toggle.id || null,
+      menuId: this.menu.id,
+      ariaExpanded: this.toggle.getAttribute('aria-expanded'),
+      ariaControls: this.toggle.getAttribute('aria-controls'),
+      bodyLocked: document.body.classList.contains('nav-open'),
+      // The hamburger is only in play up to maxWidth
+      mobileViewport: window.innerWidth <= this.options.maxWidth,
+      toggleVisible: this.toggle.offsetParent !== null || getComputedStyle(this.toggle).position === 'fixed',
+      history: this.history.slice()
+    };
+  }
+
+  destroy() {
+    this.close('destroy');
+
+    this.toggle.removeEventListener('click', this.handleToggleClick);
+    this.menu.removeEventListener('click', this.handleMenuClick);
+    document.removeEventListener('click', this.handleDocumentClick);
+    document.removeEventListener('keydown', this.handleKeydown);
+    window.removeEventListener('resize', this.handleResize);
+
+    MobileMenu.instances.delete(this.toggle);
+    this.isInitialized = false;
+  }
+}
+
+// Allowed actions per state
+MobileMenu.TRANSITIONS = {
+  closed: { open: 'open' },
+  open: { close: 'closed' }
+};
+
+// One controller per toggle button
+MobileMenu.instances = new WeakMap();
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = MobileMenu;
+}
+
+// Make available globally
+window.MobileMenu = MobileMenu;
@@ -0,0 +1,124 @@
+/**
+ * Modal Dialog for GofieVFX Portfolio
+ *
+ * The modal behaviour shared by the lightbox and the shorts viewer:
+ * 1. Shows and hides the dialog element, with a body class that stops the page scrolling
+ * 2. Escape closes and Tab cycles inside the dialog while it is open
+ * 3. Focus moves into the dialog on open and back to the trigger on close
+ * 4. Every other key is passed to onKeydown, so each viewer keeps its own shortcuts
+ */
+
+class ModalDialog {
+  constructor(element, options = {}) {
+    this.options = {
+      // Class on <body> while open
+      bodyClass: 'modal-open',
+      // What Tab cycles through
+      focusable: 'button, video[controls], a[href]',
+      // Element focused on open; the first focusable element when not given
+      initialFocus: null,
+      onKeydown: null,
+      // Runs on every close, before focus goes back, so the owner can stop its media
+      onClose: null,
+      ...options
+    };
+
+    this.element = element;
+    this.isOpen = false;
+    this.returnFocusTo = null;
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /**
+   * Shows the dialog and moves focus into it; trigger gets focus back on close
+   */
+  open(trigger = document.activeElement) {
+    if (this.isOpen) return;
+
+    this.returnFocusTo = trigger;
+    this.isOpen = true;
+
+    this.element.hidden = false;
+    document.body.classList.add(this.options.bodyClass);
+    document.addEventListener('keydown', this.handleKeydown);
+
+    const initialFocus = this.options.initialFocus || this.getFocusableElements()[0];
+    if (initialFocus) {
+      initialFocus.focus();
+    }
+  }
+
+  close() {
+    if (!this.isOpen) return;
+
+    this.isOpen = false;
+    this.element.hidden = true;
+    document.body.classList.remove(this.options.bodyClass);
+    document.removeEventListener('keydown', this.handleKeydown);
+
+    if (typeof this.options.onClose === 'function') {
+      this.options.onClose();
+    }
+
+    if (this.returnFocusTo && typeof this.returnFocusTo.focus === 'function') {
+      this.returnFocusTo.focus();
+    }
+    this.returnFocusTo = null;
+  }
+
+  handleKeydown(e) {
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    } else if (e.key === 'Tab') {
+      this.trapFocus(e);
+    } else if (typeof this.options.onKeydown === 'function') {
+      this.options.onKeydown(e);
+    }
+  }
+
+  getFocusableElements() {
+    return Array.from(this.element.querySelectorAll(this.options.focusable))
+      .filter(el => !el.hidden && !el.disabled);
+  }
+
+  /**
+   * Keeps Tab cycling inside the dialog
+   */
+  trapFocus(e) {
+    const focusableElements = this.getFocusableElements();
+    if (!focusableElements.length) return;
+
+    const firstFocusableElement = focusableElements[0];
+    const lastFocusableElement = focusableElements[focusableElements.length - 1];
+
+    if (!this.element.contains(document.activeElement)) {
+      firstFocusableElement.focus();
+      e.preventDefault();
+    } else if (e.shiftKey) {
+      if (document.activeElement === firstFocusableElement) {
+        lastFocusableElement.focus();
+        e.preventDefault();
+      }
+    } else if (document.activeElement === lastFocusableElement) {
+      firstFocusableElement.focus();
+      e.preventDefault();
+    }
+  }
+
+  /**
+   * Closes the dialog; removing the element is left to its owner
+   */
+  destroy() {
+    this.close();
+  }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ModalDialog;
+}
+
+// Make available globally
+window.ModalDialog = ModalDialog;
@@ -0,0 +1,193 @@
+/**
+ * Navbar Scroll Behaviour for GofieVFX Portfolio
+ *
+ * Gives the page back to the content while reading:
+ * 1. The navbar slides away when scrolling down and returns once the reader
+ *    scrolls back up by revealDistance (or reaches the top of the page)
+ * 2. It stays in place while pinned (isPinned(), e.g. the mobile menu is open)
+ *    or while focus is inside it, and keyboard focus entering it brings it back
+ * 3. .scrolled past topOffset, for the denser background
+ * 4. A thin reading progress bar along the navbar's bottom edge, with a mark at
+ *    every boundary between sections; it stays at the top of the viewport while
+ *    the navbar is away
+ *
+ * Hidden means .navbar-hidden on the navbar; the slide itself is CSS.
+ */
+
+class NavbarScroll {
+  constructor(navbar, options = {}) {
+    this.options = {
+      // Within this distance (px) of the top the navbar is always shown and not .scrolled
+      topOffset: 100,
+      // Distance (px) scrolled down in one go before it hides, so small jitters don't
+      hideDistance: 10,
+      // Distance (px) scrolled back up before it returns
+      revealDistance: 50,
+      // Sections whose boundaries are marked on the progress bar
+      sections: [],
+      // Keeps the navbar shown while this returns true
+      isPinned: () => false,
+      ...options
+    };
+
+    this.navbar = navbar;
+    this.sections = Array.from(this.options.sections);
+    this.isHidden = false;
+    this.lastScrollY = window.scrollY;
+    // Where the current run of scrolling in one direction began
+    this.turnScrollY = this.lastScrollY;
+    this.ticking = false;
+
+    this.handleScroll = this.handleScroll.bind(this);
+    this.handleResize = this.handleResize.bind(this);
+    this.handleFocusIn = this.handleFocusIn.bind(this);
+
+    this.buildProgress();
+
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+    window.addEventListener('resize', this.handleResize);
+    // Images and fonts move the sections after the first layout
+    window.addEventListener('load', this.handleResize);
+    this.navbar.addEventListener('focusin', this.handleFocusIn);
+
+    this.renderMarks();
+    this.update();
+  }
+
+  buildProgress() {
+    const progress = document.createElement('div');
+    progress.className = 'scroll-progress';
+    // The scrollbar already tells assistive technology the same
+    progress.setAttribute('aria-hidden', 'true');
+    progress.innerHTML = '<div class="scroll-progress-bar"></div><div class="scroll-progress-marks"></div>';
+
+    this.progress = progress;
+    this.progressBar = progress.querySelector('.scroll-progress-bar');
+    this.progressMarks = progress.querySelector('.scroll-progress-marks');
+
+    this.navbar.appendChild(progress);
+  }
+
+  // Batches scroll bursts into one update per frame
+  handleScroll() {
+    if (this.ticking) return;
+
+    this.ticking = true;
+    requestAnimationFrame(() => {
+      this.ticking = false;
+      this.update();
+    });
+  }
+
+  handleResize() {
+    this.renderMarks();
+    this.handleScroll();
+  }
+
+  handleFocusIn() {
+    this.show();
+  }
+
+  getMaxScroll() {
+    return Math.max(0, document.documentElement.scrollHeight - window.innerHeight);
+  }
+
+  /**
+   * Applies the current scroll position to the navbar and the progress bar
+   */
+  update() {
+    const scrollY = Math.max(0, window.scrollY);
+    const { topOffset, hideDistance, revealDistance } = this.options;
+
+    this.navbar.classList.toggle('scrolled', scrollY > topOffset);
+
+    // A change of direction starts a new run
+    const direction = Math.sign(scrollY - this.lastScrollY);
+    const previousDirection = Math.sign(this.lastScrollY - this.turnScrollY);
+    if (direction !== 0 && direction !== previousDirection) {
+      this.turnScrollY = this.lastScrollY;
+    }
+    this.lastScrollY = scrollY;
+
+    if (scrollY <= topOffset || this.isPinned()) {
+      this.show();
+    } else if (scrollY - this.turnScrollY >= hideDistance) {
+      this.hide();
+    } else if (this.turnScrollY - scrollY >= revealDistance) {
+      this.show();
+    }
+
+    this.updateProgress(scrollY);
+  }
+
+  isPinned() {
+    return Boolean(this.options.isPinned()) || this.navbar.contains(document.activeElement);
+  }
+
+  show() {
+    if (!this.isHidden) return;
+
+    this.isHidden = false;
+    this.navbar.classList.remove('navbar-hidden');
+  }
+
+  hide() {
+    if (this.isHidden) return;
+
+    this.isHidden = true;
+    this.navbar.classList.add('navbar-hidden');
+  }
+
+  updateProgress(scrollY) {
+    const maxScroll = this.getMaxScroll();
+    const progress = maxScroll > 0 ? Math.min(scrollY / maxScroll, 1) : 0;
+
+    this.progressBar.style.transform = `scaleX(${progress})`;
+
+    this.progressMarks.querySelectorAll('.scroll-progress-mark').forEach(mark => {
+      mark.classList.toggle('passed', progress >= parseFloat(mark.dataset.progress));
+    });
+  }
+
+  /**
+   * One mark per section after the first, at the progress where it reaches the navbar
+   */
+  renderMarks() {
+    const maxScroll = this.getMaxScroll();
+    const navbarHeight = this.navbar.offsetHeight;
+
+    const marks = this.sections.slice(1).map(section => {
+      const top = section.getBoundingClientRect().top + window.scrollY - navbarHeight;
+      return maxScroll > 0 ? top / maxScroll : 0;
+    })
+      // Sections that start in the first or last screen have no boundary worth marking
+      .filter(progress => progress > 0 && progress < 1)
+      .map(progress => {
+        const mark = document.createElement('span');
+        mark.className = 'scroll-progress-mark';
+        mark.dataset.progress = progress.toFixed(4);
+        mark.style.left = `${(progress * 100).toFixed(2)}%`;
+        return mark;
+      });
+
+    this.progressMarks.replaceChildren(...marks);
+  }
+
+  destroy() {
+    window.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('resize', this.handleResize);
+    window.removeEventListener('load', this.handleResize);
+    this.navbar.removeEventListener('focusin', this.handleFocusIn);
+
+    this.navbar.classList.remove('navbar-hidden', 'scrolled');
+    this.progress.remove();
+  }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NavbarScroll;
+}
+
+// Make available globally
+window.NavbarScroll = NavbarScroll;
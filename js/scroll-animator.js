@@ -0,0 +1,157 @@
+/**
+ * Scroll Animator for GofieVFX Portfolio
+ *
+ * The one smooth page scroll used by nav links, back-to-top and slide deep links:
+ * 1. scrollTo() returns a Promise: true once it arrives, false if it was cut short
+ * 2. Wheel, touch, a mouse press or a scrolling key stops it, so it never fights the visitor
+ * 3. Named easings, and a duration that grows with the distance (within limits)
+ * 4. Jumps straight there when prefers-reduced-motion is set
+ * 5. A new scroll replaces one still running
+ */
+
+class ScrollAnimator {
+  constructor(options = {}) {
+    this.options = {
+      easing: 'easeInOutQuad',
+      // Duration = distance / speed (px per ms), kept between minDuration and maxDuration
+      speed: 3,
+      minDuration: 250,
+      maxDuration: 900,
+      ...options
+    };
+
+    this.frame = null;
+    this.finish = null;
+
+    this.handleUserInput = this.handleUserInput.bind(this);
+  }
+
+  get isScrolling() {
+    return this.finish !== null;
+  }
+
+  /**
+   * Scrolls the page to top (px)
+   * options.easing (a name from ScrollAnimator.easings or a function) and
+   * options.duration (ms) override the defaults for this scroll
+   */
+  scrollTo(top, options = {}) {
+    this.cancel();
+
+    // A page that hasn't been laid out reports no scroll height; trust the caller then
+    const maxScroll = document.documentElement.scrollHeight - window.innerHeight;
+    const target = Math.max(0, maxScroll > 0 ? Math.min(top, maxScroll) : top);
+    const start = window.scrollY;
+    const distance = target - start;
+
+    if (distance === 0) {
+      return Promise.resolve(true);
+    }
+
+    if (this.prefersReducedMotion()) {
+      this.jumpTo(target);
+      return Promise.resolve(true);
+    }
+
+    const easing = this.getEasing(options.easing || this.options.easing);
+    const duration = options.duration !== undefined ? options.duration : this.getDuration(distance);
+    const startTime = performance.now();
+
+    return new Promise(resolve => {
+      this.finish = (completed) => {
+        cancelAnimationFrame(this.frame);
+        this.frame = null;
+        this.finish = null;
+        this.removeInputListeners();
+        resolve(completed);
+      };
+
+      this.addInputListeners();
+
+      const step = () => {
+        const progress = duration > 0 ? Math.min((performance.now() - startTime) / duration, 1) : 1;
+        this.jumpTo(start + distance * easing(progress));
+
+        if (progress < 1) {
+          this.frame = requestAnimationFrame(step);
+        } else {
+          this.finish(true);
+        }
+      };
+
+      this.frame = requestAnimationFrame(step);
+    });
+  }
+
+  // Stops a running scroll where it is; its Promise resolves to false
+  cancel() {
+    if (this.finish) {
+      this.finish(false);
+    }
+  }
+
+  getDuration(distance) {
+    const { speed, minDuration, maxDuration } = this.options;
+    return Math.min(maxDuration, Math.max(minDuration, Math.abs(distance) / speed));
+  }
+
+  getEasing(easing) {
+    if (typeof easing === 'function') return easing;
+    return ScrollAnimator.easings[easing] || ScrollAnimator.easings.easeInOutQuad;
+  }
+
+  // 'instant' overrides the stylesheet's scroll-behavior: smooth for each step
+  jumpTo(top) {
+    window.scrollTo({ top, behavior: 'instant' });
+  }
+
+  prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  handleUserInput(e) {
+    // A key something else already handled (Space on a nav link, say) won't scroll the page
+    if (e.type === 'keydown' && (e.defaultPrevented || !ScrollAnimator.SCROLL_KEYS.includes(e.key))) return;
+
+    this.cancel();
+  }
+
+  addInputListeners() {
+    window.addEventListener('wheel', this.handleUserInput, { passive: true });
+    window.addEventListener('touchstart', this.handleUserInput, { passive: true });
+    window.addEventListener('mousedown', this.handleUserInput);
+    window.addEventListener('keydown', this.handleUserInput);
+  }
+
+  removeInputListeners() {
+    window.removeEventListener('wheel', this.handleUserInput, { passive: true });
+    window.removeEventListener('touchstart', this.handleUserInput, { passive: true });
+    window.removeEventListener('mousedown', this.handleUserInput);
+    window.removeEventListener('keydown', this.handleUserInput);
+  }
+
+  destroy() {
+    this.cancel();
+  }
+}
+
+// Progress curves: t is elapsed time from 0 to 1
+ScrollAnimator.easings = {
+  linear: t => t,
+  easeInOutQuad: t => (t < 0.5 ? 2 * t * t : 1 - Math.pow(-2 * t + 2, 2) / 2),
+  easeOutQuad: t => t * (2 - t),
+  easeInOutCubic: t => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeOutCubic: t => 1 - Math.pow(1 - t, 3)
+};
+
+// Keys that scroll the page themselves
+ScrollAnimator.SCROLL_KEYS = ['ArrowUp', 'ArrowDown', 'PageUp', 'PageDown', 'Home', 'End', ' '];
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScrollAnimator;
+}
+
+// Make available globally
+window.ScrollAnimator = ScrollAnimator;
@@ -0,0 +1,152 @@
+/**
+ * Scroll Spy for GofieVFX Portfolio
+ *
+ * Works out which section the reader is in, once, for everything that cares:
+ * 1. A section is current once its top passes a reading line below the fixed
+ *    navbar (offset) plus a share of the remaining viewport (lineRatio)
+ * 2. Hysteresis keeps short sections from flapping as they cross the line
+ * 3. The last section wins once the page is scrolled to the bottom
+ * 4. Dispatches a bubbling sectionchange event from the new section
+ *    (detail: { id, previousId, section })
+ * 5. Optionally mirrors the current section into the URL hash with history.replaceState
+ *
+ * Listen with:
+ *   document.addEventListener('sectionchange', (e) => console.log(e.detail.id));
+ */
+
+class ScrollSpy {
+  constructor(sections, options = {}) {
+    this.options = {
+      // Height (px) of whatever is fixed over the top of the page, or a function returning it
+      offset: 0,
+      // Share of the viewport below the offset where the reading line sits
+      lineRatio: 0.3,
+      // Distance (px) past the line before the current section gives way
+      hysteresis: 40,
+      // Keep location.hash on the current section (replaceState, so no history entries)
+      syncHash: false,
+      ...options
+    };
+
+    this.sections = Array.from(sections).filter(section => section.id);
+    this.currentId = null;
+    this.ticking = false;
+
+    this.handleScroll = this.handleScroll.bind(this);
+
+    window.addEventListener('scroll', this.handleScroll, { passive: true });
+    window.addEventListener('resize', this.handleScroll);
+
+    this.update();
+  }
+
+  getOffset() {
+    const { offset } = this.options;
+    return typeof offset === 'function' ? offset() : offset;
+  }
+
+  // Viewport y of the reading line
+  getReadingLine() {
+    const offset = this.getOffset();
+    return offset + (window.innerHeight - offset) * this.options.lineRatio;
+  }
+
+  // Batches scroll and resize bursts into one update per frame
+  handleScroll() {
+    if (this.ticking) return;
+
+    this.ticking = true;
+    requestAnimationFrame(() => {
+      this.ticking = false;
+      this.update();
+    });
+  }
+
+  /**
+   * Recomputes the current section and announces it if it changed
+   */
+  update() {
+    if (!this.sections.length) return;
+
+    const tops = this.sections.map(section => section.getBoundingClientRect().top);
+    const line = this.getReadingLine();
+    const { hysteresis } = this.options;
+    const currentIndex = this.sections.findIndex(section => section.id === this.currentId);
+
+    let index;
+    if (this.isAtBottom()) {
+      // Short closing sections never reach the line
+      index = this.sections.length - 1;
+    } else if (currentIndex === -1) {
+      index = this.findSectionAt(tops, line);
+    } else {
+      // The current section stays while it's current for any line within the margin
+      const earliest = this.findSectionAt(tops, line - hysteresis);
+      const latest = this.findSectionAt(tops, line + hysteresis);
+      index = Math.min(Math.max(currentIndex, earliest), latest);
+    }
+
+    this.setCurrent(this.sections[index]);
+  }
+
+  // The last section whose top has reached the line (the first one above them all)
+  findSectionAt(tops, line) {
+    let index = 0;
+    tops.forEach((top, i) => {
+      if (top <= line) {
+        index = i;
+      }
+    });
+
+    return index;
+  }
+
+  isAtBottom() {
+    const scrollHeight = document.documentElement.scrollHeight;
+
+    // Pages shorter than the viewport have no bottom to reach
+    return scrollHeight > window.innerHeight &&
+      window.scrollY + window.innerHeight >= scrollHeight - 2;
+  }
+
+  setCurrent(section) {
+    if (section.id === this.currentId) return;
+
+    const previousId = this.currentId;
+    this.currentId = section.id;
+
+    // The section the page loaded on is left alone; only reading moves the hash
+    if (this.options.syncHash && previousId !== null) {
+      this.syncHash(section.id);
+    }
+
+    section.dispatchEvent(new CustomEvent('sectionchange', {
+      bubbles: true,
+      detail: { id: section.id, previousId, section }
+    }));
+  }
+
+  syncHash(id) {
+    if (!window.history || typeof window.history.replaceState !== 'function') return;
+
+    // Deeper links into the section (#results/slide-3) already point at it
+    const { hash } = window.location;
+    if (hash === `#${id}` || hash.startsWith(`#${id}/`)) return;
+
+    window.history.replaceState(window.history.state, '', `#${id}`);
+  }
+
+  destroy() {
+    window.removeEventListener('scroll', this.handleScroll);
+    window.removeEventListener('resize', this.handleScroll);
+    this.sections = [];
+  }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ScrollSpy;
+}
+
+// Make available globally
+window.ScrollSpy = ScrollSpy;
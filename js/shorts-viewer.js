@@ -0,0 +1,502 @@
+/**
+ * Shorts Viewer for GofieVFX Portfolio
+ *
+ * A full-height, one-at-a-time viewer for 9:16 short-form work:
+ * 1. Vertical swipe, the mouse wheel and the slider's keys (arrows, Home/End) move between items
+ * 2. The active clip plays muted; a tap (or the sound button) unmutes it
+ * 3. A progress bar per item; clips play through and images are held for
+ *    imageDuration, then the viewer moves on
+ * 4. Modal dialog with Escape, a focus trap and focus returned on close (ModalDialog)
+ */
+
+class ShortsViewer {
+  constructor(options = {}) {
+    this.options = {
+      // How long an image stays up before moving on (ms)
+      imageDuration: 5000,
+      // Wheel delta (px) that counts as one step
+      wheelThreshold: 50,
+      // Quiet time (ms) that ends a wheel gesture, so trackpad momentum moves one item
+      wheelIdle: 200,
+      // Drag distance (px) or release velocity (px/ms) that changes item
+      swipeThreshold: 60,
+      flickVelocity: 0.3,
+      onClose: null,
+      ...options,
+      labels: {
+        dialog: 'Short-form viewer',
+        close: 'Close viewer',
+        previous: 'Previous clip',
+        next: 'Next clip',
+        mute: 'Mute',
+        unmute: 'Tap to unmute',
+        ...options.labels
+      }
+    };
+
+    this.items = [];
+    this.currentIndex = 0;
+    this.isMuted = true;
+    this.modal = null;
+
+    this.itemStartTime = 0;
+    this.progressFrame = null;
+    this.playbackId = 0;
+    this.wheelDelta = 0;
+    this.wheelLocked = false;
+    this.wheelTimer = null;
+    this.swipeGesture = null;
+  }
+
+  /**
+   * Opens the viewer on the given item
+   */
+  open(items, index = 0, trigger = document.activeElement) {
+    if (!items || !items.length) return;
+
+    if (!this.element) {
+      this.build();
+    }
+
+    this.items = items;
+    this.renderItems();
+    this.modal.open(trigger);
+
+    this.show(Math.min(Math.max(index, 0), items.length - 1), { animate: false });
+  }
+
+  get isOpen() {
+    return Boolean(this.modal && this.modal.isOpen);
+  }
+
+  /**
+   * Closes the viewer; handleClose() reports the item that was last shown
+   */
+  close() {
+    if (this.modal) {
+      this.modal.close();
+    }
+  }
+
+  handleClose() {
+    this.stopCurrent();
+
+    if (typeof this.options.onClose === 'function') {
+      this.options.onClose(this.currentIndex);
+    }
+  }
+
+  next() {
+    this.show(this.currentIndex + 1);
+  }
+
+  previous() {
+    this.show(this.currentIndex - 1);
+  }
+
+  /**
+   * Moves to the item at index (no wrapping) and starts it
+   * options.animate = false jumps there without the slide transition
+   */
+  show(index, options = {}) {
+    if (index < 0 || index >= this.items.length) {
+      // Past either end: settle back onto the current item
+      this.positionTrack();
+      return;
+    }
+
+    this.stopCurrent();
+    this.currentIndex = index;
+
+    // Only the neighbours get media, so a long list doesn't load everything at once
+    [index - 1, index, index + 1].forEach(i => this.ensureMedia(i));
+
+    this.track.style.transition = options.animate === false ? 'none' : '';
+    this.positionTrack();
+
+    this.itemElements.forEach((itemElement, i) => {
+      const isCurrent = i === index;
+      itemElement.setAttribute('aria-hidden', String(!isCurrent));
+      itemElement.toggleAttribute('inert', !isCurrent);
+    });
+
+    this.segments.forEach((segment, i) => {
+      segment.classList.toggle('is-complete', i < index);
+      segment.firstElementChild.style.transform = `scaleX(${i < index ? 1 : 0})`;
+    });
+
+    this.prevBtn.disabled = index === 0;
+    this.nextBtn.disabled = index === this.items.length - 1;
+    this.counter.textContent = `${index + 1} / ${this.items.length}`;
+
+    this.playCurrent();
+  }
+
+  positionTrack(offset = 0) {
+    this.track.style.transform = `translateY(calc(${-this.currentIndex * 100}% + ${offset}px))`;
+  }
+
+  /**
+   * Creates the dialog markup and binds its handlers
+   */
+  build() {
+    const { labels } = this.options;
+
+    const element = document.createElement('div');
+    element.className = 'shorts-viewer';
+    element.hidden = true;
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-modal', 'true');
+    element.setAttribute('aria-label', labels.dialog);
+    element.innerHTML = `
+      <div class="shorts-progress" aria-hidden="true"></div>
+      <div class="shorts-stage">
+        <div class="shorts-track"></div>
+      </div>
+      <p class="shorts-counter" aria-live="polite"></p>
+      <button type="button" class="shorts-btn shorts-close" aria-label="${labels.close}">×</button>
+      <div class="shorts-nav">
+        <button type="button" class="shorts-btn shorts-prev" aria-label="${labels.previous}">▲</button>
+        <button type="button" class="shorts-btn shorts-next" aria-label="${labels.next}">▼</button>
+      </div>
+      <button type="button" class="shorts-sound" hidden></button>
+    `;
+
+    this.element = element;
+    this.progress = element.querySelector('.shorts-progress');
+    this.stage = element.querySelector('.shorts-stage');
+    this.track = element.querySelector('.shorts-track');
+    this.counter = element.querySelector('.shorts-counter');
+    this.closeBtn = element.querySelector('.shorts-close');
+    this.prevBtn = element.querySelector('.shorts-prev');
+    this.nextBtn = element.querySelector('.shorts-next');
+    this.soundBtn = element.querySelector('.shorts-sound');
+
+    this.modal = new window.ModalDialog(element, {
+      bodyClass: 'shorts-open',
+      initialFocus: this.closeBtn,
+      onKeydown: (e) => this.handleKeydown(e),
+      onClose: () => this.handleClose()
+    });
+
+    this.closeBtn.addEventListener('click', () => this.close());
+    this.prevBtn.addEventListener('click', () => this.previous());
+    this.nextBtn.addEventListener('click', () => this.next());
+    this.soundBtn.addEventListener('click', () => this.toggleMute());
+
+    // A tap on the clip toggles its sound (the swipe gesture swallows the click that ends a drag)
+    this.stage.addEventListener('click', () => this.toggleMute());
+
+    element.addEventListener('wheel', (e) => this.handleWheel(e), { passive: false });
+    this.setupSwipe();
+
+    document.body.appendChild(element);
+  }
+
+  /**
+   * One slot and one progress segment per item; media is added by ensureMedia()
+   */
+  renderItems() {
+    const slots = document.createDocumentFragment();
+    const segments = document.createDocumentFragment();
+
+    this.items.forEach((item, index) => {
+      const slot = document.createElement('div');
+      slot.className = 'shorts-item';
+      slot.dataset.index = index;
+      slot.setAttribute('role', 'group');
+      slot.setAttribute('aria-roledescription', 'clip');
+      slot.setAttribute('aria-label', `${index + 1} of ${this.items.length}`);
+
+      if (item.title) {
+        const caption = document.createElement('p');
+        caption.className = 'shorts-caption';
+        caption.textContent = item.title;
+        slot.appendChild(caption);
+      }
+
+      slots.appendChild(slot);
+
+      const segment = document.createElement('div');
+      segment.className = 'shorts-segment';
+      segment.appendChild(document.createElement('span'));
+      segments.appendChild(segment);
+    });
+
+    this.track.replaceChildren(slots);
+    this.progress.replaceChildren(segments);
+    this.itemElements = Array.from(this.track.children);
+    this.segments = Array.from(this.progress.children);
+  }
+
+  ensureMedia(index) {
+    const slot = this.itemElements[index];
+    const item = this.items[index];
+    if (!slot || !item || slot.querySelector('.shorts-media')) return;
+
+    let media;
+    if (item.type === 'video') {
+      media = document.createElement('video');
+      media.src = item.video;
+      media.muted = true;
+      media.playsInline = true;
+      media.preload = 'auto';
+      media.setAttribute('muted', '');
+      media.setAttribute('playsinline', '');
+      if (item.poster) media.poster = item.poster;
+      media.setAttribute('aria-label', item.alt || '');
+
+      // Clips play through once, then the viewer moves on
+      media.addEventListener('ended', () => {
+        if (this.isOpen && this.itemElements[this.currentIndex] === slot) {
+          this.advance();
+        }
+      });
+    } else {
+      media = document.createElement('img');
+      media.src = item.original;
+      media.alt = item.alt || '';
+      media.draggable = false;
+    }
+
+    media.classList.add('shorts-media');
+    slot.prepend(media);
+  }
+
+  getCurrentMedia() {
+    const slot = this.itemElements && this.itemElements[this.currentIndex];
+    return slot ? slot.querySelector('.shorts-media') : null;
+  }
+
+  playCurrent() {
+    const media = this.getCurrentMedia();
+    const isVideo = media && media.tagName === 'VIDEO';
+
+    this.soundBtn.hidden = !isVideo;
+    this.updateSoundButton();
+
+    if (isVideo) {
+      media.muted = this.isMuted;
+      media.currentTime = 0;
+
+      // Browsers may still refuse; the poster stays up and a tap starts it
+      const playback = media.play();
+      if (playback && typeof playback.catch === 'function') {
+        playback.catch(() => {});
+      }
+    }
+
+    this.itemStartTime = performance.now();
+    cancelAnimationFrame(this.progressFrame);
+
+    // A frame already queued for the previous item sees a newer playbackId and stops
+    const playbackId = ++this.playbackId;
+    const tick = () => {
+      if (playbackId === this.playbackId && this.isOpen && this.updateProgress()) {
+        this.progressFrame = requestAnimationFrame(tick);
+      }
+    };
+    this.progressFrame = requestAnimationFrame(tick);
+  }
+
+  stopCurrent() {
+    cancelAnimationFrame(this.progressFrame);
+    this.progressFrame = null;
+    this.playbackId++;
+
+    const media = this.getCurrentMedia();
+    if (media && media.tagName === 'VIDEO') {
+      media.pause();
+    }
+  }
+
+  /**
+   * Fills the current progress segment; images move on when their time is up
+   * Returns false once there is nothing left to track
+   */
+  updateProgress() {
+    const media = this.getCurrentMedia();
+    const isVideo = media && media.tagName === 'VIDEO';
+    const progress = isVideo
+      ? (media.duration ? media.currentTime / media.duration : 0)
+      : (performance.now() - this.itemStartTime) / this.options.imageDuration;
+
+    const segment = this.segments[this.currentIndex];
+    if (segment) {
+      segment.firstElementChild.style.transform = `scaleX(${Math.min(progress, 1)})`;
+    }
+
+    if (!isVideo && progress >= 1) {
+      // Held images don't run on by themselves for visitors who asked for less motion
+      if (!this.prefersReducedMotion()) {
+        this.advance();
+      }
+      return false;
+    }
+
+    return true;
+  }
+
+  // Next item, or stay on a full progress bar at the end
+  advance() {
+    if (this.currentIndex < this.items.length - 1) {
+      this.next();
+    } else {
+      this.stopCurrent();
+    }
+  }
+
+  prefersReducedMotion() {
+    return typeof window.matchMedia === 'function' &&
+      window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+  }
+
+  toggleMute() {
+    const media = this.getCurrentMedia();
+    if (!media || media.tagName !== 'VIDEO') return;
+
+    // The choice carries over to the next clips, like the Shorts players
+    this.isMuted = !this.isMuted;
+    media.muted = this.isMuted;
+
+    if (media.paused) {
+      const playback = media.play();
+      if (playback && typeof playback.catch === 'function') {
+        playback.catch(() => {});
+      }
+    }
+
+    this.updateSoundButton();
+  }
+
+  updateSoundButton() {
+    const { labels } = this.options;
+
+    this.soundBtn.textContent = this.isMuted ? `🔇 ${labels.unmute}` : '🔊';
+    this.soundBtn.setAttribute('aria-label', this.isMuted ? labels.unmute : labels.mute);
+    this.soundBtn.classList.toggle('is-muted', this.isMuted);
+  }
+
+  /**
+   * Vertical drags follow the finger, then step on a long enough drag or a flick
+   */
+  setupSwipe() {
+    if (typeof window.SwipeGesture !== 'function') return;
+
+    this.swipeGesture = new window.SwipeGesture(this.stage, {
+      axis: 'y',
+      onStart: () => {
+        this.track.style.transition = 'none';
+      },
+      onMove: ({ deltaY }) => {
+        // Resist dragging past the first and last item
+        const atEdge = (deltaY > 0 && this.currentIndex === 0) ||
+          (deltaY < 0 && this.currentIndex === this.items.length - 1);
+        this.positionTrack(atEdge ? deltaY / 3 : deltaY);
+      },
+      onEnd: ({ deltaY, velocityY, cancelled }) => {
+        this.track.style.transition = '';
+
+        const isSwipe = !cancelled && (
+          Math.abs(deltaY) > this.options.swipeThreshold ||
+          Math.abs(velocityY) > this.options.flickVelocity
+        );
+
+        if (!isSwipe) {
+          this.positionTrack();
+        } else if (deltaY < 0) {
+          this.show(this.currentIndex + 1);
+        } else {
+          this.show(this.currentIndex - 1);
+        }
+      }
+    });
+  }
+
+  /**
+   * One item per wheel gesture, however long the trackpad keeps scrolling
+   */
+  handleWheel(e) {
+    e.preventDefault();
+
+    clearTimeout(this.wheelTimer);
+    this.wheelTimer = setTimeout(() => {
+      this.wheelLocked = false;
+      this.wheelDelta = 0;
+    }, this.options.wheelIdle);
+
+    if (this.wheelLocked) return;
+
+    this.wheelDelta += e.deltaY;
+    if (Math.abs(this.wheelDelta) < this.options.wheelThreshold) return;
+
+    this.wheelLocked = true;
+    if (this.wheelDelta > 0) {
+      this.next();
+    } else {
+      this.previous();
+    }
+  }
+
+  /**
+   * Keyboard handling while open: the slider's keys and mute (ModalDialog handles Escape and Tab)
+   */
+  handleKeydown(e) {
+    switch (e.key) {
+      case 'ArrowDown':
+      case 'ArrowRight':
+      case 'PageDown':
+        e.preventDefault();
+        this.next();
+        break;
+      case 'ArrowUp':
+      case 'ArrowLeft':
+      case 'PageUp':
+        e.preventDefault();
+        this.previous();
+        break;
+      case 'Home':
+        e.preventDefault();
+        this.show(0);
+        break;
+      case 'End':
+        e.preventDefault();
+        this.show(this.items.length - 1);
+        break;
+      case 'm':
+      case 'M':
+        e.preventDefault();
+        this.toggleMute();
+        break;
+    }
+  }
+
+  /**
+   * Removes the dialog from the page
+   */
+  destroy() {
+    if (this.modal) {
+      this.modal.destroy();
+      this.modal = null;
+    }
+    clearTimeout(this.wheelTimer);
+
+    if (this.swipeGesture) {
+      this.swipeGesture.destroy();
+      this.swipeGesture = null;
+    }
+
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+}
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ShortsViewer;
+}
+
+// Make available globally
+window.ShortsViewer = ShortsViewer;
@@ -0,0 +1,909 @@
+/**
+ * Slider Component for GofieVFX Portfolio
+ *
+ * A carousel created per root element, so a page can hold several:
+ * 1. Responsive slides-per-view and seamless looping with edge clones
+ * 2. Button, indicator, keyboard and swipe navigation; jumps can wait for their slides (beforeJump)
+ * 3. Optional autoplay with a progress bar and pause conditions
+ * 4. Emits slidestart, slidechange, dragstart, dragmove and dragend events on the root
+ * 5. WAI-ARIA carousel semantics: labelled slides, a polite live region,
+ *    inert off-screen slides and roving tabindex across the indicators
+ * 6. Optional page-wide shortcuts through registerShortcuts() (js/keyboard-shortcuts.js)
+ *
+ * Expected markup (selectors can be changed through options):
+ *   <div class="portfolio-slider">
+ *     <div class="slider-container">
+ *       <div class="slider-track"><div class="slide">…</div></div>
+ *       <button class="slider-btn-prev"></button> <button class="slider-btn-next"></button>
+ *       <div class="slider-indicators"></div>
+ *     </div>
+ *   </div>
+ *
+ * data-slides-per-view, data-loop="false" and data-autoplay="<ms>" on the root
+ * override the matching options.
+ */
+
+class Slider {
+  constructor(root, options = {}) {
+    const dataOptions = Slider.getDataOptions(root);
+
+    this.options = {
+      container: '.slider-container',
+      track: '.slider-track',
+      slide: '.slide',
+      prevButton: '.slider-btn-prev',
+      nextButton: '.slider-btn-next',
+      indicators: '.slider-indicators',
+      // A number, or slides per view keyed by minimum viewport width
+      slidesPerView: 1,
+      loop: true,
+      // Autoplay interval in ms; 0 turns it off
+      autoplay: 0,
+      transitionDuration: 500,
+      // Called with the target index before goTo() jumps more than one slide;
+      // a returned promise holds the move until it settles
+      beforeJump: null,
+      ...options,
+      ...dataOptions,
+      swipe: {
+        distanceThreshold: 50,   // px dragged to change slide on a slow release
+        flickVelocity: 0.3,      // px/ms that counts as a flick...
+        flickDistance: 20,       // ...once it has moved at least this far
+        momentumTime: 200,       // ms of release velocity added to the drag when picking the target
+        rubberBand: 0.55,        // lower = stiffer over-drag past the ends
+        ...options.swipe
+      },
+      labels: {
+        region: 'Image slider',
+        indicators: 'Choose slide',
+        pause: 'Pause slideshow',
+        play: 'Start slideshow',
+        previous: 'Previous slide',
+        next: 'Next slide',
+        ...options.labels
+      }
+    };
+
+    this.root = root;
+    this.container = root.querySelector(this.options.container) || root;
+    this.track = root.querySelector(this.options.track);
+    this.prevButton = root.querySelector(this.options.prevButton);
+    this.nextButton = root.querySelector(this.options.nextButton);
+    this.indicatorsContainer = root.querySelector(this.options.indicators);
+
+    if (!this.track) {
+      throw new Error(`Slider: no ${this.options.track} element inside the root`);
+    }
+
+    this.currentIndex = 0;
+    this.slideCount = 0;
+    this.slidesPerView = 1;
+    this.trackPosition = 0;
+    this.isAnimating = false;
+    this.animationTimer = null;
+    this.pendingJump = null;
+    this.autoplay = null;
+    this.swipeGesture = null;
+    this.listeners = [];
+
+    this.setupAccessibility();
+    this.setupControls();
+    this.setupSwipe();
+    this.setupKeyboard();
+    this.setupAutoplay();
+    this.refresh();
+  }
+
+  /**
+   * Options set in the markup with data-* attributes
+   */
+  static getDataOptions(root) {
+    const { slidesPerView, loop, autoplay } = root.dataset;
+    const dataOptions = {};
+
+    if (slidesPerView) {
+      try {
+        dataOptions.slidesPerView = JSON.parse(slidesPerView);
+      } catch (error) {
+        console.warn('Invalid data-slides-per-view, using defaults:', error.message);
+      }
+    }
+    if (loop !== undefined) {
+      dataOptions.loop = loop !== 'false';
+    }
+    if (autoplay !== undefined) {
+      dataOptions.autoplay = parseInt(autoplay, 10) || 0;
+    }
+
+    return dataOptions;
+  }
+
+  /**
+   * Real slides, without the loop clones
+   */
+  get slides() {
+    return Array.from(this.track.children).filter(slide =>
+      slide.matches(this.options.slide) && !slide.classList.contains('slide-clone')
+    );
+  }
+
+  /**
+   * Re-reads the slides after they were added or replaced
+   */
+  refresh() {
+    this.slideCount = this.slides.length;
+    this.applyLayout();
+    this.render(undefined, { animate: false, announce: false });
+  }
+
+  // options.trigger says what moved the slider and is passed on in slidechange
+  next(options = {}) {
+    if ((this.isAnimating && !options.force) || this.slideCount === 0) return;
+
+    const previousIndex = this.currentIndex;
+    const isWrapping = this.currentIndex >= this.getMaxIndex();
+    this.currentIndex = isWrapping ? 0 : this.currentIndex + 1;
+
+    this.emitChange(previousIndex, options, 1, 'slidestart');
+
+    // When looping, step forward onto the trailing clones; transitionend jumps back
+    this.render(isWrapping && this.isLoopEnabled()
+      ? this.slideCount + this.getCloneCount()
+      : undefined, options);
+    this.emitChange(previousIndex, options, 1);
+  }
+
+  prev(options = {}) {
+    if ((this.isAnimating && !options.force) || this.slideCount === 0) return;
+
+    const previousIndex = this.currentIndex;
+    const isWrapping = this.currentIndex === 0;
+    this.currentIndex = isWrapping ? this.getMaxIndex() : this.currentIndex - 1;
+
+    this.emitChange(previousIndex, options, -1, 'slidestart');
+
+    // When looping, step back onto the leading clones; transitionend jumps forward
+    this.render(isWrapping && this.isLoopEnabled()
+      ? this.currentIndex + this.getCloneCount() - this.slideCount
+      : undefined, options);
+    this.emitChange(previousIndex, options, -1);
+  }
+
+  goTo(index, options = {}) {
+    if ((this.isAnimating && !options.force) || this.slideCount === 0) return;
+
+    index = Math.max(0, Math.min(index, this.getMaxIndex()));
+    if (index === this.currentIndex) return;
+
+    const ready = Math.abs(index - this.currentIndex) > 1 && typeof this.options.beforeJump === 'function'
+      ? this.options.beforeJump(index)
+      : null;
+
+    if (!ready || typeof ready.then !== 'function') {
+      this.moveTo(index, options);
+      return;
+    }
+
+    // Only the latest jump goes ahead, and not once another move has left this slide
+    const jump = { from: this.currentIndex };
+    this.pendingJump = jump;
+    const proceed = () => {
+      if (this.pendingJump !== jump) return;
+      this.pendingJump = null;
+
+      if (this.currentIndex === jump.from) {
+        this.moveTo(index, options);
+      }
+    };
+    ready.then(proceed, proceed);
+  }
+
+  // Moves to a clamped index straight away (goTo() may wait for beforeJump first)
+  moveTo(index, options = {}) {
+    const previousIndex = this.currentIndex;
+    index = Math.max(0, Math.min(index, this.getMaxIndex()));
+    if (index === this.currentIndex) return;
+
+    this.currentIndex = index;
+    this.emitChange(previousIndex, options, undefined, 'slidestart');
+    this.render(undefined, options);
+    this.emitChange(previousIndex, options);
+  }
+
+  // Moves several slides at once (swipes); without looping it stops at the ends instead of rewinding
+  moveBy(steps, options = {}) {
+    if (!steps || (this.isAnimating && !options.force) || this.slideCount === 0) return;
+
+    if (!this.isLoopEnabled()) {
+      this.moveTo(this.currentIndex + steps, options);
+      return;
+    }
+
+    const previousIndex = this.currentIndex;
+    const maxIndex = this.getMaxIndex();
+    const steppedIndex = this.currentIndex + steps;
+    this.currentIndex = (steppedIndex % (maxIndex + 1) + maxIndex + 1) % (maxIndex + 1);
+
+    // Animate through the clones while the wrapped-to view is still on the rendered track
+    const wrapOffset = steppedIndex > maxIndex ? this.slideCount : (steppedIndex < 0 ? -this.slideCount : 0);
+    const targetPosition = this.currentIndex + this.getCloneCount() + wrapOffset;
+    const lastPosition = this.slideCount + this.getCloneCount();
+    this.emitChange(previousIndex, options, Math.sign(steps), 'slidestart');
+    this.render(targetPosition >= 0 && targetPosition <= lastPosition ? targetPosition : undefined, options);
+    this.emitChange(previousIndex, options, Math.sign(steps));
+  }
+
+  // direction is 1 for forwards and -1 for backwards, including when a loop wraps around.
+  // slidestart fires before the track moves (currentIndex is already the target), slidechange after
+  emitChange(previousIndex, options, direction = Math.sign(this.currentIndex - previousIndex), type = 'slidechange') {
+    this.emit(type, {
+      index: this.currentIndex,
+      previousIndex,
+      direction,
+      trigger: options.trigger || 'api'
+    });
+  }
+
+  emit(type, detail) {
+    this.root.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+
+  // Every listener goes through here so destroy() can remove it, including window/document ones
+  listen(target, type, handler, options) {
+    target.addEventListener(type, handler, options);
+    this.listeners.push(() => target.removeEventListener(type, handler, options));
+  }
+
+  setupControls() {
+    if (this.prevButton) {
+      this.listen(this.prevButton, 'click', () => this.prev({ trigger: 'button' }));
+    }
+    if (this.nextButton) {
+      this.listen(this.nextButton, 'click', () => this.next({ trigger: 'button' }));
+    }
+
+    // Delegated, as indicators are re-rendered with the layout
+    if (this.indicatorsContainer) {
+      this.listen(this.indicatorsContainer, 'click', (e) => {
+        const indicator = e.target.closest('.indicator');
+        if (!indicator) return;
+
+        this.goTo(parseInt(indicator.dataset.slide, 10), { trigger: 'indicator' });
+      });
+    }
+
+    // Recalculate slides-per-view when the viewport changes
+    const handleLayoutChange = () => {
+      if (this.getSlidesPerView() === this.slidesPerView) return;
+
+      const previousIndex = this.currentIndex;
+      this.applyLayout();
+      this.render(undefined, { animate: false, announce: false });
+
+      if (this.currentIndex !== previousIndex) {
+        this.emitChange(previousIndex, { trigger: 'layout' });
+      }
+    };
+    this.listen(window, 'resize', handleLayoutChange);
+    this.listen(window, 'orientationchange', handleLayoutChange);
+
+    // Seamless looping: swap a clone for its real slide once the move finishes
+    this.listen(this.track, 'transitionend', (e) => {
+      if (e.target === this.track && e.propertyName === 'transform') {
+        this.normalizeTrackPosition();
+      }
+    });
+
+    // Prevent context menu on long press
+    this.listen(this.container, 'contextmenu', (e) => {
+      e.preventDefault();
+    });
+  }
+
+  setupSwipe() {
+    if (typeof window.SwipeGesture !== 'function') return;
+
+    let initialTransform = 0;
+
+    this.swipeGesture = new window.SwipeGesture(this.container, {
+      onStart: () => {
+        // The drag takes over from any move still in flight
+        clearTimeout(this.animationTimer);
+        this.isAnimating = false;
+        this.normalizeTrackPosition();
+        initialTransform = -this.trackPosition * this.getSlideWidthPercent();
+
+        // Disable transition during drag for smooth feedback
+        this.track.style.transition = 'none';
+        this.container.style.cursor = 'grabbing';
+        this.pause('drag');
+        this.emit('dragstart', { index: this.currentIndex });
+      },
+      onMove: ({ deltaX }) => {
+        const dragOffset = (deltaX / (this.container.offsetWidth || 1)) * 100;
+        this.track.style.transform = `translateX(${this.getDragTransform(initialTransform + dragOffset)}%)`;
+        this.emit('dragmove', { index: this.currentIndex, deltaX });
+      },
+      onEnd: ({ deltaX, velocityX }) => {
+        this.track.style.transition = `transform ${this.options.transitionDuration}ms cubic-bezier(0.25, 0.46, 0.45, 0.94)`;
+        this.container.style.cursor = 'grab';
+
+        const startIndex = this.currentIndex;
+        this.moveBy(this.getSwipeSteps(deltaX, velocityX, this.container.offsetWidth), { trigger: 'swipe' });
+
+        // Nothing to move to (or a tap-length drag): snap back to the current slide
+        if (!this.isAnimating) {
+          this.render();
+        }
+
+        this.resume('drag');
+        this.emit('dragend', { index: this.currentIndex, previousIndex: startIndex, deltaX, velocityX });
+      }
+    });
+
+    this.container.style.cursor = 'grab';
+  }
+
+  setupKeyboard() {
+    this.listen(this.container, 'keydown', (e) => {
+      // The indicators handle their own arrow keys (roving tabindex)
+      if (e.target.closest('.indicator')) return;
+
+      switch (e.key) {
+        case 'ArrowLeft':
+          e.preventDefault();
+          this.prev({ trigger: 'keyboard' });
+          break;
+        case 'ArrowRight':
+          e.preventDefault();
+          this.next({ trigger: 'keyboard' });
+          break;
+        case 'Home':
+          e.preventDefault();
+          this.goTo(0, { trigger: 'keyboard' });
+          break;
+        case 'End':
+          e.preventDefault();
+          this.goTo(this.getMaxIndex(), { trigger: 'keyboard' });
+          break;
+      }
+    });
+
+    // Make slider focusable for keyboard navigation
+    this.container.setAttribute('tabindex', '0');
+
+    if (this.indicatorsContainer) {
+      this.listen(this.indicatorsContainer, 'keydown', (e) => this.handleIndicatorKeydown(e));
+    }
+  }
+
+  // Arrow keys move focus between indicators and show that slide; Tab leaves the group
+  handleIndicatorKeydown(e) {
+    const indicators = Array.from(this.indicatorsContainer.querySelectorAll('.indicator'));
+    const currentIndicator = e.target.closest('.indicator');
+    const position = indicators.indexOf(currentIndicator);
+    if (position === -1) return;
+
+    let targetPosition;
+    switch (e.key) {
+      case 'ArrowLeft':
+        targetPosition = position === 0 ? indicators.length - 1 : position - 1;
+        break;
+      case 'ArrowRight':
+        targetPosition = (position + 1) % indicators.length;
+        break;
+      case 'Home':
+        targetPosition = 0;
+        break;
+      case 'End':
+        targetPosition = indicators.length - 1;
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    this.goTo(targetPosition, { trigger: 'keyboard', force: true });
+    indicators[targetPosition].focus();
+  }
+
+  /**
+   * Adds [ and ] for the previous and next slide to a KeyboardShortcuts registry,
+   * so the slider answers without having focus; destroy() removes them again
+   */
+  registerShortcuts(shortcuts, group = this.options.labels.region) {
+    const { labels } = this.options;
+
+    this.listeners.push(
+      shortcuts.register('[', () => this.prev({ trigger: 'keyboard' }), { description: labels.previous, group }),
+      shortcuts.register(']', () => this.next({ trigger: 'keyboard' }), { description: labels.next, group })
+    );
+  }
+
+  // Carousel pattern from the WAI-ARIA Authoring Practices
+  setupAccessibility() {
+    const { labels } = this.options;
+
+    this.container.setAttribute('role', 'region');
+    this.container.setAttribute('aria-roledescription', 'carousel');
+    this.container.setAttribute('aria-label', labels.region);
+
+    if (!this.track.id) {
+      this.track.id = `slider-track-${Slider.nextId++}`;
+    }
+    [this.prevButton, this.nextButton].forEach(button => {
+      if (button) button.setAttribute('aria-controls', this.track.id);
+    });
+
+    if (this.indicatorsContainer) {
+      this.indicatorsContainer.setAttribute('role', 'group');
+      this.indicatorsContainer.setAttribute('aria-label', labels.indicators);
+    }
+
+    // Slide changes are read out here rather than by moving focus
+    this.liveRegion = document.createElement('div');
+    this.liveRegion.className = 'slider-status';
+    this.liveRegion.setAttribute('aria-live', 'polite');
+    this.liveRegion.setAttribute('aria-atomic', 'true');
+    this.container.appendChild(this.liveRegion);
+  }
+
+  // "N of M" group labels for the real slides (clones copy them but stay hidden)
+  labelSlides() {
+    this.slides.forEach((slide, index) => {
+      slide.setAttribute('role', 'group');
+      slide.setAttribute('aria-roledescription', 'slide');
+      slide.setAttribute('aria-label', `${index + 1} of ${this.slideCount}`);
+    });
+  }
+
+  /**
+   * Every slide on the track, loop clones included, so the index is the track position
+   */
+  get trackSlides() {
+    return Array.from(this.track.children).filter(slide => slide.matches(this.options.slide));
+  }
+
+  // Whether a track position is inside the rendered view (mid-wrap that is clones, not the slides they mirror)
+  isPositionVisible(position) {
+    return position >= this.trackPosition && position < this.trackPosition + this.slidesPerView;
+  }
+
+  // Off-screen slides and clones leave the accessibility tree and tab order
+  updateSlideVisibility() {
+    this.trackSlides.forEach((slide, position) => {
+      const isVisible = this.isPositionVisible(position);
+      slide.toggleAttribute('inert', !isVisible);
+      slide.setAttribute('aria-hidden', String(!isVisible));
+    });
+  }
+
+  announceSlide() {
+    if (!this.liveRegion) return;
+    this.liveRegion.textContent = `Slide ${this.currentIndex + 1} of ${this.slideCount}`;
+  }
+
+  // Slides-per-view for the current viewport width
+  getSlidesPerView() {
+    const breakpoints = typeof this.options.slidesPerView === 'number'
+      ? { 0: this.options.slidesPerView }
+      : this.options.slidesPerView;
+
+    let slidesPerView = 1;
+    Object.keys(breakpoints)
+      .map(Number)
+      .sort((a, b) => a - b)
+      .forEach(minWidth => {
+        if (window.innerWidth >= minWidth) {
+          slidesPerView = breakpoints[minWidth];
+        }
+      });
+
+    // Never leave empty space by showing more slides than there are
+    return Math.max(1, Math.min(slidesPerView, this.slideCount || 1));
+  }
+
+  // Looping needs more slides than fit in one view
+  isLoopEnabled() {
+    return this.options.loop && this.slideCount > this.slidesPerView;
+  }
+
+  // A full view of clones on each side covers any wrap or drag past the ends
+  getCloneCount() {
+    return this.isLoopEnabled() ? this.slidesPerView : 0;
+  }
+
+  // Index of the last position the track can rest at: the last full view of real slides,
+  // so loop clones are only on screen while a wrap animates (they are inert copies)
+  getMaxIndex() {
+    return Math.max(0, this.slideCount - this.slidesPerView);
+  }
+
+  // Width of one slide as a percentage of the track's translateX
+  getSlideWidthPercent() {
+    return 100 / this.slidesPerView;
+  }
+
+  applyLayout() {
+    this.slidesPerView = this.getSlidesPerView();
+    this.root.style.setProperty('--slides-per-view', this.slidesPerView);
+
+    this.currentIndex = Math.min(this.currentIndex, this.getMaxIndex());
+    this.labelSlides();
+    this.renderClones();
+    this.renderIndicators();
+  }
+
+  // Copies of the edge slides so wrapping animates one step instead of rewinding
+  renderClones() {
+    this.track.querySelectorAll('.slide-clone').forEach(clone => clone.remove());
+
+    const cloneCount = this.getCloneCount();
+    if (cloneCount === 0) return;
+
+    const slides = this.slides;
+    const createClone = (slide) => {
+      const clone = slide.cloneNode(true);
+      clone.classList.add('slide-clone');
+      clone.removeAttribute('id');
+      clone.setAttribute('aria-hidden', 'true');
+      clone.setAttribute('inert', '');
+      return clone;
+    };
+
+    this.track.prepend(...slides.slice(-cloneCount).map(createClone));
+    this.track.append(...slides.slice(0, cloneCount).map(createClone));
+  }
+
+  // One indicator per reachable position, so it depends on slides-per-view
+  renderIndicators() {
+    if (!this.indicatorsContainer) return;
+
+    const indicators = document.createDocumentFragment();
+
+    for (let index = 0; index <= this.getMaxIndex() && this.slideCount > 0; index++) {
+      const indicator = document.createElement('button');
+      indicator.type = 'button';
+      indicator.className = 'indicator';
+      indicator.dataset.slide = index;
+      indicator.setAttribute('aria-label', `Go to slide ${index + 1}`);
+      indicator.setAttribute('aria-controls', this.track.id);
+      indicators.appendChild(indicator);
+    }
+
+    this.indicatorsContainer.replaceChildren(indicators);
+  }
+
+  /**
+   * Moves the track to trackPosition (which counts clones) and syncs indicators, media and autoplay
+   * options.animate: false jumps there without a transition
+   * options.announce: false skips the live region (autoplay is never announced)
+   */
+  render(trackPosition = this.currentIndex + this.getCloneCount(), options = {}) {
+    const transform = `translateX(${-trackPosition * this.getSlideWidthPercent()}%)`;
+    this.trackPosition = trackPosition;
+
+    if (options.animate === false) {
+      this.jumpTrack(transform);
+    } else {
+      this.isAnimating = true;
+      this.track.style.transform = transform;
+
+      // Reset animation flag after transition (and catch a missed transitionend)
+      clearTimeout(this.animationTimer);
+      this.animationTimer = setTimeout(() => {
+        this.isAnimating = false;
+        this.normalizeTrackPosition();
+      }, this.options.transitionDuration);
+    }
+
+    // Only the active indicator is in the tab order (roving tabindex)
+    if (this.indicatorsContainer) {
+      this.indicatorsContainer.querySelectorAll('.indicator').forEach((indicator, index) => {
+        const isActive = index === this.currentIndex;
+        indicator.classList.toggle('active', isActive);
+        indicator.setAttribute('aria-current', String(isActive));
+        indicator.tabIndex = isActive ? 0 : -1;
+      });
+    }
+
+    this.updateSlideVisibility();
+    if (options.announce !== false && options.trigger !== 'autoplay') {
+      this.announceSlide();
+    }
+
+    // Play videos on the visible slides, stop the rest
+    this.updateSlideMedia();
+
+    this.resetAutoplayProgress();
+  }
+
+  // After animating onto a clone, jump to the real slide it mirrors
+  normalizeTrackPosition() {
+    const canonicalPosition = this.currentIndex + this.getCloneCount();
+    if (this.trackPosition === canonicalPosition) return;
+
+    this.trackPosition = canonicalPosition;
+    this.jumpTrack(`translateX(${-canonicalPosition * this.getSlideWidthPercent()}%)`);
+
+    // The real slides take over from the clones that were on screen
+    this.updateSlideVisibility();
+    this.updateSlideMedia();
+  }
+
+  jumpTrack(transform) {
+    this.track.style.transition = 'none';
+    this.track.style.transform = transform;
+
+    // Flush the jump before the transition comes back
+    void this.track.offsetHeight;
+    this.track.style.transition = '';
+  }
+
+  // Clamps a dragged translateX (%) to the track, rubber-banding past either end
+  getDragTransform(transform) {
+    const slideWidth = this.getSlideWidthPercent();
+    const lastPosition = this.isLoopEnabled()
+      ? this.slideCount + this.getCloneCount()
+      : this.getMaxIndex();
+    const maxTransform = 0;
+    const minTransform = -lastPosition * slideWidth;
+
+    // Approaches one container width of over-drag but never reaches it
+    const rubberBand = (overshoot) =>
+      (1 - 1 / (Math.abs(overshoot) * this.options.swipe.rubberBand / 100 + 1)) * 100 * Math.sign(overshoot);
+
+    if (transform > maxTransform) {
+      return maxTransform + rubberBand(transform - maxTransform);
+    }
+    if (transform < minTransform) {
+      return minTransform + rubberBand(transform - minTransform);
+    }
+    return transform;
+  }
+
+  // Slides to move after a drag: distance plus projected momentum, so faster flicks go further
+  getSwipeSteps(deltaX, velocityX, containerWidth) {
+    const swipe = this.options.swipe;
+    const slideWidth = containerWidth / this.slidesPerView;
+    if (!slideWidth || this.slideCount < 2) return 0;
+
+    const projected = deltaX + velocityX * swipe.momentumTime;
+    let steps = Math.round(-projected / slideWidth);
+
+    // Short drags still turn one slide when they pass the distance or flick threshold
+    const distance = Math.abs(deltaX);
+    const isFlick = Math.abs(velocityX) > swipe.flickVelocity && distance > swipe.flickDistance;
+    if (steps === 0 && (distance > swipe.distanceThreshold || isFlick)) {
+      steps = deltaX > 0 ? -1 : 1;
+    }
+
+    const maxSteps = this.slideCount - 1;
+    return Math.max(-maxSteps, Math.min(maxSteps, steps));
+  }
+
+  updateSlideMedia() {
+    this.trackSlides.forEach((slide, position) => {
+      const video = slide.querySelector('video');
+      if (!video) return;
+
+      if (this.isPositionVisible(position)) {
+        if (!video.paused) return;
+
+        const playback = video.play();
+
+        // Autoplay can still be refused (e.g. data saver); the poster stays visible
+        if (playback && typeof playback.catch === 'function') {
+          playback.catch(error => {
+            console.warn(`Video slide ${slide.getAttribute('aria-label')} could not autoplay:`, error.message);
+          });
+        }
+      } else if (!video.paused || video.currentTime > 0) {
+        video.pause();
+        video.currentTime = 0;
+      }
+    });
+  }
+
+  // Autoplay
+  setupAutoplay() {
+    const interval = this.options.autoplay;
+    if (!interval || interval <= 0) return;
+
+    // Progress bar and pause control, only rendered when autoplay is configured
+    const progress = document.createElement('div');
+    progress.className = 'slider-progress';
+    progress.innerHTML = '<div class="slider-progress-bar"></div>';
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'slider-autoplay-toggle';
+
+    this.container.append(progress, toggle);
+
+    this.autoplay = {
+      interval,
+      elapsed: 0,
+      lastTick: null,
+      frame: null,
+      pauseReasons: new Set(),
+      progress,
+      progressBar: progress.firstElementChild,
+      toggle
+    };
+
+    this.listen(toggle, 'click', () => {
+      if (this.autoplay.pauseReasons.has('user')) {
+        this.resume('user');
+      } else {
+        this.pause('user');
+      }
+    });
+
+    // Hover and keyboard focus inside the slider
+    this.listen(this.container, 'mouseenter', () => this.pause('hover'));
+    this.listen(this.container, 'mouseleave', () => this.resume('hover'));
+    this.listen(this.container, 'focusin', () => this.pause('focus'));
+    this.listen(this.container, 'focusout', (e) => {
+      if (!this.container.contains(e.relatedTarget)) {
+        this.resume('focus');
+      }
+    });
+
+    // Background tabs (Page Visibility API)
+    const handleVisibility = () => {
+      if (document.hidden) {
+        this.pause('hidden');
+      } else {
+        this.resume('hidden');
+      }
+    };
+    this.listen(document, 'visibilitychange', handleVisibility);
+    handleVisibility();
+
+    // Reduced motion disables autoplay entirely, and follows the setting live
+    if (window.matchMedia) {
+      const reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+      const handleMotionPreference = () => {
+        if (reducedMotion.matches) {
+          this.pause('reduced-motion');
+        } else {
+          this.resume('reduced-motion');
+        }
+      };
+
+      if (typeof reducedMotion.addEventListener === 'function') {
+        this.listen(reducedMotion, 'change', handleMotionPreference);
+      }
+      handleMotionPreference();
+    }
+
+    this.updateAutoplayState();
+  }
+
+  /**
+   * Holds autoplay until every reason it was paused for is resumed
+   */
+  pause(reason) {
+    if (!this.autoplay) return;
+
+    this.autoplay.pauseReasons.add(reason);
+    this.updateAutoplayState();
+  }
+
+  resume(reason) {
+    if (!this.autoplay) return;
+
+    this.autoplay.pauseReasons.delete(reason);
+    this.updateAutoplayState();
+  }
+
+  // Starts or stops the autoplay loop to match the current pause reasons
+  updateAutoplayState() {
+    const autoplay = this.autoplay;
+    if (!autoplay) return;
+
+    const isPaused = autoplay.pauseReasons.size > 0;
+    const isUserPaused = autoplay.pauseReasons.has('user');
+    const { labels } = this.options;
+
+    this.container.classList.toggle('autoplay-paused', isPaused);
+    autoplay.toggle.hidden = autoplay.pauseReasons.has('reduced-motion');
+    autoplay.toggle.setAttribute('aria-label', isUserPaused ? labels.play : labels.pause);
+    autoplay.toggle.setAttribute('aria-pressed', String(isUserPaused));
+    autoplay.toggle.textContent = isUserPaused ? '▶' : '❚❚';
+
+    if (isPaused) {
+      this.stopAutoplayLoop();
+    } else if (autoplay.frame === null) {
+      autoplay.frame = requestAnimationFrame(() => this.tickAutoplay());
+    }
+  }
+
+  stopAutoplayLoop() {
+    if (this.autoplay.frame !== null) {
+      cancelAnimationFrame(this.autoplay.frame);
+      this.autoplay.frame = null;
+    }
+    this.autoplay.lastTick = null;
+  }
+
+  tickAutoplay() {
+    const autoplay = this.autoplay;
+    if (!autoplay) return;
+
+    const now = performance.now();
+
+    if (autoplay.lastTick !== null) {
+      autoplay.elapsed += now - autoplay.lastTick;
+    }
+    autoplay.lastTick = now;
+
+    // Wait out any slide transition that's still running before advancing
+    if (autoplay.elapsed >= autoplay.interval && !this.isAnimating) {
+      this.next({ trigger: 'autoplay' });
+    }
+
+    autoplay.progressBar.style.transform = `scaleX(${Math.min(autoplay.elapsed / autoplay.interval, 1)})`;
+    autoplay.frame = requestAnimationFrame(() => this.tickAutoplay());
+  }
+
+  // Any slide change (manual or automatic) starts a fresh interval
+  resetAutoplayProgress() {
+    if (!this.autoplay) return;
+
+    this.autoplay.elapsed = 0;
+    this.autoplay.progressBar.style.transform = 'scaleX(0)';
+  }
+
+  /**
+   * Removes listeners, clones and generated controls
+   */
+  destroy() {
+    clearTimeout(this.animationTimer);
+    this.pendingJump = null;
+    this.listeners.forEach(removeListener => removeListener());
+    this.listeners = [];
+
+    if (this.swipeGesture) {
+      this.swipeGesture.destroy();
+      this.swipeGesture = null;
+    }
+
+    if (this.autoplay) {
+      this.stopAutoplayLoop();
+      this.autoplay.progress.remove();
+      this.autoplay.toggle.remove();
+      this.container.classList.remove('autoplay-paused');
+      this.autoplay = null;
+    }
+
+    this.track.querySelectorAll('.slide-clone').forEach(clone => clone.remove());
+    this.slides.forEach(slide => {
+      slide.removeAttribute('inert');
+      slide.removeAttribute('aria-hidden');
+    });
+    if (this.indicatorsContainer) {
+      this.indicatorsContainer.replaceChildren();
+    }
+    if (this.liveRegion) {
+      this.liveRegion.remove();
+      this.liveRegion = null;
+    }
+    this.track.style.transform = '';
+    this.track.style.transition = '';
+    this.container.style.cursor = '';
+    this.root.style.removeProperty('--slides-per-view');
+  }
+}
+
+// Generated ids for aria-controls when the track has none
+Slider.nextId = 1;
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Slider;
+}
+
+// Make available globally
+window.Slider = Slider;
@@ -0,0 +1,200 @@
+/**
+ * Swipe Gesture Recognizer for GofieVFX Portfolio
+ *
+ * One Pointer Events path for touch, pen and mouse drags:
+ * 1. Locks to its axis (horizontal, or vertical with axis: 'y') once the pointer clearly moves that way
+ * 2. Leaves movement on the other axis to the browser so the page still scrolls
+ * 3. Tracks release velocity for momentum flicks
+ * 4. Swallows the click that ends a drag
+ */
+
+class SwipeGesture {
+  constructor(element, options = {}) {
+    this.element = element;
+    this.options = {
+      // 'x' for sideways swipes, 'y' for vertical ones
+      axis: 'x',
+      // Movement (px) before deciding between a swipe and a scroll
+      axisThreshold: 10,
+      // Only the last part of the drag counts towards release velocity
+      velocityWindow: 100,
+      onStart: null,
+      onMove: null,
+      onEnd: null,
+      ...options
+    };
+
+    this.pointerId = null;
+    this.axis = null;
+    this.samples = [];
+    this.suppressClick = false;
+
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleClick = this.handleClick.bind(this);
+
+    element.addEventListener('pointerdown', this.handlePointerDown);
+    element.addEventListener('pointermove', this.handlePointerMove);
+    element.addEventListener('pointerup', this.handlePointerUp);
+    element.addEventListener('pointercancel', this.handlePointerUp);
+    element.addEventListener('click', this.handleClick, true);
+
+    // Pans across our axis and pinch zoom stay with the browser; the rest come to us
+    element.style.touchAction = this.options.axis === 'y' ? 'pan-x pinch-zoom' : 'pan-y pinch-zoom';
+  }
+
+  get isDragging() {
+    return this.axis === this.options.axis;
+  }
+
+  handlePointerDown(e) {
+    // One pointer at a time, and only the primary mouse button
+    if (this.pointerId !== null || !e.isPrimary) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    this.pointerId = e.pointerId;
+    this.axis = null;
+    this.startX = e.clientX;
+    this.startY = e.clientY;
+    this.samples = [{ x: e.clientX, y: e.clientY, time: performance.now() }];
+    this.suppressClick = false;
+
+    // Stops text selection and native image dragging on desktop, but not on the controls
+    // inside the element: a mouse press has to be able to focus those
+    if (e.pointerType === 'mouse' && !this.isOnControl(e.target)) {
+      e.preventDefault();
+    }
+  }
+
+  isOnControl(target) {
+    const control = target instanceof Element ? target.closest(SwipeGesture.CONTROLS) : null;
+    return Boolean(control) && control !== this.element && this.element.contains(control);
+  }
+
+  handlePointerMove(e) {
+    if (e.pointerId !== this.pointerId) return;
+
+    const deltaX = e.clientX - this.startX;
+    const deltaY = e.clientY - this.startY;
+
+    if (this.axis === null) {
+      const absX = Math.abs(deltaX);
+      const absY = Math.abs(deltaY);
+      if (absX <= this.options.axisThreshold && absY <= this.options.axisThreshold) return;
+
+      this.axis = absX > absY ? 'x' : 'y';
+
+      if (this.axis !== this.options.axis) {
+        // A scroll, not a swipe: ignore the rest of this pointer
+        this.reset();
+        return;
+      }
+
+      // Keep receiving moves when the pointer leaves the element
+      this.element.setPointerCapture?.(e.pointerId);
+      this.emit('onStart', { deltaX: 0, deltaY: 0, velocityX: 0, velocityY: 0, pointerType: e.pointerType });
+    }
+
+    e.preventDefault();
+    this.addSample(e.clientX, e.clientY);
+    this.emit('onMove', {
+      deltaX,
+      deltaY,
+      velocityX: this.getVelocity('x'),
+      velocityY: this.getVelocity('y'),
+      pointerType: e.pointerType
+    });
+  }
+
+  handlePointerUp(e) {
+    if (e.pointerId !== this.pointerId) return;
+
+    if (this.isDragging) {
+      const cancelled = e.type === 'pointercancel';
+      if (!cancelled) {
+        this.addSample(e.clientX, e.clientY);
+      }
+
+      // A cancelled pointer ends where it was last seen, without momentum
+      const last = this.samples[this.samples.length - 1];
+      this.suppressClick = true;
+      this.emit('onEnd', {
+        deltaX: last.x - this.startX,
+        deltaY: last.y - this.startY,
+        velocityX: cancelled ? 0 : this.getVelocity('x'),
+        velocityY: cancelled ? 0 : this.getVelocity('y'),
+        pointerType: e.pointerType,
+        cancelled
+      });
+    }
+
+    this.reset();
+  }
+
+  handleClick(e) {
+    if (!this.suppressClick) return;
+
+    this.suppressClick = false;
+    e.preventDefault();
+    e.stopPropagation();
+  }
+
+  addSample(x, y) {
+    const time = performance.now();
+    this.samples.push({ x, y, time });
+
+    // Always keep two samples so a slow release still measures something
+    while (this.samples.length > 2 && time - this.samples[0].time > this.options.velocityWindow) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Velocity in px/ms over the velocity window (positive = rightwards / downwards)
+   */
+  getVelocity(axis = this.options.axis) {
+    const first = this.samples[0];
+    const last = this.samples[this.samples.length - 1];
+    const elapsed = last.time - first.time;
+
+    return elapsed > 0 ? (last[axis] - first[axis]) / elapsed : 0;
+  }
+
+  emit(name, detail) {
+    if (typeof this.options[name] === 'function') {
+      this.options[name](detail);
+    }
+  }
+
+  reset() {
+    if (this.pointerId !== null && this.element.hasPointerCapture?.(this.pointerId)) {
+      this.element.releasePointerCapture(this.pointerId);
+    }
+
+    this.pointerId = null;
+    this.axis = null;
+    this.samples = [];
+  }
+
+  destroy() {
+    this.reset();
+
+    this.element.removeEventListener('pointerdown', this.handlePointerDown);
+    this.element.removeEventListener('pointermove', this.handlePointerMove);
+    this.element.removeEventListener('pointerup', this.handlePointerUp);
+    this.element.removeEventListener('pointercancel', this.handlePointerUp);
+    this.element.removeEventListener('click', this.handleClick, true);
+  }
+}
+
+// Elements that take focus from a mouse press
+SwipeGesture.CONTROLS = 'a[href], button, input, select, textarea, [tabindex]';
+
+// Export for potential module usage
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SwipeGesture;
+}
+
+// Make available globally
+window.SwipeGesture = SwipeGesture;
@@ -0,0 +1,178 @@
+/**
+ * Unit Tests for the Before/After Comparison
+ * Tests divider dragging, keyboard control, slider semantics and keeping
+ * its events away from a surrounding carousel
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+describe('BeforeAfter', () => {
+  let BeforeAfter;
+  let root;
+  let comparison;
+
+  function pointer(type, clientX, options = {}) {
+    const event = new PointerEvent(type, {
+      pointerId: 1,
+      pointerType: 'touch',
+      isPrimary: true,
+      clientX,
+      clientY: 0,
+      bubbles: true,
+      cancelable: true,
+      ...options
+    });
+    comparison.handle.dispatchEvent(event);
+    return event;
+  }
+
+  function pressKey(key) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true });
+    comparison.handle.dispatchEvent(event);
+    return event;
+  }
+
+  beforeAll(() => {
+    BeforeAfter = require('../js/before-after.js');
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <div class="slider-container">
+        <div class="comparison">
+          <img class="comparison-after" src="after.png" alt="">
+          <img class="comparison-before" src="before.png" alt="">
+        </div>
+      </div>
+    `;
+    root = document.querySelector('.comparison');
+    root.getBoundingClientRect = () => ({ left: 100, top: 0, width: 400, height: 300, right: 500, bottom: 300 });
+  });
+
+  afterEach(() => {
+    comparison.destroy();
+  });
+
+  describe('Setup', () => {
+    it('should add a focusable divider exposed as a slider, starting in the middle', () => {
+      comparison = new BeforeAfter(root);
+
+      const handle = root.querySelector('.comparison-handle');
+      expect(handle.getAttribute('role')).toBe('slider');
+      expect(handle.tabIndex).toBe(0);
+      expect(handle.getAttribute('aria-valuenow')).toBe('50');
+      expect(handle.getAttribute('aria-valuetext')).toBe('50% before, 50% after');
+      expect(root.style.getPropertyValue('--comparison-position')).toBe('50%');
+      expect(root.querySelectorAll('.comparison-label')).toHaveLength(2);
+    });
+
+    it('should start where data-position says', () => {
+      root.dataset.position = '30';
+      comparison = new BeforeAfter(root);
+
+      expect(comparison.position).toBe(30);
+    });
+
+    it('should remove what it added on destroy', () => {
+      comparison = new BeforeAfter(root);
+      comparison.destroy();
+
+      expect(root.querySelector('.comparison-handle')).toBeNull();
+      expect(root.querySelector('.comparison-label')).toBeNull();
+      expect(root.style.getPropertyValue('--comparison-position')).toBe('');
+    });
+  });
+
+  describe('Dragging', () => {
+    beforeEach(() => {
+      comparison = new BeforeAfter(root, { onStart: vi.fn(), onEnd: vi.fn() });
+    });
+
+    it('should follow the pointer across the comparison and clamp at the edges', () => {
+      pointer('pointerdown', 300);
+      expect(comparison.position).toBe(50);
+
+      pointer('pointermove', 200);
+      expect(comparison.position).toBe(25);
+
+      pointer('pointermove', 900);
+      expect(comparison.position).toBe(100);
+
+      pointer('pointerup', 900);
+      pointer('pointermove', 100);
+      expect(comparison.position).toBe(100);
+    });
+
+    it('should report the start and end of a drag', () => {
+      pointer('pointerdown', 300, { pointerType: 'mouse', button: 0 });
+      expect(comparison.options.onStart).toHaveBeenCalledTimes(1);
+      expect(root.classList.contains('is-dragging')).toBe(true);
+
+      pointer('pointermove', 200, { pointerType: 'mouse', button: 0 });
+      pointer('pointerup', 200, { pointerType: 'mouse', button: 0 });
+      expect(comparison.options.onEnd).toHaveBeenCalledWith(25);
+      expect(root.classList.contains('is-dragging')).toBe(false);
+    });
+
+    it('should ignore secondary mouse buttons', () => {
+      pointer('pointerdown', 200, { pointerType: 'mouse', button: 2 });
+
+      expect(comparison.isDragging).toBe(false);
+      expect(comparison.position).toBe(50);
+    });
+
+    it('should keep its pointer and click events from reaching the carousel', () => {
+      const container = document.querySelector('.slider-container');
+      const seen = vi.fn();
+      ['pointerdown', 'pointermove', 'pointerup', 'click'].forEach(type => container.addEventListener(type, seen));
+
+      pointer('pointerdown', 300);
+      pointer('pointermove', 200);
+      pointer('pointerup', 200);
+      comparison.handle.click();
+
+      expect(seen).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Keyboard', () => {
+    beforeEach(() => {
+      comparison = new BeforeAfter(root);
+    });
+
+    it('should step with the arrow keys and jump with Page Up/Down, Home and End', () => {
+      pressKey('ArrowRight');
+      expect(comparison.position).toBe(55);
+
+      pressKey('ArrowLeft');
+      pressKey('ArrowLeft');
+      expect(comparison.position).toBe(45);
+
+      pressKey('PageUp');
+      expect(comparison.position).toBe(70);
+
+      pressKey('Home');
+      expect(comparison.position).toBe(0);
+      expect(comparison.handle.getAttribute('aria-valuetext')).toBe('0% before, 100% after');
+
+      pressKey('End');
+      expect(comparison.position).toBe(100);
+    });
+
+    it('should not let the carousel handle the keys it uses', () => {
+      const container = document.querySelector('.slider-container');
+      const seen = vi.fn();
+      container.addEventListener('keydown', seen);
+
+      const event = pressKey('ArrowLeft');
+      expect(event.defaultPrevented).toBe(true);
+      expect(seen).not.toHaveBeenCalled();
+
+      pressKey('Enter');
+      expect(seen).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+/**
+ * Unit Tests for Keyboard Shortcuts
+ * Tests single keys and sequences, the cases where shortcuts stay quiet,
+ * unregistering, and the help overlay
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+describe('KeyboardShortcuts', () => {
+  let KeyboardShortcuts;
+  let shortcuts;
+
+  beforeAll(() => {
+    KeyboardShortcuts = require('../js/keyboard-shortcuts.js');
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    document.body.innerHTML = `
+      <button id="outside">Outside</button>
+      <form class="contact-form">
+        <input type="text" id="name">
+        <textarea id="message"></textarea>
+      </form>
+      <div role="dialog" aria-modal="true"><button id="inDialog">Close</button></div>
+    `;
+
+    shortcuts = new KeyboardShortcuts();
+  });
+
+  afterEach(() => {
+    shortcuts.destroy();
+    vi.useRealTimers();
+  });
+
+  // Keydown from the focused element (or the given one), as a browser would send it
+  function press(key, options = {}, target = document.activeElement || document.body) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+    target.dispatchEvent(event);
+    return event;
+  }
+
+  describe('Matching', () => {
+    it('should run a single-key shortcut and claim the key', () => {
+      const handler = vi.fn();
+      shortcuts.register('j', handler);
+
+      const event = press('j');
+
+      expect(handler).toHaveBeenCalledTimes(1);
+      expect(event.defaultPrevented).toBe(true);
+    });
+
+    it('should run a sequence pressed one key after the other', () => {
+      const contact = vi.fn();
+      const work = vi.fn();
+      shortcuts.register('g c', contact);
+      shortcuts.register('g w', work);
+
+      press('g');
+      expect(contact).not.toHaveBeenCalled();
+
+      press('c');
+      expect(contact).toHaveBeenCalledTimes(1);
+
+      press('g');
+      press('w');
+      expect(work).toHaveBeenCalledTimes(1);
+    });
+
+    it('should forget the start of a sequence after the timeout', () => {
+      const contact = vi.fn();
+      shortcuts.register('g c', contact);
+
+      press('g');
+      vi.advanceTimersByTime(1000);
+      press('c');
+
+      expect(contact).not.toHaveBeenCalled();
+    });
+
+    it('should treat a key that does not continue the sequence as a fresh press', () => {
+      const next = vi.fn();
+      shortcuts.register('g c', vi.fn());
+      shortcuts.register('j', next);
+
+      press('g');
+      press('j');
+
+      expect(next).toHaveBeenCalledTimes(1);
+    });
+
+    it('should accept keys typed with Shift, like ?', () => {
+      const help = vi.fn();
+      shortcuts.register('?', help);
+
+      press('Shift', { shiftKey: true });
+      press('?', { shiftKey: true });
+
+      expect(help).toHaveBeenCalledTimes(1);
+    });
+
+    it('should leave keys that match nothing alone', () => {
+      shortcuts.register('j', vi.fn());
+
+      expect(press('x').defaultPrevented).toBe(false);
+    });
+  });
+
+  describe('Staying quiet', () => {
+    let handler;
+
+    beforeEach(() => {
+      handler = vi.fn();
+      shortcuts.register('j', handler);
+    });
+
+    it('should ignore keys typed into form fields', () => {
+      document.getElementById('name').focus();
+      press('j');
+
+      document.getElementById('message').focus();
+      press('j');
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should ignore keys inside other dialogs', () => {
+      document.getElementById('inDialog').focus();
+      press('j');
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    it('should ignore keys held with Ctrl, Alt or Meta, and keys already handled', () => {
+      press('j', { ctrlKey: true });
+      press('j', { altKey: true });
+      press('j', { metaKey: true });
+
+      const handled = new KeyboardEvent('keydown', { key: 'j', bubbles: true, cancelable: true });
+      handled.preventDefault();
+      document.body.dispatchEvent(handled);
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Registering', () => {
+    it('should hand back a function that removes the shortcut', () => {
+      const handler = vi.fn();
+      const remove = shortcuts.register('j', handler);
+
+      remove();
+      press('j');
+
+      expect(handler).not.toHaveBeenCalled();
+      expect(shortcuts.getBindings()).toEqual([]);
+    });
+
+    it('should let a later registration replace an earlier one without the old remover undoing it', () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+      const first = vi.fn();
+      const second = vi.fn();
+      const removeFirst = shortcuts.register('j', first);
+      shortcuts.register('j', second);
+
+      removeFirst();
+      press('j');
+
+      expect(first).not.toHaveBeenCalled();
+      expect(second).toHaveBeenCalledTimes(1);
+      expect(console.warn).toHaveBeenCalled();
+    });
+
+    it('should list the bindings with their descriptions and groups', () => {
+      shortcuts.register('g  c', vi.fn(), { description: 'Go to Contact', group: 'Navigation' });
+      shortcuts.register('?', vi.fn(), { description: 'Show keyboard shortcuts' });
+
+      expect(shortcuts.getBindings()).toEqual([
+        { keys: 'g c', description: 'Go to Contact', group: 'Navigation' },
+        { keys: '?', description: 'Show keyboard shortcuts', group: 'General' }
+      ]);
+    });
+  });
+
+  describe('Help overlay', () => {
+    beforeEach(() => {
+      shortcuts.register('g c', vi.fn(), { description: 'Go to Contact', group: 'Navigation' });
+      shortcuts.register('j', vi.fn(), { description: 'Next section', group: 'Navigation' });
+      shortcuts.register('?', () => shortcuts.toggleHelp(), { description: 'Show keyboard shortcuts' });
+    });
+
+    const overlay = () => document.querySelector('.shortcuts-help');
+
+    it('should list every described shortcut by group', () => {
+      press('?');
+
+      expect(overlay().hidden).toBe(false);
+      expect(overlay().querySelector('[role="dialog"]').getAttribute('aria-modal')).toBe('true');
+
+      const groups = Array.from(overlay().querySelectorAll('.shortcuts-help-group h3')).map(h3 => h3.textContent);
+      expect(groups).toEqual(['Navigation', 'General']);
+
+      const firstRow = overlay().querySelector('.shortcuts-help-row');
+      expect(Array.from(firstRow.querySelectorAll('kbd')).map(kbd => kbd.textContent)).toEqual(['g', 'c']);
+      expect(firstRow.querySelector('dd').textContent).toBe('Go to Contact');
+    });
+
+    it('should take focus and give it back on Escape', () => {
+      const outside = document.getElementById('outside');
+      outside.focus();
+
+      press('?');
+      expect(document.activeElement).toBe(document.querySelector('.shortcuts-help-close'));
+
+      press('Escape');
+      expect(overlay().hidden).toBe(true);
+      expect(document.activeElement).toBe(outside);
+    });
+
+    it('should close on ?, the close button or the backdrop', () => {
+      press('?');
+      press('?');
+      expect(overlay().hidden).toBe(true);
+
+      press('?');
+      document.querySelector('.shortcuts-help-close').click();
+      expect(overlay().hidden).toBe(true);
+
+      press('?');
+      overlay().click();
+      expect(overlay().hidden).toBe(true);
+    });
+
+    it('should not run other shortcuts while open', () => {
+      const handler = vi.fn();
+      shortcuts.register('k', handler);
+
+      press('?');
+      press('k');
+
+      expect(handler).not.toHaveBeenCalled();
+    });
+  });
+
+  it('should stop listening and remove the overlay on destroy', () => {
+    const handler = vi.fn();
+    shortcuts.register('j', handler);
+    shortcuts.showHelp();
+
+    shortcuts.destroy();
+    press('j');
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(document.querySelector('.shortcuts-help')).toBeNull();
+  });
+});
@@ -0,0 +1,185 @@
+/**
+ * Unit Tests for the Portfolio Lightbox
+ * Tests opening, keyboard navigation, focus trapping, zoom, the details
+ * panel and syncing back to the slider on close
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const items = [
+  { id: 1, type: 'image', original: 'Source/1.png', alt: 'Portfolio Sample 1' },
+  { id: 2, type: 'image', original: 'Source/2.png', alt: 'Portfolio Sample 2' },
+  { id: 3, type: 'image', original: 'Source/3.png', alt: 'Portfolio Sample 3' }
+];
+
+function pressKey(key, options = {}) {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  document.activeElement.dispatchEvent(event);
+  return event;
+}
+
+describe('Lightbox', () => {
+  let Lightbox;
+  let lightbox;
+  let onClose;
+  let trigger;
+
+  beforeAll(() => {
+    require('../js/modal-dialog.js');
+    Lightbox = require('../js/lightbox.js');
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div class="slider-container" tabindex="0"></div>';
+    trigger = document.querySelector('.slider-container');
+    trigger.focus();
+
+    onClose = vi.fn();
+    lightbox = new Lightbox({ onClose });
+  });
+
+  describe('Opening and closing', () => {
+    it('should open as a modal dialog on the requested item', () => {
+      lightbox.open(items, 1, trigger);
+
+      const dialog = document.querySelector('.lightbox');
+      expect(dialog.hidden).toBe(false);
+      expect(dialog.getAttribute('role')).toBe('dialog');
+      expect(dialog.getAttribute('aria-modal')).toBe('true');
+      expect(dialog.querySelector('.lightbox-media').getAttribute('src')).toBe('Source/2.png');
+      expect(dialog.querySelector('.lightbox-counter').textContent).toBe('2 / 3');
+      expect(document.body.classList.contains('lightbox-open')).toBe(true);
+      expect(document.activeElement).toBe(dialog.querySelector('.lightbox-close'));
+    });
+
+    it('should close on Escape, report the current item and restore focus', () => {
+      lightbox.open(items, 0, trigger);
+      pressKey('ArrowRight');
+      pressKey('Escape');
+
+      expect(document.querySelector('.lightbox').hidden).toBe(true);
+      expect(onClose).toHaveBeenCalledWith(1);
+      expect(document.activeElement).toBe(trigger);
+      expect(document.body.classList.contains('lightbox-open')).toBe(false);
+    });
+    it('should keep the default labels that custom labels leave out', () => {
+      lightbox = new Lightbox({ onClose, labels: { dialog: 'Client work' } });
+      lightbox.open(items, 0, trigger);
+
+      const dialog = document.querySelector('.lightbox');
+      expect(dialog.getAttribute('aria-label')).toBe('Client work');
+      expect(dialog.querySelector('.lightbox-close').getAttribute('aria-label')).toBe('Close viewer');
+    });
+  });
+
+  describe('Keyboard navigation', () => {
+    it('should move between items with the arrow keys and wrap at the ends', () => {
+      lightbox.open(items, 2, trigger);
+
+      pressKey('ArrowRight');
+      expect(lightbox.currentIndex).toBe(0);
+
+      pressKey('ArrowLeft');
+      expect(lightbox.currentIndex).toBe(2);
+    });
+
+    it('should keep Tab focus inside the dialog', () => {
+      lightbox.open(items, 0, trigger);
+      const buttons = document.querySelectorAll('.lightbox button');
+      const first = buttons[0];
+      const last = buttons[buttons.length - 1];
+
+      last.focus();
+      const forward = pressKey('Tab');
+      expect(forward.defaultPrevented).toBe(true);
+      expect(document.activeElement).toBe(first);
+
+      const backward = pressKey('Tab', { shiftKey: true });
+      expect(backward.defaultPrevented).toBe(true);
+      expect(document.activeElement).toBe(last);
+    });
+  });
+
+  describe('Zoom', () => {
+    it('should zoom in and out within the configured limits', () => {
+      lightbox.open(items, 0, trigger);
+
+      pressKey('+');
+      expect(lightbox.scale).toBe(1.5);
+
+      for (let i = 0; i < 10; i++) pressKey('+');
+      expect(lightbox.scale).toBe(4);
+
+      pressKey('0');
+      expect(lightbox.scale).toBe(1);
+
+      pressKey('-');
+      expect(lightbox.scale).toBe(1);
+    });
+
+    it('should zoom with the mouse wheel', () => {
+      lightbox.open(items, 0, trigger);
+
+      const stage = document.querySelector('.lightbox-stage');
+      stage.dispatchEvent(new WheelEvent('wheel', { deltaY: -200, bubbles: true, cancelable: true }));
+
+      expect(lightbox.scale).toBeGreaterThan(1);
+      expect(document.querySelector('.lightbox-media').style.transform).toContain(`scale(${lightbox.scale})`);
+      expect(document.querySelector('.lightbox').classList.contains('is-zoomed')).toBe(true);
+    });
+
+    it('should reset zoom when moving to another item', () => {
+      lightbox.open(items, 0, trigger);
+      lightbox.zoomBy(2);
+
+      pressKey('ArrowRight');
+
+      expect(lightbox.scale).toBe(1);
+    });
+  });
+
+  describe('Details panel', () => {
+    const detailedItems = [
+      {
+        ...items[0],
+        title: 'Cinematic travel edit',
+        client: 'Example Channel',
+        platform: 'YouTube',
+        views: 2400000,
+        published: '2024-03-05',
+        link: 'https://example.com/watch'
+      },
+      items[1]
+    ];
+
+    it('should show the title, credits and link of the current item', () => {
+      lightbox.open(detailedItems, 0, trigger);
+
+      const details = document.querySelector('.lightbox-details');
+      expect(details.hidden).toBe(false);
+      expect(details.querySelector('.lightbox-details-title').textContent).toBe('Cinematic travel edit');
+      expect(Array.from(details.querySelectorAll('dt'), (term) => term.textContent))
+        .toEqual(['Client', 'Platform', 'Views', 'Published']);
+      expect(Array.from(details.querySelectorAll('dd'), (description) => description.textContent))
+        .toEqual(['Example Channel', 'YouTube', '2,400,000', 'Mar 5, 2024']);
+      expect(details.querySelector('time').getAttribute('datetime')).toBe('2024-03-05');
+
+      const link = details.querySelector('.lightbox-details-link');
+      expect(link.getAttribute('href')).toBe('https://example.com/watch');
+      expect(link.target).toBe('_blank');
+      expect(link.rel).toBe('noopener noreferrer');
+    });
+
+    it('should hide the panel for items without metadata', () => {
+      lightbox.open(detailedItems, 0, trigger);
+      pressKey('ArrowRight');
+
+      const details = document.querySelector('.lightbox-details');
+      expect(details.hidden).toBe(true);
+      expect(details.childElementCount).toBe(0);
+    });
+  });
+});
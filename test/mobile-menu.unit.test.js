@@ -0,0 +1,164 @@
+/**
+ * Unit Tests for the Mobile Menu Controller
+ * Tests the open/closed state machine, idempotent setup, ARIA state,
+ * the closing rules and the getState() report
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+describe('MobileMenu', () => {
+  let MobileMenu;
+  let toggle;
+  let menu;
+  let controller;
+
+  beforeAll(() => {
+    MobileMenu = require('../js/mobile-menu.js');
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <nav class="navbar">
+        <button class="nav-toggle" id="navToggle" aria-label="Toggle navigation menu"></button>
+        <ul class="nav-menu" id="navMenu">
+          <li class="nav-item"><a href="#about" class="nav-link">About</a></li>
+        </ul>
+      </nav>
+      <main><p id="content">Content</p></main>
+    `;
+    toggle = document.getElementById('navToggle');
+    menu = document.getElementById('navMenu');
+    window.innerWidth = 375;
+
+    controller = MobileMenu.attach(toggle, menu);
+  });
+
+  afterEach(() => {
+    controller.destroy();
+  });
+
+  const isOpenInDom = () => menu.classList.contains('active') &&
+    toggle.classList.contains('active') &&
+    document.body.classList.contains('nav-open');
+
+  describe('Setup', () => {
+    it('should start closed with aria-controls and aria-expanded set', () => {
+      expect(controller.state).toBe('closed');
+      expect(toggle.getAttribute('aria-controls')).toBe('navMenu');
+      expect(toggle.getAttribute('aria-expanded')).toBe('false');
+    });
+
+    it('should hand back the same controller when attached again', () => {
+      expect(MobileMenu.attach(toggle, menu)).toBe(controller);
+      expect(MobileMenu.get(toggle)).toBe(controller);
+
+      // A second set of listeners would toggle twice and leave it closed
+      toggle.click();
+      expect(controller.isOpen).toBe(true);
+    });
+
+    it('should not attach without both elements', () => {
+      expect(MobileMenu.attach(null, menu)).toBeNull();
+    });
+  });
+
+  describe('State machine', () => {
+    it('should open and close exactly once per tap', () => {
+      toggle.click();
+      expect(controller.state).toBe('open');
+      expect(isOpenInDom()).toBe(true);
+      expect(toggle.getAttribute('aria-expanded')).toBe('true');
+
+      toggle.click();
+      expect(controller.state).toBe('closed');
+      expect(menu.classList.contains('active')).toBe(false);
+      expect(document.body.classList.contains('nav-open')).toBe(false);
+      expect(toggle.getAttribute('aria-expanded')).toBe('false');
+    });
+
+    it('should refuse transitions the current state does not allow', () => {
+      const onChange = vi.fn();
+      controller.destroy();
+      controller = MobileMenu.attach(toggle, menu, { onChange });
+
+      expect(controller.close()).toBe(false);
+      expect(controller.open()).toBe(true);
+      expect(controller.open()).toBe(false);
+      expect(onChange).toHaveBeenCalledTimes(1);
+      expect(onChange).toHaveBeenCalledWith('open', 'api');
+    });
+  });
+
+  describe('Closing', () => {
+    beforeEach(() => {
+      toggle.click();
+    });
+
+    it('should close when a nav link is followed', () => {
+      menu.querySelector('.nav-link').click();
+
+      expect(controller.isOpen).toBe(false);
+    });
+
+    it('should close on a click outside the menu but not inside it', () => {
+      menu.querySelector('.nav-item').click();
+      expect(controller.isOpen).toBe(true);
+
+      document.getElementById('content').click();
+      expect(controller.isOpen).toBe(false);
+    });
+
+    it('should close on Escape and return focus from the menu to the toggle', () => {
+      menu.querySelector('.nav-link').focus();
+
+      document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+      expect(controller.isOpen).toBe(false);
+      expect(document.activeElement).toBe(toggle);
+    });
+
+    it('should close when the viewport grows to desktop', () => {
+      window.dispatchEvent(new Event('resize'));
+      expect(controller.isOpen).toBe(true);
+
+      window.innerWidth = 1024;
+      window.dispatchEvent(new Event('resize'));
+      expect(controller.isOpen).toBe(false);
+    });
+  });
+
+  describe('getState', () => {
+    it('should report the state, ARIA attributes and recent transitions', () => {
+      toggle.click();
+      document.getElementById('content').click();
+
+      const state = controller.getState();
+
+      expect(state).toMatchObject({
+        state: 'closed',
+        initialized: true,
+        toggleId: 'navToggle',
+        menuId: 'navMenu',
+        ariaExpanded: 'false',
+        ariaControls: 'navMenu',
+        bodyLocked: false,
+        mobileViewport: true
+      });
+      expect(state.history.map(({ from, to, reason }) => ({ from, to, reason }))).toEqual([
+        { from: 'closed', to: 'open', reason: 'toggle' },
+        { from: 'open', to: 'closed', reason: 'outside' }
+      ]);
+    });
+  });
+
+  it('should stop responding after destroy', () => {
+    controller.destroy();
+    toggle.click();
+
+    expect(controller.isOpen).toBe(false);
+    expect(MobileMenu.get(toggle)).toBeNull();
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Unit Tests for the Modal Dialog
+ * Tests scroll lock, Escape, the focus trap, focus return and key forwarding
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+function pressKey(key, options = {}) {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  document.activeElement.dispatchEvent(event);
+  return event;
+}
+
+describe('ModalDialog', () => {
+  let ModalDialog;
+  let modal;
+  let element;
+  let trigger;
+  let onClose;
+  let onKeydown;
+
+  beforeAll(() => {
+    ModalDialog = require('../js/modal-dialog.js');
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <button type="button" class="trigger">Open</button>
+      <div class="dialog" role="dialog" hidden>
+        <a href="#credits" class="first">Credits</a>
+        <button type="button" class="hidden-btn" hidden>Hidden</button>
+        <button type="button" class="close">Close</button>
+        <button type="button" class="last">Next</button>
+        <button type="button" class="disabled-btn" disabled>Disabled</button>
+      </div>
+    `;
+    element = document.querySelector('.dialog');
+    trigger = document.querySelector('.trigger');
+    trigger.focus();
+
+    onClose = vi.fn();
+    onKeydown = vi.fn();
+    modal = new ModalDialog(element, {
+      bodyClass: 'viewer-open',
+      initialFocus: element.querySelector('.close'),
+      onClose,
+      onKeydown
+    });
+  });
+
+  afterEach(() => {
+    modal.destroy();
+    document.body.className = '';
+  });
+
+  it('should show the dialog, lock the page and focus the initial element', () => {
+    modal.open(trigger);
+
+    expect(modal.isOpen).toBe(true);
+    expect(element.hidden).toBe(false);
+    expect(document.body.classList.contains('viewer-open')).toBe(true);
+    expect(document.activeElement).toBe(element.querySelector('.close'));
+  });
+
+  it('should focus the first focusable element without an initial one', () => {
+    modal = new ModalDialog(element);
+    modal.open(trigger);
+
+    expect(document.activeElement).toBe(element.querySelector('.first'));
+    expect(document.body.classList.contains('modal-open')).toBe(true);
+  });
+
+  it('should close on Escape, call onClose and return focus to the trigger', () => {
+    modal.open(trigger);
+    const event = pressKey('Escape');
+
+    expect(event.defaultPrevented).toBe(true);
+    expect(modal.isOpen).toBe(false);
+    expect(element.hidden).toBe(true);
+    expect(document.body.classList.contains('viewer-open')).toBe(false);
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  it('should call onClose before focus goes back', () => {
+    onClose.mockImplementation(() => {
+      expect(document.activeElement).not.toBe(trigger);
+    });
+    modal.open(trigger);
+    modal.close();
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+    expect(document.activeElement).toBe(trigger);
+  });
+
+  it('should only close once', () => {
+    modal.open(trigger);
+    modal.close();
+    modal.close();
+
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+
+  it('should cycle Tab between the first and last enabled, visible elements', () => {
+    modal.open(trigger);
+    const first = element.querySelector('.first');
+    const last = element.querySelector('.last');
+
+    last.focus();
+    expect(pressKey('Tab').defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(first);
+
+    expect(pressKey('Tab', { shiftKey: true }).defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(last);
+  });
+
+  it('should bring focus back inside when it has left the dialog', () => {
+    modal.open(trigger);
+    trigger.focus();
+    pressKey('Tab');
+
+    expect(document.activeElement).toBe(element.querySelector('.first'));
+  });
+
+  it('should pass other keys to onKeydown and not Escape or Tab', () => {
+    modal.open(trigger);
+    pressKey('ArrowRight');
+    pressKey('Tab');
+
+    expect(onKeydown).toHaveBeenCalledTimes(1);
+    expect(onKeydown.mock.calls[0][0].key).toBe('ArrowRight');
+  });
+
+  it('should stop listening once closed', () => {
+    modal.open(trigger);
+    modal.close();
+    pressKey('ArrowRight');
+
+    expect(onKeydown).not.toHaveBeenCalled();
+  });
+});
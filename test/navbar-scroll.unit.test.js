@@ -0,0 +1,181 @@
+/**
+ * Unit Tests for the Navbar Scroll Behaviour
+ * Tests hiding on the way down and returning on the way up, staying put while
+ * pinned or focused, the .scrolled class and the reading progress bar
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Page layout: section id → top (px) in the document
+const layout = { hero: 0, about: 800, results: 1700, contact: 3000 };
+const pageHeight = 4000;
+
+describe('NavbarScroll', () => {
+  let NavbarScroll;
+  let navbar;
+  let controller;
+
+  const isHidden = () => navbar.classList.contains('navbar-hidden');
+
+  // Scrolls the fake page and runs the batched update
+  function scrollTo(y) {
+    window.scrollY = y;
+    window.dispatchEvent(new Event('scroll'));
+    vi.runAllTimers();
+  }
+
+  function create(options = {}) {
+    controller = new NavbarScroll(navbar, {
+      sections: document.querySelectorAll('section'),
+      ...options
+    });
+    return controller;
+  }
+
+  beforeAll(() => {
+    NavbarScroll = require('../js/navbar-scroll.js');
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    document.body.innerHTML = `
+      <nav class="navbar"><a href="#contact" class="nav-link">Contact</a></nav>
+      ${Object.keys(layout).map(id => `<section id="${id}"></section>`).join('')}
+      <button id="outside">Outside</button>
+    `;
+    navbar = document.querySelector('.navbar');
+
+    document.querySelectorAll('section').forEach(section => {
+      section.getBoundingClientRect = () => ({ top: layout[section.id] - window.scrollY });
+    });
+    Object.defineProperty(navbar, 'offsetHeight', { value: 100, configurable: true });
+    Object.defineProperty(document.documentElement, 'scrollHeight', { value: pageHeight, configurable: true });
+    window.innerHeight = 800;
+    window.scrollY = 0;
+  });
+
+  afterEach(() => {
+    controller.destroy();
+    vi.useRealTimers();
+  });
+
+  describe('Hiding', () => {
+    it('should slide away on the way down and return after scrolling back up far enough', () => {
+      create();
+
+      scrollTo(400);
+      expect(isHidden()).toBe(true);
+
+      scrollTo(380);
+      expect(isHidden()).toBe(true);
+
+      scrollTo(340);
+      expect(isHidden()).toBe(false);
+    });
+
+    it('should ignore small jitters on the way down', () => {
+      create();
+      scrollTo(400);
+      scrollTo(300);
+      expect(isHidden()).toBe(false);
+
+      scrollTo(305);
+      expect(isHidden()).toBe(false);
+    });
+
+    it('should always show near the top of the page', () => {
+      create({ revealDistance: 1000 });
+      scrollTo(400);
+
+      scrollTo(80);
+
+      expect(isHidden()).toBe(false);
+    });
+
+    it('should stay while pinned', () => {
+      let pinned = true;
+      create({ isPinned: () => pinned });
+
+      scrollTo(600);
+      expect(isHidden()).toBe(false);
+
+      pinned = false;
+      scrollTo(700);
+      expect(isHidden()).toBe(true);
+    });
+
+    it('should stay while focus is inside it, and come back when focus enters', () => {
+      create();
+      scrollTo(600);
+      expect(isHidden()).toBe(true);
+
+      navbar.querySelector('.nav-link').focus();
+      expect(isHidden()).toBe(false);
+
+      scrollTo(900);
+      expect(isHidden()).toBe(false);
+
+      document.getElementById('outside').focus();
+      scrollTo(1000);
+      expect(isHidden()).toBe(true);
+    });
+  });
+
+  it('should mark the navbar as scrolled past the top offset', () => {
+    create();
+
+    scrollTo(150);
+    expect(navbar.classList.contains('scrolled')).toBe(true);
+
+    scrollTo(50);
+    expect(navbar.classList.contains('scrolled')).toBe(false);
+  });
+
+  describe('Progress bar', () => {
+    it('should follow the share of the page read', () => {
+      create();
+      const bar = navbar.querySelector('.scroll-progress-bar');
+
+      scrollTo(1600);
+      expect(bar.style.transform).toBe('scaleX(0.5)');
+
+      scrollTo(3200);
+      expect(bar.style.transform).toBe('scaleX(1)');
+    });
+
+    it('should mark where each section after the first reaches the navbar', () => {
+      create();
+
+      const marks = Array.from(navbar.querySelectorAll('.scroll-progress-mark'));
+      // (top - navbar height) / (page height - viewport)
+      expect(marks.map(mark => mark.style.left)).toEqual(['21.88%', '50%', '90.63%']);
+      expect(navbar.querySelector('.scroll-progress').getAttribute('aria-hidden')).toBe('true');
+    });
+
+    it('should highlight the boundaries already passed', () => {
+      create();
+
+      scrollTo(1700);
+
+      const passed = Array.from(navbar.querySelectorAll('.scroll-progress-mark'))
+        .map(mark => mark.classList.contains('passed'));
+      expect(passed).toEqual([true, true, false]);
+    });
+  });
+
+  it('should remove its classes, listeners and progress bar on destroy', () => {
+    create();
+    scrollTo(600);
+
+    controller.destroy();
+    scrollTo(300);
+    scrollTo(900);
+
+    expect(isHidden()).toBe(false);
+    expect(navbar.querySelector('.scroll-progress')).toBeNull();
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Unit Tests for the Generated Navigation Menu
+ * Tests that the menu is built from the sections' data-nav-label and
+ * data-nav-order, that pages without labels keep their own links, and that
+ * highlighting and the mobile focus trap work with the generated links, and that
+ * the page's components are only torn down when the page really unloads
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+describe('Navigation Menu', () => {
+  let PortfolioApp;
+  let app;
+
+  beforeAll(() => {
+    // main.js constructs observers during setup, so they must be newable
+    global.IntersectionObserver = class {
+      observe() {}
+      unobserve() {}
+      disconnect() {}
+    };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    // main.js starts an app of its own on load, whose scroll handlers expect a navbar
+    document.body.innerHTML = '<nav class="navbar"></nav>';
+    require('../js/mobile-menu.js');
+    PortfolioApp = require('../js/main.js');
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <nav class="navbar" id="navbar">
+        <a href="#hero" class="nav-logo">GofieVFX</a>
+        <button class="nav-toggle" id="navToggle"></button>
+        <ul class="nav-menu" id="navMenu"></ul>
+      </nav>
+      <section id="hero" data-nav-label="Home" data-nav-order="10"></section>
+      <section id="tools"></section>
+      <section id="why-me" data-nav-label="Why Me" data-nav-order="60"></section>
+      <section id="experience" data-nav-label="Experience" data-nav-order="50"></section>
+      <section id="extras" data-nav-label="Extras"></section>
+      <section id="contact" data-nav-label="Contact" data-nav-order="80"></section>
+    `;
+
+    window.innerWidth = 375;
+    window.scrollTo = vi.fn();
+    // Not implemented by jsdom
+    window.history.scrollRestoration = 'auto';
+    window.history.replaceState(null, '', '/');
+  });
+
+  afterEach(() => {
+    app.cleanup();
+  });
+
+  const navLinks = () => Array.from(document.querySelectorAll('#navMenu .nav-link'));
+
+  const pressTab = (shiftKey = false) => {
+    const event = new KeyboardEvent('keydown', { key: 'Tab', shiftKey, bubbles: true, cancelable: true });
+    document.activeElement.dispatchEvent(event);
+    return event;
+  };
+
+  it('should link every labelled section in data-nav-order, unordered ones last', () => {
+    app = new PortfolioApp();
+
+    expect(navLinks().map(link => [link.getAttribute('href'), link.textContent])).toEqual([
+      ['#hero', 'Home'],
+      ['#experience', 'Experience'],
+      ['#why-me', 'Why Me'],
+      ['#contact', 'Contact'],
+      ['#extras', 'Extras']
+    ]);
+    expect(document.querySelectorAll('#navMenu > li.nav-item')).toHaveLength(5);
+  });
+
+  it('should keep the links in the markup when no section is labelled', () => {
+    document.querySelectorAll('[data-nav-label]').forEach(section => section.removeAttribute('data-nav-label'));
+    document.getElementById('navMenu').innerHTML = '<li class="nav-item"><a href="#contact" class="nav-link">Contact</a></li>';
+
+    app = new PortfolioApp();
+
+    expect(navLinks().map(link => link.textContent)).toEqual(['Contact']);
+  });
+
+  it('should highlight the generated link for the current section', () => {
+    app = new PortfolioApp();
+
+    app.updateActiveNavLink('why-me');
+
+    const link = document.querySelector('.nav-link[href="#why-me"]');
+    expect(link.classList.contains('active')).toBe(true);
+    expect(link.getAttribute('aria-current')).toBe('page');
+  });
+
+  it('should follow a generated link', () => {
+    app = new PortfolioApp();
+
+    document.querySelector('.nav-link[href="#experience"]').click();
+
+    expect(window.location.hash).toBe('#experience');
+  });
+
+  describe('Page lifecycle', () => {
+    // The app main.js started on load is the one the window listeners belong to
+    let cleanup;
+
+    beforeEach(() => {
+      app = new PortfolioApp();
+      cleanup = vi.spyOn(PortfolioApp.prototype, 'cleanup').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      cleanup.mockRestore();
+    });
+
+    const pageHide = (persisted) => {
+      const event = new Event('pagehide');
+      event.persisted = persisted;
+      window.dispatchEvent(event);
+    };
+
+    it('should keep its components through beforeunload, which a mailto: link fires too', () => {
+      window.dispatchEvent(new Event('beforeunload'));
+
+      expect(cleanup).not.toHaveBeenCalled();
+    });
+
+    it('should keep its components when the page goes into the back/forward cache', () => {
+      pageHide(true);
+
+      expect(cleanup).not.toHaveBeenCalled();
+    });
+
+    it('should clean up when the page is unloaded', () => {
+      pageHide(false);
+
+      expect(cleanup).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Focus trap', () => {
+    beforeEach(() => {
+      app = new PortfolioApp();
+      document.getElementById('navToggle').click();
+    });
+
+    it('should keep Tab inside the navbar while the mobile menu is open', () => {
+      const links = navLinks();
+      links[links.length - 1].focus();
+
+      expect(pressTab().defaultPrevented).toBe(true);
+      expect(document.activeElement).toBe(document.querySelector('.nav-logo'));
+
+      pressTab(true);
+      expect(document.activeElement).toBe(links[links.length - 1]);
+    });
+
+    it('should include links rendered after the menu opened', () => {
+      document.getElementById('contact').insertAdjacentHTML('afterend',
+        '<section id="faq" data-nav-label="FAQ"></section>');
+      app.renderNavMenu();
+
+      const faqLink = document.querySelector('.nav-link[href="#faq"]');
+      faqLink.focus();
+      pressTab();
+
+      expect(document.activeElement).toBe(document.querySelector('.nav-logo'));
+    });
+
+    it('should let focus go once the menu closes', () => {
+      document.getElementById('navToggle').click();
+      navLinks()[navLinks().length - 1].focus();
+
+      expect(pressTab().defaultPrevented).toBe(false);
+      expect(app.focusTrapHandler).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Unit Tests for the Optimized Image Loader
+ * Tests upgrading the rendered slides by manifest id, directional preloading
+ * of the slides ahead of the slider, decode-before-paint, fallbacks and caching
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const images = [
+  { id: 1, type: 'image', original: 'Source/1.png', webp: 'webp/1.webp', fallback: 'fallback/1.jpg' },
+  { id: 2, type: 'image', original: 'Source/2.png', webp: 'webp/2.webp', fallback: 'fallback/2.jpg' },
+  { id: 3, type: 'video', video: 'Source/3.mp4' },
+  { id: 4, type: 'comparison', original: 'Source/4.png', webp: 'webp/4.webp', fallback: 'fallback/4.jpg', before: 'Source/4-before.png' },
+  { id: 5, type: 'image', original: 'Source/5.png', webp: 'webp/5.webp', fallback: 'fallback/5.jpg' }
+];
+
+describe('OptimizedImageLoader', () => {
+  let OptimizedImageLoader;
+  let loader;
+  let requested;
+  let missing;
+
+  // Records every image request; decode() fails for URLs listed in missing
+  class FakeImage {
+    set src(value) {
+      this.currentSrc = value;
+      requested.push(value);
+    }
+
+    get src() {
+      return this.currentSrc;
+    }
+
+    decode() {
+      return missing.has(this.currentSrc)
+        ? Promise.reject(new Error('EncodingError'))
+        : Promise.resolve();
+    }
+  }
+
+  beforeAll(() => {
+    require('../assets/portfolio/optimized-images.js');
+    OptimizedImageLoader = window.optimizedImageLoader.constructor;
+  });
+
+  beforeEach(() => {
+    requested = [];
+    missing = new Set();
+    vi.stubGlobal('Image', FakeImage);
+
+    loader = new OptimizedImageLoader();
+    loader.manifest = { images };
+    loader.supportsWebP = true;
+    requested = [];
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  describe('loadImages', () => {
+    afterEach(() => {
+      document.body.innerHTML = '';
+    });
+
+    it('should upgrade each slide with its own manifest entry, whatever the order', () => {
+      document.body.innerHTML = `
+        <div class="slide" data-image-id="5"><img src="Source/5.png" alt=""></div>
+        <div class="slide" data-image-id="1"><img src="Source/1.png" alt=""></div>
+        <div class="slide slide-clone" data-image-id="5"><img src="Source/5.png" alt=""></div>
+      `;
+      loader.manifest = { images: images.map(image => ({ ...image, alt: `Sample ${image.id}` })) };
+
+      loader.loadImages();
+
+      expect(requested).toEqual(['webp/5.webp', 'webp/1.webp']);
+    });
+
+    it('should set the matching alt once the optimized image has loaded', () => {
+      document.body.innerHTML = '<div class="slide" data-image-id="2"><img src="Source/2.png" alt=""></div>';
+      loader.manifest = { images: [{ ...images[0], alt: 'First' }, { ...images[1], alt: 'Second' }] };
+      const onload = vi.fn();
+      vi.stubGlobal('Image', class extends FakeImage {
+        set onload(handler) {
+          onload.mockImplementation(handler);
+        }
+      });
+
+      loader.loadImages();
+      onload();
+
+      const img = document.querySelector('.slide img');
+      expect(img.getAttribute('src')).toBe('webp/2.webp');
+      expect(img.alt).toBe('Second');
+    });
+  });
+
+  describe('preloadNextImages', () => {
+    it('should fetch the next images forwards, skipping videos', async () => {
+      await loader.preloadNextImages(0, 3);
+
+      expect(requested).toEqual(['webp/2.webp', 'webp/4.webp', 'Source/4-before.png']);
+    });
+
+    it('should fetch backwards and wrap around like the looping slider', async () => {
+      await loader.preloadNextImages(0, 2, -1);
+
+      expect(requested).toEqual(['webp/5.webp', 'webp/4.webp', 'Source/4-before.png']);
+    });
+
+    it('should use the fallback format without WebP support', async () => {
+      loader.supportsWebP = false;
+
+      await loader.preloadNextImages(0, 1);
+
+      expect(requested).toEqual(['fallback/2.jpg']);
+    });
+
+    it('should decode the original when the optimized variant is missing', async () => {
+      missing.add('webp/2.webp');
+
+      const [img] = await loader.preloadNextImages(0, 1);
+
+      expect(requested).toEqual(['webp/2.webp', 'Source/2.png']);
+      expect(img.src).toBe('Source/2.png');
+    });
+
+    it('should only fetch each image once', async () => {
+      await loader.preloadNextImages(0, 3);
+      await loader.preloadNextImages(0, 3);
+      await loader.preloadNextImages(2, 1);
+
+      expect(requested).toEqual(['webp/2.webp', 'webp/4.webp', 'Source/4-before.png']);
+    });
+
+    it('should preload from the list it is given, such as a filtered slide set', async () => {
+      await loader.preloadNextImages(0, 2, 1, [images[4], images[0]]);
+
+      expect(requested).toEqual(['webp/1.webp']);
+    });
+
+    it('should still resolve when an image cannot be loaded at all', async () => {
+      missing.add('webp/2.webp');
+      missing.add('Source/2.png');
+
+      await expect(loader.preloadNextImages(0, 1)).resolves.toEqual([null]);
+    });
+  });
+});
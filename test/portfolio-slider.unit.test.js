@@ -0,0 +1,891 @@
+/**
+ * Unit Tests for the Portfolio Slider
+ * Tests that slides and indicators are generated from the image manifest
+ * and that deep links, filters, the thumbnail strip, the lightbox and the shorts viewer stay in sync with the Slider
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const manifest = {
+  version: '1.0.0',
+  images: [
+    { id: 1, original: 'Source/1.png', alt: 'Portfolio Sample 1', loading: 'eager' },
+    { id: 2, original: 'Source/2.png', alt: 'Portfolio Sample 2', loading: 'eager' },
+    { id: 3, original: 'Source/3.png', alt: 'Portfolio Sample 3', loading: 'lazy' }
+  ]
+};
+
+describe('Portfolio Slider', () => {
+  let PortfolioApp;
+
+  beforeAll(() => {
+    // main.js constructs observers during setup, so they must be newable
+    global.IntersectionObserver = class {
+      observe() {}
+      unobserve() {}
+      disconnect() {}
+    };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    require('../js/modal-dialog.js');
+    require('../js/lightbox.js');
+    require('../js/swipe-gesture.js');
+    require('../js/shorts-viewer.js');
+    require('../js/slider.js');
+    require('../js/before-after.js');
+    PortfolioApp = require('../js/main.js');
+  });
+
+  beforeEach(() => {
+    document.body.innerHTML = `
+      <nav class="navbar" id="navbar"></nav>
+      <section class="results" id="results">
+        <div class="portfolio-slider">
+          <div class="slider-container">
+            <div class="slider-track" id="sliderTrack"></div>
+            <button class="slider-btn slider-btn-prev" id="prevBtn" aria-label="Previous image">‹</button>
+            <button class="slider-btn slider-btn-next" id="nextBtn" aria-label="Next image">›</button>
+            <div class="slider-indicators" id="sliderIndicators"></div>
+          </div>
+        </div>
+      </section>
+    `;
+
+    window.optimizedImageLoader = { manifest };
+
+    // One slide per view unless a test says otherwise
+    window.innerWidth = 375;
+    window.history.replaceState(null, '', '/');
+  });
+
+  async function createApp() {
+    const app = new PortfolioApp();
+    await app.initPortfolioSlider();
+    app.slider.isAnimating = false;
+    return app;
+  }
+
+  describe('Rendering from the manifest', () => {
+    it('should render one slide per manifest image with its alt text', async () => {
+      await createApp();
+
+      const images = document.querySelectorAll('#sliderTrack .slide:not(.slide-clone) img');
+      expect(images).toHaveLength(manifest.images.length);
+
+      images.forEach((img, index) => {
+        expect(img.getAttribute('src')).toBe(manifest.images[index].original);
+        expect(img.alt).toBe(manifest.images[index].alt);
+      });
+      
+      // Slides ahead of the view are switched to eager by preloading (see below)
+      expect(images[0].getAttribute('loading')).toBe(manifest.images[0].loading);
+    });
+
+    it('should render one indicator per slide with the first one active', async () => {
+      const app = await createApp();
+
+      const indicators = document.querySelectorAll('#sliderIndicators .indicator');
+      expect(indicators).toHaveLength(manifest.images.length);
+      expect(app.slider.slideCount).toBe(manifest.images.length);
+      expect(indicators[0].classList.contains('active')).toBe(true);
+      expect(indicators[0].getAttribute('aria-current')).toBe('true');
+    });
+
+    it('should caption slides with their title and credits', async () => {
+      window.optimizedImageLoader = {
+        manifest: {
+          images: [
+            { ...manifest.images[0], title: 'Best Towel', platform: 'YouTube Shorts', views: 22000000 },
+            { ...manifest.images[1], client: 'Example Channel' },
+            manifest.images[2]
+          ]
+        }
+      };
+
+      await createApp();
+
+      const slides = document.querySelectorAll('.slide:not(.slide-clone)');
+      expect(slides[0].querySelector('.slide-caption-title').textContent).toBe('Best Towel');
+      expect(slides[0].querySelector('.slide-caption-meta').textContent).toBe('YouTube Shorts · 22M views');
+      expect(slides[1].querySelector('.slide-caption-title')).toBeNull();
+      expect(slides[1].querySelector('.slide-caption-meta').textContent).toBe('Example Channel');
+      expect(slides[2].querySelector('.slide-caption')).toBeNull();
+    });
+
+    it('should fetch the manifest when the image loader is not present', async () => {
+      window.optimizedImageLoader = undefined;
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve(manifest)
+      });
+
+      await createApp();
+
+      expect(global.fetch).toHaveBeenCalledWith('assets/portfolio/manifest.json');
+      expect(document.querySelectorAll('.slide:not(.slide-clone)')).toHaveLength(manifest.images.length);
+    });
+  });
+
+  describe('Video slides', () => {
+    let play;
+    let pause;
+
+    beforeEach(() => {
+      window.optimizedImageLoader = {
+        manifest: {
+          images: [
+            manifest.images[0],
+            { id: 2, type: 'video', video: 'Source/2.mp4', poster: 'Source/2.png', alt: 'Edit reel', loading: 'lazy' },
+            manifest.images[2]
+          ]
+        }
+      };
+
+      play = vi.spyOn(window.HTMLMediaElement.prototype, 'play').mockImplementation(() => Promise.resolve());
+      pause = vi.spyOn(window.HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+    });
+
+    it('should render a muted, looping inline video with its poster', async () => {
+      await createApp();
+
+      const video = document.querySelector('.slide-video video');
+      expect(video).toBeTruthy();
+      expect(video.muted).toBe(true);
+      expect(video.hasAttribute('loop')).toBe(true);
+      expect(video.hasAttribute('playsinline')).toBe(true);
+      expect(video.getAttribute('poster')).toBe('Source/2.png');
+      expect(video.getAttribute('aria-label')).toBe('Edit reel');
+    });
+
+    it('should play the video when its slide becomes active and rewind it when it leaves', async () => {
+      const app = await createApp();
+      const video = document.querySelector('.slide-video video');
+      expect(play).not.toHaveBeenCalled();
+
+      app.slider.next();
+      expect(app.slider.currentIndex).toBe(1);
+      expect(play).toHaveBeenCalledTimes(1);
+
+      Object.defineProperty(video, 'paused', { value: false, configurable: true });
+      video.currentTime = 3;
+      app.slider.isAnimating = false;
+      app.slider.next();
+
+      expect(pause).toHaveBeenCalledTimes(1);
+      expect(video.currentTime).toBe(0);
+    });
+  });
+
+  describe('Comparison slides', () => {
+    beforeEach(() => {
+      window.optimizedImageLoader = {
+        manifest: {
+          images: [
+            manifest.images[0],
+            { id: 2, type: 'comparison', original: 'Source/2.png', before: 'Source/2-before.png', alt: 'Teal grade', loading: 'eager' },
+            manifest.images[2]
+          ]
+        }
+      };
+    });
+
+    it('should layer the before image over the after image with a divider', async () => {
+      await createApp();
+
+      const slide = document.querySelector('.slide-comparison:not(.slide-clone)');
+      expect(slide.querySelector('.comparison-after').getAttribute('src')).toBe('Source/2.png');
+      expect(slide.querySelector('.comparison-after').alt).toBe('Teal grade (after)');
+      expect(slide.querySelector('.comparison-before').getAttribute('src')).toBe('Source/2-before.png');
+      expect(slide.querySelector('.comparison-before').alt).toBe('Teal grade (before)');
+      expect(slide.querySelector('.comparison-handle').getAttribute('role')).toBe('slider');
+    });
+
+    it('should drag the divider without swiping the slider or opening the lightbox', async () => {
+      const app = await createApp();
+      app.slider.goTo(1);
+      app.slider.isAnimating = false;
+
+      const container = document.querySelector('.slider-container');
+      Object.defineProperty(container, 'offsetWidth', { value: 400 });
+      const slide = document.querySelector('.slide-comparison:not(.slide-clone)');
+      const handle = slide.querySelector('.comparison-handle');
+      const send = (type, clientX) => handle.dispatchEvent(new PointerEvent(type, {
+        pointerId: 1, pointerType: 'touch', isPrimary: true, clientX, clientY: 0, bubbles: true, cancelable: true
+      }));
+
+      send('pointerdown', 300);
+      send('pointermove', 100);
+      send('pointerup', 100);
+      handle.click();
+
+      expect(app.slider.currentIndex).toBe(1);
+      expect(document.querySelector('.lightbox:not([hidden])')).toBeNull();
+    });
+
+    it('should keep arrow keys on the divider from changing slides', async () => {
+      const app = await createApp();
+      app.slider.goTo(1);
+      app.slider.isAnimating = false;
+
+      const handle = document.querySelector('.slide-comparison:not(.slide-clone) .comparison-handle');
+      handle.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true, cancelable: true }));
+
+      expect(app.slider.currentIndex).toBe(1);
+      expect(app.comparisons[0].position).toBe(55);
+    });
+
+    it('should open the graded image when the rest of the slide is clicked', async () => {
+      await createApp();
+
+      document.querySelector('.slide-comparison:not(.slide-clone)').click();
+
+      expect(document.querySelector('.lightbox-media').getAttribute('src')).toBe('Source/2.png');
+    });
+  });
+
+  describe('Preloading', () => {
+    let preloadNextImages;
+    let decode;
+
+    beforeEach(() => {
+      preloadNextImages = vi.fn(() => Promise.resolve([]));
+      window.optimizedImageLoader = { manifest, preloadNextImages };
+      decode = vi.fn(() => Promise.resolve());
+      window.HTMLImageElement.prototype.decode = decode;
+    });
+
+    afterEach(() => {
+      delete window.HTMLImageElement.prototype.decode;
+    });
+
+    function getSlideImages(index) {
+      return document.querySelectorAll(`#sliderTrack .slide[data-index="${index}"] img`);
+    }
+
+    it('should fetch and decode the slides in and ahead of the view once rendered', async () => {
+      const app = await createApp();
+
+      // From just behind slide 1: the view itself, then the slides after it
+      expect(preloadNextImages).toHaveBeenLastCalledWith(-1, 3, 1, app.portfolioItems);
+      expect(decode).toHaveBeenCalled();
+
+      // Slide 3 is lazy in the manifest and only wraps round to the view's far side;
+      // once slide 2 is on its way, it and its loop clone load
+      expect(getSlideImages(2)[1].getAttribute('loading')).toBe('lazy');
+      app.slider.next();
+      getSlideImages(2).forEach((img) => {
+        expect(img.getAttribute('loading')).toBe('eager');
+      });
+    });
+
+    it('should preload in the direction of travel after navigating', async () => {
+      const app = await createApp();
+
+      app.slider.prev();
+
+      expect(preloadNextImages).toHaveBeenLastCalledWith(3, 3, -1, app.portfolioItems);
+    });
+
+    it('should hold a jump until the images it lands on are decoded', async () => {
+      const app = await createApp();
+      const pending = [];
+      const transforms = [];
+      decode.mockImplementation(() => new Promise(resolve => pending.push(resolve)));
+      preloadNextImages.mockClear();
+      preloadNextImages.mockImplementation(() => {
+        transforms.push(app.slider.track.style.transform);
+        return Promise.resolve([]);
+      });
+      const restingTransform = app.slider.track.style.transform;
+
+      app.slider.goTo(2);
+
+      expect(app.slider.currentIndex).toBe(0);
+      expect(app.slider.track.style.transform).toBe(restingTransform);
+      getSlideImages(2).forEach((img) => {
+        expect(img.getAttribute('loading')).toBe('eager');
+      });
+
+      pending.forEach(resolve => resolve());
+      await vi.waitFor(() => expect(app.slider.currentIndex).toBe(2));
+
+      // The move then preloads past its target before the track sets off
+      expect(preloadNextImages).toHaveBeenCalledTimes(1);
+      expect(preloadNextImages).toHaveBeenCalledWith(1, 3, 1, app.portfolioItems);
+      expect(transforms).toEqual([restingTransform]);
+      expect(app.slider.track.style.transform).not.toBe(restingTransform);
+    });
+
+    it('should jump anyway when decoding takes too long', async () => {
+      const app = await createApp();
+      decode.mockImplementation(() => new Promise(() => {}));
+      vi.useFakeTimers();
+
+      try {
+        app.slider.goTo(2);
+        await vi.advanceTimersByTimeAsync(299);
+        expect(app.slider.currentIndex).toBe(0);
+
+        await vi.advanceTimersByTimeAsync(1);
+        expect(app.slider.currentIndex).toBe(2);
+      } finally {
+        vi.useRealTimers();
+      }
+    });
+
+    it('should not hold a step to the next slide', async () => {
+      const app = await createApp();
+      decode.mockImplementation(() => new Promise(() => {}));
+
+      app.slider.goTo(1);
+
+      expect(app.slider.currentIndex).toBe(1);
+    });
+
+    it('should preload towards the slide a drag is revealing', async () => {
+      const app = await createApp();
+      preloadNextImages.mockClear();
+
+      const container = document.querySelector('.slider-container');
+      Object.defineProperty(container, 'offsetWidth', { value: 400 });
+      const send = (type, clientX) => container.dispatchEvent(new PointerEvent(type, {
+        pointerId: 1, pointerType: 'touch', isPrimary: true, clientX, clientY: 0, bubbles: true, cancelable: true
+      }));
+
+      send('pointerdown', 100);
+      send('pointermove', 150);
+
+      expect(app.slider.currentIndex).toBe(0);
+      expect(preloadNextImages).toHaveBeenLastCalledWith(1, 3, -1, app.portfolioItems);
+
+      send('pointercancel', 150);
+    });
+
+    it('should decode each slide image only once', async () => {
+      const app = await createApp();
+      const calls = decode.mock.calls.length;
+
+      app.slider.next();
+      app.slider.isAnimating = false;
+      app.slider.prev();
+
+      // Slide 3 comes into range on the way forward; nothing is new on the way back
+      expect(decode.mock.calls.length - calls).toBe(getSlideImages(2).length);
+    });
+  });
+
+  describe('Deep links', () => {
+    it('should put the current slide in the URL when navigating', async () => {
+      const app = await createApp();
+
+      app.slider.goTo(2);
+
+      expect(window.location.hash).toBe('#results/slide-3');
+      expect(window.history.state.slide).toBe(2);
+    });
+
+    it('should open the slide named in the hash on load and scroll to the results', async () => {
+      window.history.replaceState(null, '', '/#results/slide-2');
+
+      const app = await createApp();
+
+      expect(app.slider.currentIndex).toBe(1);
+      expect(document.querySelectorAll('.indicator')[1].classList.contains('active')).toBe(true);
+      expect(window.scrollTo).toHaveBeenCalled();
+    });
+
+    it('should accept a ?slide= query parameter', async () => {
+      window.history.replaceState(null, '', '/?slide=3');
+
+      const app = await createApp();
+
+      expect(app.slider.currentIndex).toBe(2);
+    });
+
+    it('should ignore slide numbers that do not exist', async () => {
+      window.history.replaceState(null, '', '/#results/slide-42');
+
+      const app = await createApp();
+
+      expect(app.slider.currentIndex).toBe(0);
+    });
+
+    it('should keep an existing slide link in step with autoplay without adding entries', async () => {
+      window.history.replaceState(null, '', '/#results/slide-1');
+      const app = await createApp();
+      const historyLength = window.history.length;
+
+      app.slider.next({ trigger: 'autoplay' });
+
+      expect(window.location.hash).toBe('#results/slide-2');
+      expect(window.history.length).toBe(historyLength);
+    });
+
+    it('should leave the URL alone when autoplay runs without a slide link', async () => {
+      const app = await createApp();
+
+      app.slider.next({ trigger: 'autoplay' });
+
+      expect(window.location.hash).toBe('');
+    });
+
+    it('should move between visited slides on back/forward', async () => {
+      const app = await createApp();
+
+      app.slider.goTo(1);
+      app.slider.isAnimating = false;
+      app.slider.goTo(2);
+
+      window.dispatchEvent(new PopStateEvent('popstate', { state: { slide: 1 } }));
+      expect(app.slider.currentIndex).toBe(1);
+
+      window.dispatchEvent(new PopStateEvent('popstate', { state: { slide: 0 } }));
+      expect(app.slider.currentIndex).toBe(0);
+    });
+  });
+
+  describe('Thumbnail strip', () => {
+    beforeEach(() => {
+      document.querySelector('.portfolio-slider').setAttribute('data-thumbnails', '');
+      window.optimizedImageLoader = {
+        manifest: {
+          images: [
+            { ...manifest.images[0], thumbnail: 'assets/portfolio/thumbs/1.webp' },
+            { id: 2, type: 'video', video: 'Source/2.mp4', poster: 'Source/2.png', alt: 'Edit reel', loading: 'lazy' },
+            manifest.images[2]
+          ]
+        }
+      };
+    });
+
+    function getThumbnails() {
+      return document.querySelectorAll('.slider-thumbnails .slider-thumbnail');
+    }
+
+    it('should not render a strip unless data-thumbnails is set', async () => {
+      document.querySelector('.portfolio-slider').removeAttribute('data-thumbnails');
+
+      await createApp();
+
+      expect(document.querySelector('.slider-thumbnails')).toBeNull();
+      expect(document.querySelector('.portfolio-slider').classList.contains('has-thumbnails')).toBe(false);
+    });
+
+    it('should not render a strip before the build has created any thumbnails', async () => {
+      window.optimizedImageLoader = { manifest };
+
+      await createApp();
+
+      expect(document.querySelector('.slider-thumbnails')).toBeNull();
+      expect(document.querySelector('.portfolio-slider').classList.contains('has-thumbnails')).toBe(false);
+    });
+
+    it('should render one thumbnail per manifest item under the slider', async () => {
+      await createApp();
+
+      const strip = document.querySelector('.slider-thumbnails');
+      const thumbnails = getThumbnails();
+      expect(strip.previousElementSibling.classList.contains('slider-container')).toBe(true);
+      expect(document.querySelector('.portfolio-slider').classList.contains('has-thumbnails')).toBe(true);
+      expect(thumbnails).toHaveLength(3);
+
+      expect(thumbnails[0].querySelector('img').getAttribute('src')).toBe('assets/portfolio/thumbs/1.webp');
+      expect(thumbnails[1].classList.contains('slider-thumbnail-video')).toBe(true);
+      expect(thumbnails[1].querySelector('img').getAttribute('src')).toBe('Source/2.png');
+      expect(thumbnails[2].querySelector('img').getAttribute('src')).toBe('Source/3.png');
+    });
+
+    it('should fall back to the original image when a thumbnail is missing', async () => {
+      await createApp();
+
+      const img = getThumbnails()[0].querySelector('img');
+      img.dispatchEvent(new Event('error'));
+
+      expect(img.getAttribute('src')).toBe('Source/1.png');
+    });
+
+    it('should go to the slide of a clicked thumbnail', async () => {
+      const app = await createApp();
+
+      getThumbnails()[2].click();
+
+      expect(app.slider.currentIndex).toBe(2);
+      expect(window.location.hash).toBe('#results/slide-3');
+    });
+
+    it('should mark and centre the active thumbnail when the slide changes', async () => {
+      const app = await createApp();
+      const strip = document.querySelector('.slider-thumbnails');
+      strip.scrollTo = vi.fn();
+      Object.defineProperty(strip, 'clientWidth', { value: 200 });
+      Object.defineProperty(strip, 'scrollWidth', { value: 600 });
+      getThumbnails().forEach((thumbnail, index) => {
+        Object.defineProperty(thumbnail, 'offsetLeft', { value: index * 100 });
+        Object.defineProperty(thumbnail, 'offsetWidth', { value: 80 });
+      });
+
+      app.slider.next();
+
+      const thumbnails = getThumbnails();
+      expect(thumbnails[1].classList.contains('active')).toBe(true);
+      expect(thumbnails[1].getAttribute('aria-current')).toBe('true');
+      expect(thumbnails[0].hasAttribute('aria-current')).toBe(false);
+      expect(strip.scrollTo).toHaveBeenLastCalledWith({ left: 40, behavior: 'smooth' });
+    });
+
+    it('should move between thumbnails with the arrow keys using a roving tabindex', async () => {
+      const app = await createApp();
+      const thumbnails = getThumbnails();
+      expect(Array.from(thumbnails, (thumbnail) => thumbnail.tabIndex)).toEqual([0, -1, -1]);
+
+      thumbnails[0].focus();
+      thumbnails[0].dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowLeft', bubbles: true }));
+
+      expect(app.slider.currentIndex).toBe(2);
+      expect(document.activeElement).toBe(thumbnails[2]);
+      expect(Array.from(thumbnails, (thumbnail) => thumbnail.tabIndex)).toEqual([-1, -1, 0]);
+
+      thumbnails[2].dispatchEvent(new KeyboardEvent('keydown', { key: 'Home', bubbles: true }));
+      expect(app.slider.currentIndex).toBe(0);
+    });
+
+    describe('with several slides per view', () => {
+      beforeEach(() => {
+        window.innerWidth = 1300;
+        window.optimizedImageLoader = {
+          manifest: {
+            images: Array.from({ length: 6 }, (_, index) => ({
+              id: index + 1,
+              original: `Source/${index + 1}.png`,
+              thumbnail: `assets/portfolio/thumbs/${index + 1}.webp`,
+              alt: `Portfolio Sample ${index + 1}`
+            }))
+          }
+        };
+      });
+
+      const activeThumbnails = () => Array.from(getThumbnails())
+        .flatMap((thumbnail, index) => (thumbnail.classList.contains('active') ? [index] : []));
+      const thumbnailsInView = () => Array.from(getThumbnails())
+        .flatMap((thumbnail, index) => (thumbnail.classList.contains('in-view') ? [index] : []));
+
+      it('should keep a clicked thumbnail current when the last full view stops short of it', async () => {
+        const app = await createApp();
+        expect(app.slider.slidesPerView).toBe(3);
+
+        getThumbnails()[5].click();
+
+        expect(app.slider.currentIndex).toBe(3);
+        expect(thumbnailsInView()).toEqual([3, 4, 5]);
+        expect(activeThumbnails()).toEqual([5]);
+        expect(getThumbnails()[5].getAttribute('aria-current')).toBe('true');
+        expect(getThumbnails()[5].tabIndex).toBe(0);
+        expect(getThumbnails()[3].hasAttribute('aria-current')).toBe(false);
+
+        // Another slide of the same view: the slider stays put but the choice moves
+        getThumbnails()[4].click();
+        expect(activeThumbnails()).toEqual([4]);
+      });
+
+      it('should step the arrow keys from the thumbnail that was reached, not the clamped index', async () => {
+        const app = await createApp();
+        const thumbnails = getThumbnails();
+
+        thumbnails[3].focus();
+        thumbnails[3].dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+        thumbnails[4].dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowRight', bubbles: true }));
+
+        expect(app.slider.currentIndex).toBe(3);
+        expect(document.activeElement).toBe(thumbnails[5]);
+        expect(activeThumbnails()).toEqual([5]);
+
+        thumbnails[5].dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowLeft', bubbles: true }));
+        expect(document.activeElement).toBe(thumbnails[4]);
+        expect(activeThumbnails()).toEqual([4]);
+      });
+
+      it('should fall back to the first slide in view after other navigation', async () => {
+        const app = await createApp();
+
+        getThumbnails()[5].click();
+        app.slider.goTo(0, { force: true });
+
+        expect(thumbnailsInView()).toEqual([0, 1, 2]);
+        expect(activeThumbnails()).toEqual([0]);
+      });
+    });
+
+    it('should show the linked slide as active on load', async () => {
+      window.history.replaceState(null, '', '/#results/slide-2');
+
+      await createApp();
+
+      expect(getThumbnails()[1].classList.contains('active')).toBe(true);
+    });
+  });
+
+  describe('Category filters', () => {
+    beforeEach(() => {
+      document.body.insertAdjacentHTML('beforeend', `
+        <select id="projectType" name="projectType">
+          <option value="">Select project type</option>
+          <option value="shortform">Short-form Content</option>
+          <option value="color-grading">Color Grading & Post-Production</option>
+        </select>
+      `);
+
+      window.optimizedImageLoader = {
+        manifest: {
+          images: [
+            { ...manifest.images[0], categories: ['shortform'] },
+            { ...manifest.images[1], categories: ['color-grading', 'shortform'] },
+            { ...manifest.images[2], categories: 'color-grading' }
+          ]
+        }
+      };
+    });
+
+    function getChips() {
+      return document.querySelectorAll('.portfolio-filters .filter-chip');
+    }
+
+    function getRenderedImages() {
+      return Array.from(document.querySelectorAll('#sliderTrack .slide:not(.slide-clone) img'), (img) => img.getAttribute('src'));
+    }
+
+    it('should not show filters when the work spans fewer than two categories', async () => {
+      window.optimizedImageLoader = { manifest };
+
+      await createApp();
+
+      expect(document.querySelector('.portfolio-filters').hidden).toBe(true);
+    });
+
+    it('should offer filters for the shipped portfolio', async () => {
+      window.optimizedImageLoader = { manifest: require('../assets/portfolio/manifest.json') };
+
+      await createApp();
+
+      expect(document.querySelector('.portfolio-filters').hidden).toBe(false);
+      expect(Array.from(getChips(), (chip) => chip.textContent)).toEqual(['All', 'Short-form', 'Commercial']);
+    });
+
+    it('should show an All chip and the used categories in form order above the slider', async () => {
+      await createApp();
+
+      const chips = getChips();
+      expect(Array.from(chips, (chip) => chip.textContent)).toEqual(['All', 'Short-form', 'Color Grading']);
+      expect(document.querySelector('.portfolio-filters').nextElementSibling.classList.contains('portfolio-slider')).toBe(true);
+      expect(chips[0].getAttribute('aria-pressed')).toBe('true');
+    });
+
+    it('should rebuild the slides and indicators for the chosen category', async () => {
+      const app = await createApp();
+      app.slider.goTo(1);
+
+      getChips()[2].click();
+
+      expect(getRenderedImages()).toEqual(['Source/2.png', 'Source/3.png']);
+      expect(document.querySelectorAll('#sliderIndicators .indicator')).toHaveLength(2);
+      expect(app.slider.currentIndex).toBe(0);
+      expect(getChips()[2].getAttribute('aria-pressed')).toBe('true');
+      expect(getChips()[0].getAttribute('aria-pressed')).toBe('false');
+    });
+
+    it('should keep the active filter in the URL and drop the old slide link', async () => {
+      const app = await createApp();
+      app.slider.goTo(2);
+
+      getChips()[1].click();
+
+      expect(window.location.search).toBe('?category=shortform');
+      expect(window.location.hash).toBe('#results');
+
+      getChips()[0].click();
+      expect(window.location.search).toBe('');
+    });
+
+    it('should open on the category named in the URL', async () => {
+      window.history.replaceState(null, '', '/?category=color-grading#results/slide-2');
+
+      const app = await createApp();
+
+      expect(getRenderedImages()).toEqual(['Source/2.png', 'Source/3.png']);
+      expect(app.slider.currentIndex).toBe(1);
+      expect(getChips()[2].classList.contains('active')).toBe(true);
+      expect(document.getElementById('projectType').value).toBe('color-grading');
+    });
+
+    it('should ignore categories without any work', async () => {
+      window.history.replaceState(null, '', '/?category=commercial');
+
+      await createApp();
+
+      expect(getRenderedImages()).toHaveLength(3);
+    });
+
+    it('should restore the previous filter on back', async () => {
+      await createApp();
+
+      getChips()[2].click();
+      window.history.replaceState(null, '', '/');
+      window.dispatchEvent(new PopStateEvent('popstate', { state: { slide: 0 } }));
+
+      expect(getRenderedImages()).toHaveLength(3);
+      expect(getChips()[0].getAttribute('aria-pressed')).toBe('true');
+    });
+
+    it('should preselect the matching project type in the quote form', async () => {
+      await createApp();
+      const select = document.getElementById('projectType');
+
+      getChips()[2].click();
+      expect(select.value).toBe('color-grading');
+      expect(select.classList.contains('has-value')).toBe(true);
+
+      getChips()[0].click();
+      expect(select.value).toBe('');
+    });
+
+    it('should not override a project type the visitor chose', async () => {
+      await createApp();
+      const select = document.getElementById('projectType');
+
+      select.value = 'shortform';
+      select.dispatchEvent(new Event('change'));
+      getChips()[2].click();
+
+      expect(select.value).toBe('shortform');
+    });
+  });
+
+  describe('Lightbox', () => {
+    it('should open the clicked slide in the lightbox', async () => {
+      await createApp();
+
+      document.querySelectorAll('.slide:not(.slide-clone)')[1].click();
+
+      const dialog = document.querySelector('.lightbox');
+      expect(dialog.hidden).toBe(false);
+      expect(dialog.querySelector('.lightbox-media').getAttribute('src')).toBe('Source/2.png');
+    });
+
+    it('should move the slider to the last viewed item when the lightbox closes', async () => {
+      const app = await createApp();
+
+      app.openLightbox(0);
+      app.lightbox.next();
+      app.lightbox.next();
+      app.lightbox.close();
+
+      expect(app.slider.currentIndex).toBe(2);
+      expect(document.querySelectorAll('.indicator')[2].classList.contains('active')).toBe(true);
+    });
+
+    it('should open the mirrored slide when a loop clone is clicked', async () => {
+      await createApp();
+
+      document.querySelector('.slide-clone').click();
+
+      expect(document.querySelector('.lightbox-media').getAttribute('src')).toBe('Source/3.png');
+    });
+
+    it('should open with Enter on the focused slider and pause autoplay while open', async () => {
+      const app = await createApp();
+      const container = document.querySelector('.slider-container');
+      const pause = vi.spyOn(app.slider, 'pause');
+
+      container.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+      expect(document.querySelector('.lightbox').hidden).toBe(false);
+      expect(pause).toHaveBeenCalledWith('lightbox');
+    });
+
+    it('should not open when a drag ends on a slide', async () => {
+      const app = await createApp();
+      const container = document.querySelector('.slider-container');
+      Object.defineProperty(container, 'offsetWidth', { value: 400 });
+      const send = (type, clientX) => container.dispatchEvent(new PointerEvent(type, {
+        pointerId: 1, pointerType: 'mouse', isPrimary: true, clientX, clientY: 0, bubbles: true, cancelable: true
+      }));
+
+      send('pointerdown', 300);
+      send('pointermove', 200);
+      send('pointerup', 200);
+      document.querySelector('.slide:not(.slide-clone)').click();
+
+      expect(app.slider.currentIndex).not.toBe(0);
+      expect(document.querySelector('.lightbox:not([hidden])')).toBeNull();
+    });
+  });
+
+  describe('Shorts viewer', () => {
+    let app;
+
+    afterEach(() => {
+      // An open viewer keeps its progress loop going past the end of the test
+      if (app && app.shortsViewer) {
+        app.shortsViewer.close();
+      }
+      app = null;
+    });
+
+    beforeEach(() => {
+      window.optimizedImageLoader = {
+        manifest: {
+          images: [
+            { ...manifest.images[0], categories: ['shortform'] },
+            { ...manifest.images[1], categories: ['color-grading'] },
+            { ...manifest.images[2], categories: ['shortform'] }
+          ]
+        }
+      };
+    });
+
+    it('should offer the viewer under the slider when there is short-form work', async () => {
+      await createApp();
+
+      const launcher = document.querySelector('.portfolio-slider + .shorts-launch');
+      expect(launcher.hidden).toBe(false);
+    });
+
+    it('should hide the launcher when nothing is tagged short-form', async () => {
+      window.optimizedImageLoader = { manifest };
+
+      await createApp();
+
+      expect(document.querySelector('.shorts-launch').hidden).toBe(true);
+    });
+
+    it('should open on the current slide with only the short-form items and pause the slider', async () => {
+      app = await createApp();
+      const pause = vi.spyOn(app.slider, 'pause');
+      app.slider.goTo(2, { animate: false });
+
+      document.querySelector('.shorts-launch').click();
+
+      expect(document.querySelector('.shorts-viewer').hidden).toBe(false);
+      expect(document.querySelectorAll('.shorts-item')).toHaveLength(2);
+      expect(app.shortsViewer.currentIndex).toBe(1);
+      expect(pause).toHaveBeenCalledWith('shorts');
+    });
+
+    it('should start from the first short when the current slide is not one, and resume on close', async () => {
+      app = await createApp();
+      const resume = vi.spyOn(app.slider, 'resume');
+      app.slider.goTo(1, { animate: false });
+
+      app.openShortsViewer();
+      expect(app.shortsViewer.currentIndex).toBe(0);
+
+      app.shortsViewer.close();
+      expect(resume).toHaveBeenCalledWith('shorts');
+      expect(document.activeElement).toBe(document.querySelector('.shorts-launch'));
+    });
+  });
+});
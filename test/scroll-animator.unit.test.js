@@ -0,0 +1,161 @@
+/**
+ * Unit Tests for the Scroll Animator
+ * Tests easings, distance-based durations, the returned Promise,
+ * cancelling on user input, reduced motion and replacing a running scroll
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+describe('ScrollAnimator', () => {
+  let ScrollAnimator;
+  let animator;
+  let reducedMotion;
+
+  beforeAll(() => {
+    ScrollAnimator = require('../js/scroll-animator.js');
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    window.scrollY = 0;
+    window.scrollTo = vi.fn(({ top }) => {
+      window.scrollY = top;
+    });
+
+    reducedMotion = false;
+    window.matchMedia = vi.fn(() => ({ matches: reducedMotion }));
+
+    animator = new ScrollAnimator();
+  });
+
+  afterEach(() => {
+    animator.destroy();
+    vi.useRealTimers();
+  });
+
+  describe('Easings', () => {
+    it('should start at 0 and end at 1', () => {
+      Object.values(ScrollAnimator.easings).forEach(easing => {
+        expect(easing(0)).toBe(0);
+        expect(easing(1)).toBe(1);
+      });
+    });
+
+    it('should fall back to easeInOutQuad for an unknown name', () => {
+      expect(animator.getEasing('bounce')).toBe(ScrollAnimator.easings.easeInOutQuad);
+      expect(animator.getEasing('linear')).toBe(ScrollAnimator.easings.linear);
+    });
+  });
+
+  describe('Duration', () => {
+    it('should grow with the distance within the limits', () => {
+      expect(animator.getDuration(300)).toBe(250);
+      expect(animator.getDuration(1500)).toBe(500);
+      expect(animator.getDuration(-1500)).toBe(500);
+      expect(animator.getDuration(10000)).toBe(900);
+    });
+  });
+
+  describe('scrollTo', () => {
+    it('should ease the page to the target and resolve true', async () => {
+      const done = animator.scrollTo(1500, { easing: 'linear' });
+      expect(animator.isScrolling).toBe(true);
+
+      vi.advanceTimersByTime(250);
+      expect(window.scrollY).toBeGreaterThan(0);
+      expect(window.scrollY).toBeLessThan(1500);
+
+      vi.advanceTimersByTime(300);
+      await expect(done).resolves.toBe(true);
+      expect(window.scrollY).toBe(1500);
+      expect(animator.isScrolling).toBe(false);
+    });
+
+    it('should step with instant scrolls so the stylesheet does not smooth them again', () => {
+      animator.scrollTo(600);
+      vi.runAllTimers();
+
+      expect(window.scrollTo).toHaveBeenLastCalledWith({ top: 600, behavior: 'instant' });
+    });
+
+    it('should resolve straight away when already there', async () => {
+      window.scrollY = 400;
+
+      await expect(animator.scrollTo(400)).resolves.toBe(true);
+      expect(window.scrollTo).not.toHaveBeenCalled();
+    });
+
+    it('should jump when the visitor prefers reduced motion', async () => {
+      reducedMotion = true;
+
+      await expect(animator.scrollTo(1200)).resolves.toBe(true);
+      expect(window.scrollTo).toHaveBeenCalledTimes(1);
+      expect(window.scrollTo).toHaveBeenCalledWith({ top: 1200, behavior: 'instant' });
+    });
+
+    it('should replace a scroll that is still running', async () => {
+      const first = animator.scrollTo(2000);
+      vi.advanceTimersByTime(100);
+
+      const second = animator.scrollTo(0, { duration: 200 });
+      await expect(first).resolves.toBe(false);
+
+      vi.runAllTimers();
+      await expect(second).resolves.toBe(true);
+      expect(window.scrollY).toBe(0);
+    });
+  });
+
+  describe('User input', () => {
+    it.each([
+      ['wheel', () => new WheelEvent('wheel', { deltaY: 100 })],
+      ['touchstart', () => new Event('touchstart')],
+      ['mousedown', () => new MouseEvent('mousedown')],
+      ['a scrolling key', () => new KeyboardEvent('keydown', { key: 'PageDown' })]
+    ])('should stop where it is on %s and resolve false', async (name, createEvent) => {
+      const done = animator.scrollTo(2000);
+      vi.advanceTimersByTime(100);
+      const stoppedAt = window.scrollY;
+
+      window.dispatchEvent(createEvent());
+      vi.runAllTimers();
+
+      await expect(done).resolves.toBe(false);
+      expect(window.scrollY).toBe(stoppedAt);
+    });
+
+    it('should ignore keys that do not scroll the page, or that were already handled', () => {
+      animator.scrollTo(2000);
+
+      window.dispatchEvent(new KeyboardEvent('keydown', { key: 'a' }));
+      const handled = new KeyboardEvent('keydown', { key: ' ', cancelable: true });
+      handled.preventDefault();
+      window.dispatchEvent(handled);
+
+      expect(animator.isScrolling).toBe(true);
+    });
+
+    it('should stop listening once finished', () => {
+      const removeEventListener = vi.spyOn(window, 'removeEventListener');
+
+      animator.scrollTo(600);
+      vi.runAllTimers();
+
+      expect(removeEventListener).toHaveBeenCalledWith('wheel', animator.handleUserInput, { passive: true });
+      expect(removeEventListener).toHaveBeenCalledWith('keydown', animator.handleUserInput);
+      removeEventListener.mockRestore();
+    });
+  });
+
+  it('should cancel a running scroll on destroy', async () => {
+    const done = animator.scrollTo(2000);
+
+    animator.destroy();
+
+    await expect(done).resolves.toBe(false);
+  });
+});
@@ -0,0 +1,164 @@
+/**
+ * Unit Tests for the Scroll Spy
+ * Tests the reading line below the navbar, hysteresis around short sections,
+ * the bottom of the page, sectionchange events and hash syncing
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+// Page layout: section id → top (px) in the document
+const layout = { hero: 0, about: 800, experience: 1600, results: 1700, contact: 2600 };
+const pageHeight = 3200;
+
+describe('ScrollSpy', () => {
+  let ScrollSpy;
+  let spy;
+  let changes;
+
+  const sections = () => document.querySelectorAll('section');
+
+  // Scrolls the fake page and runs the batched update
+  function scrollTo(y) {
+    window.scrollY = y;
+    window.dispatchEvent(new Event('scroll'));
+    vi.runAllTimers();
+  }
+
+  function recordChange(e) {
+    changes.push(e.detail);
+  }
+
+  beforeAll(() => {
+    ScrollSpy = require('../js/scroll-spy.js');
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    document.body.innerHTML = Object.keys(layout)
+      .map(id => `<section id="${id}"></section>`)
+      .join('');
+
+    sections().forEach(section => {
+      section.getBoundingClientRect = () => ({ top: layout[section.id] - window.scrollY });
+    });
+
+    window.innerHeight = 800;
+    window.scrollY = 0;
+    Object.defineProperty(document.documentElement, 'scrollHeight', { value: pageHeight, configurable: true });
+    window.history.replaceState(null, '', '/');
+
+    changes = [];
+    document.addEventListener('sectionchange', recordChange);
+  });
+
+  afterEach(() => {
+    spy.destroy();
+    document.removeEventListener('sectionchange', recordChange);
+    vi.useRealTimers();
+  });
+
+  it('should announce the section the page opens on', () => {
+    spy = new ScrollSpy(sections(), { offset: 80 });
+
+    expect(spy.currentId).toBe('hero');
+    expect(changes).toEqual([{ id: 'hero', previousId: null, section: document.getElementById('hero') }]);
+  });
+
+  it('should move on once a section passes the reading line below the navbar', () => {
+    // Reading line: 80 + (800 - 80) * 0.3 = 296px from the top of the viewport
+    spy = new ScrollSpy(sections(), { offset: () => 80, hysteresis: 0 });
+
+    scrollTo(500);
+    expect(spy.currentId).toBe('hero');
+
+    scrollTo(510);
+    expect(spy.currentId).toBe('about');
+    expect(changes[changes.length - 1]).toMatchObject({ id: 'about', previousId: 'hero' });
+  });
+
+  it('should batch scroll bursts into one update per frame', () => {
+    spy = new ScrollSpy(sections(), { offset: 80, hysteresis: 0 });
+    const update = vi.spyOn(spy, 'update');
+
+    window.scrollY = 600;
+    window.dispatchEvent(new Event('scroll'));
+    window.dispatchEvent(new Event('scroll'));
+    window.dispatchEvent(new Event('scroll'));
+    vi.runAllTimers();
+
+    expect(update).toHaveBeenCalledTimes(1);
+  });
+
+  describe('Hysteresis', () => {
+    beforeEach(() => {
+      spy = new ScrollSpy(sections(), { offset: 80, hysteresis: 40 });
+    });
+
+    it('should hold the current section until the next one is clear of the line', () => {
+      scrollTo(1320);
+      expect(spy.currentId).toBe('about');
+
+      scrollTo(1350);
+      expect(spy.currentId).toBe('experience');
+    });
+
+    it('should not flap back on small scrolls around a boundary', () => {
+      scrollTo(1350);
+      scrollTo(1310);
+      expect(spy.currentId).toBe('experience');
+
+      scrollTo(1250);
+      expect(spy.currentId).toBe('about');
+      expect(changes.map(change => change.id)).toEqual(['hero', 'experience', 'about']);
+    });
+  });
+
+  it('should pick the last section at the bottom of the page', () => {
+    spy = new ScrollSpy(sections(), { offset: 80 });
+
+    scrollTo(pageHeight - 800);
+
+    expect(spy.currentId).toBe('contact');
+  });
+
+  describe('Hash syncing', () => {
+    it('should keep the URL hash on the current section without adding history entries', () => {
+      spy = new ScrollSpy(sections(), { offset: 80, hysteresis: 0, syncHash: true });
+      const historyLength = window.history.length;
+
+      expect(window.location.hash).toBe('');
+
+      scrollTo(600);
+      expect(window.location.hash).toBe('#about');
+      expect(window.history.length).toBe(historyLength);
+    });
+
+    it('should leave deeper links into the section alone', () => {
+      window.history.replaceState(null, '', '/#results/slide-3');
+      spy = new ScrollSpy(sections(), { offset: 80, hysteresis: 0, syncHash: true });
+
+      scrollTo(1500);
+      expect(window.location.hash).toBe('#results/slide-3');
+    });
+
+    it('should not touch the hash by default', () => {
+      spy = new ScrollSpy(sections(), { offset: 80, hysteresis: 0 });
+
+      scrollTo(600);
+      expect(window.location.hash).toBe('');
+    });
+  });
+
+  it('should stop listening on destroy', () => {
+    spy = new ScrollSpy(sections(), { offset: 80, hysteresis: 0 });
+    spy.destroy();
+
+    scrollTo(600);
+
+    expect(changes).toHaveLength(1);
+  });
+});
@@ -0,0 +1,329 @@
+/**
+ * Unit Tests for Section Routing
+ * Tests that nav links activate the same way from mouse, touch and keyboard,
+ * that they add history entries, that Back/Forward scroll to the entry's
+ * section or saved position, that a hash or reload is restored below the
+ * fixed navbar on load, the section keyboard shortcuts and the sticky
+ * quote button
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+describe('Section Routing', () => {
+  let PortfolioApp;
+  let app;
+
+  beforeAll(() => {
+    // main.js constructs observers during setup, so they must be newable
+    global.IntersectionObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+      }
+      observe() {}
+      unobserve() {}
+      disconnect() {}
+    };
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    // main.js starts an app of its own on load, whose scroll handlers expect a navbar
+    document.body.innerHTML = '<nav class="navbar"></nav>';
+    require('../js/mobile-menu.js');
+    require('../js/scroll-animator.js');
+    PortfolioApp = require('../js/main.js');
+    // Only the apps under test get shortcuts; the one above would take the keys first
+    require('../js/keyboard-shortcuts.js');
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+
+    document.body.innerHTML = `
+      <nav class="navbar" id="navbar">
+        <button class="nav-toggle" id="navToggle"></button>
+        <ul class="nav-menu" id="navMenu">
+          <li class="nav-item"><a href="#services" class="nav-link">Services</a></li>
+          <li class="nav-item"><a href="#contact" class="nav-link">Contact</a></li>
+        </ul>
+      </nav>
+      <section id="hero"></section>
+      <section id="services"><h2>Services</h2></section>
+      <section id="contact"><h2>Contact</h2><input type="text" id="name"></section>
+      <div class="floating-actions"><a href="#contact" class="quote-cta" id="quoteCta">Get a Quote</a></div>
+    `;
+
+    Object.defineProperty(document.querySelector('.navbar'), 'offsetHeight', { value: 60, configurable: true });
+    Object.defineProperty(document.getElementById('services'), 'offsetTop', { value: 1000, configurable: true });
+    Object.defineProperty(document.getElementById('contact'), 'offsetTop', { value: 3000, configurable: true });
+
+    window.scrollY = 0;
+    window.scrollTo = vi.fn(({ top }) => {
+      window.scrollY = top;
+    });
+    // Not implemented by jsdom
+    window.history.scrollRestoration = 'auto';
+    window.history.replaceState(null, '', '/');
+  });
+
+  afterEach(() => {
+    app.cleanup();
+    vi.useRealTimers();
+  });
+
+  function clickNavLink(href) {
+    document.querySelector(`.nav-link[href="${href}"]`).click();
+  }
+
+  // Runs the scroll animation through and returns where the page ended up
+  function finishScroll() {
+    vi.runAllTimers();
+    return window.scrollY;
+  }
+
+  describe('Nav links', () => {
+    it('should add a history entry for the section and scroll it below the navbar', () => {
+      app = new PortfolioApp();
+      const historyLength = window.history.length;
+
+      clickNavLink('#services');
+
+      expect(window.location.hash).toBe('#services');
+      expect(window.history.length).toBe(historyLength + 1);
+      expect(finishScroll()).toBe(920);
+    });
+
+    it('should keep the query string when moving between sections', () => {
+      window.history.replaceState(null, '', '/?category=shortform');
+      app = new PortfolioApp();
+
+      clickNavLink('#contact');
+
+      expect(window.location.search).toBe('?category=shortform');
+      expect(window.location.hash).toBe('#contact');
+    });
+
+    it('should not add a second entry for the section already in the URL', () => {
+      app = new PortfolioApp();
+      clickNavLink('#services');
+      const historyLength = window.history.length;
+
+      clickNavLink('#services');
+
+      expect(window.history.length).toBe(historyLength);
+    });
+
+    it('should save where the visitor was before leaving for the section', () => {
+      app = new PortfolioApp();
+      const replaceState = vi.spyOn(window.history, 'replaceState');
+      window.scrollY = 420;
+
+      clickNavLink('#contact');
+
+      expect(replaceState).toHaveBeenCalledWith({ scrollY: 420 }, '');
+      expect(window.history.state.scrollY).toBe(2920);
+      replaceState.mockRestore();
+    });
+  });
+
+  describe('Activation', () => {
+    beforeEach(() => {
+      app = new PortfolioApp();
+    });
+
+    it('should follow a nav link from the keyboard with Space as well as Enter', () => {
+      const link = document.querySelector('.nav-link[href="#contact"]');
+      link.focus();
+
+      const event = new KeyboardEvent('keydown', { key: ' ', bubbles: true, cancelable: true });
+      link.dispatchEvent(event);
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(window.location.hash).toBe('#contact');
+      expect(finishScroll()).toBe(2920);
+    });
+
+    it('should move focus to the heading of the section once the scroll gets there', async () => {
+      clickNavLink('#services');
+      expect(document.activeElement).not.toBe(document.querySelector('#services h2'));
+
+      await vi.runAllTimersAsync();
+
+      const heading = document.querySelector('#services h2');
+      expect(document.activeElement).toBe(heading);
+      expect(heading.getAttribute('tabindex')).toBe('-1');
+    });
+
+    it('should close the mobile menu on the way', () => {
+      document.getElementById('navToggle').click();
+      expect(app.mobileMenu.isOpen).toBe(true);
+
+      clickNavLink('#services');
+
+      expect(app.mobileMenu.isOpen).toBe(false);
+      expect(document.body.classList.contains('nav-open')).toBe(false);
+    });
+
+    it('should leave modified clicks to the browser', () => {
+      const event = new MouseEvent('click', { bubbles: true, cancelable: true, ctrlKey: true });
+      document.querySelector('.nav-link[href="#services"]').dispatchEvent(event);
+
+      expect(event.defaultPrevented).toBe(false);
+      expect(window.scrollTo).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Keyboard shortcuts', () => {
+    const press = (key, target = document.activeElement || document.body) => {
+      target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+    };
+
+    beforeEach(() => {
+      app = new PortfolioApp();
+      // Reading position as the scroll spy would report it
+      app.scrollSpy = { currentId: 'hero', destroy() {} };
+    });
+
+    it('should go to Contact with g then c', async () => {
+      press('g');
+      press('c');
+
+      expect(window.location.hash).toBe('#contact');
+      await vi.runAllTimersAsync();
+      expect(window.scrollY).toBe(2920);
+      expect(document.activeElement).toBe(document.querySelector('#contact h2'));
+    });
+
+    it('should step through the sections with j and k, counting presses made mid-scroll', () => {
+      press('j');
+      press('j');
+      expect(finishScroll()).toBe(2920);
+
+      app.scrollSpy.currentId = 'contact';
+      press('k');
+      expect(finishScroll()).toBe(920);
+    });
+
+    it('should not react to keys typed in the contact form', () => {
+      document.getElementById('name').focus();
+
+      press('j');
+      press('g');
+      press('c');
+
+      expect(window.location.hash).toBe('');
+      expect(window.scrollTo).not.toHaveBeenCalled();
+    });
+
+    it('should list the shortcuts on ?', () => {
+      press('?');
+
+      const descriptions = Array.from(document.querySelectorAll('.shortcuts-help dd')).map(dd => dd.textContent);
+      expect(descriptions).toEqual(expect.arrayContaining(['Go to Contact', 'Go to the work', 'Next section', 'Previous section']));
+    });
+  });
+
+  describe('Quote button', () => {
+    let quoteCta;
+
+    // Reports sections entering or leaving the viewport, as the browser would
+    const report = (visibility) => {
+      app.quoteCtaObserver.callback(Object.entries(visibility).map(([id, isIntersecting]) => ({
+        target: document.getElementById(id),
+        isIntersecting
+      })));
+    };
+
+    beforeEach(() => {
+      app = new PortfolioApp();
+      quoteCta = document.getElementById('quoteCta');
+    });
+
+    it('should appear once the hero is out of view and go while the contact section is in view', () => {
+      report({ hero: true, contact: false });
+      expect(quoteCta.classList.contains('visible')).toBe(false);
+
+      report({ hero: false });
+      expect(quoteCta.classList.contains('visible')).toBe(true);
+
+      report({ contact: true });
+      expect(quoteCta.classList.contains('visible')).toBe(false);
+
+      report({ contact: false });
+      expect(quoteCta.classList.contains('visible')).toBe(true);
+    });
+
+    it('should scroll to the form and focus its first field', async () => {
+      quoteCta.click();
+
+      expect(window.location.hash).toBe('#contact');
+      await vi.runAllTimersAsync();
+      expect(window.scrollY).toBe(2920);
+      expect(document.activeElement).toBe(document.getElementById('name'));
+    });
+  });
+
+  describe('Back and forward', () => {
+    beforeEach(() => {
+      app = new PortfolioApp();
+    });
+
+    it('should scroll back to the position saved in the entry', () => {
+      window.dispatchEvent(new PopStateEvent('popstate', { state: { scrollY: 420 } }));
+
+      expect(finishScroll()).toBe(420);
+    });
+
+    it('should fall back to the section named by the hash, then to the top', () => {
+      window.history.replaceState(null, '', '/#contact');
+      window.dispatchEvent(new PopStateEvent('popstate', { state: null }));
+      expect(finishScroll()).toBe(2920);
+
+      window.history.replaceState(null, '', '/');
+      window.dispatchEvent(new PopStateEvent('popstate', { state: null }));
+      expect(finishScroll()).toBe(0);
+    });
+
+    it('should record the scroll position in the current entry once scrolling settles', () => {
+      window.scrollY = 1234;
+      window.dispatchEvent(new Event('scroll'));
+      expect(window.history.state).toBeNull();
+
+      vi.advanceTimersByTime(200);
+      expect(window.history.state.scrollY).toBe(1234);
+    });
+  });
+
+  describe('Loading', () => {
+    it('should hand scroll restoration over to the page', () => {
+      app = new PortfolioApp();
+
+      expect(window.history.scrollRestoration).toBe('manual');
+    });
+
+    it('should open a linked section below the navbar without animating', () => {
+      window.history.replaceState(null, '', '/#services');
+
+      app = new PortfolioApp();
+
+      expect(window.scrollTo).toHaveBeenCalledWith({ top: 920, behavior: 'instant' });
+    });
+
+    it('should return to the saved position on reload, even with a hash', () => {
+      window.history.replaceState({ scrollY: 1750 }, '', '/#services');
+
+      app = new PortfolioApp();
+
+      expect(window.scrollTo).toHaveBeenCalledWith({ top: 1750, behavior: 'instant' });
+      expect(window.scrollTo).not.toHaveBeenCalledWith({ top: 920, behavior: 'instant' });
+    });
+
+    it('should leave a plain load at the top', () => {
+      app = new PortfolioApp();
+
+      expect(window.scrollTo).not.toHaveBeenCalled();
+    });
+  });
+});
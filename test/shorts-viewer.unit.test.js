@@ -0,0 +1,261 @@
+/**
+ * Unit Tests for the Shorts Viewer
+ * Tests opening, the slider's keys, muted autoplay with tap-to-unmute,
+ * per-clip progress, wheel and vertical swipe navigation
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+const items = [
+  { id: 1, type: 'video', video: 'Source/1.mp4', poster: 'posters/1.jpg', title: 'First short', alt: 'First short' },
+  { id: 2, type: 'image', original: 'Source/2.png', alt: 'Second short' },
+  { id: 3, type: 'video', video: 'Source/3.mp4' },
+  { id: 4, type: 'image', original: 'Source/4.png', alt: 'Fourth short' }
+];
+
+function pressKey(key, options = {}) {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  document.activeElement.dispatchEvent(event);
+  return event;
+}
+
+describe('ShortsViewer', () => {
+  let ShortsViewer;
+  let viewer;
+  let onClose;
+  let trigger;
+  let now;
+
+  const dialog = () => document.querySelector('.shorts-viewer');
+  const slots = () => Array.from(document.querySelectorAll('.shorts-item'));
+  const mediaAt = (index) => slots()[index].querySelector('.shorts-media');
+
+  function wheel(deltaY) {
+    const event = new WheelEvent('wheel', { deltaY, bubbles: true, cancelable: true });
+    dialog().dispatchEvent(event);
+    return event;
+  }
+
+  function pointer(type, clientY) {
+    const event = new PointerEvent(type, {
+      pointerId: 1,
+      pointerType: 'touch',
+      isPrimary: true,
+      clientX: 100,
+      clientY,
+      bubbles: true,
+      cancelable: true
+    });
+    document.querySelector('.shorts-stage').dispatchEvent(event);
+    return event;
+  }
+
+  beforeAll(() => {
+    require('../js/modal-dialog.js');
+    require('../js/swipe-gesture.js');
+    ShortsViewer = require('../js/shorts-viewer.js');
+  });
+
+  beforeEach(() => {
+    vi.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] });
+    now = 1000;
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+    vi.spyOn(HTMLMediaElement.prototype, 'play').mockImplementation(() => Promise.resolve());
+    vi.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(() => {});
+
+    document.body.innerHTML = '<button class="shorts-launch">Watch as Shorts</button>';
+    trigger = document.querySelector('.shorts-launch');
+    trigger.focus();
+
+    onClose = vi.fn();
+    viewer = new ShortsViewer({ onClose, imageDuration: 3000 });
+  });
+
+  afterEach(() => {
+    viewer.destroy();
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+  });
+
+  describe('Opening and closing', () => {
+    it('should open as a modal dialog on the requested item with a progress bar per clip', () => {
+      viewer.open(items, 1, trigger);
+
+      expect(dialog().hidden).toBe(false);
+      expect(dialog().getAttribute('role')).toBe('dialog');
+      expect(dialog().getAttribute('aria-modal')).toBe('true');
+      expect(document.querySelectorAll('.shorts-segment')).toHaveLength(4);
+      expect(document.querySelector('.shorts-counter').textContent).toBe('2 / 4');
+      expect(document.querySelector('.shorts-track').style.transform).toBe('translateY(calc(-100% + 0px))');
+      expect(document.body.classList.contains('shorts-open')).toBe(true);
+      expect(document.activeElement).toBe(document.querySelector('.shorts-close'));
+    });
+
+    it('should only create media for the current item and its neighbours', () => {
+      viewer.open(items, 0, trigger);
+
+      expect(mediaAt(0).tagName).toBe('VIDEO');
+      expect(mediaAt(0).getAttribute('poster')).toBe('posters/1.jpg');
+      expect(mediaAt(1).getAttribute('src')).toBe('Source/2.png');
+      expect(mediaAt(2)).toBeNull();
+      expect(slots()[1].getAttribute('aria-hidden')).toBe('true');
+    });
+
+    it('should close on Escape, report the current item and restore focus', () => {
+      viewer.open(items, 0, trigger);
+      pressKey('ArrowDown');
+      pressKey('Escape');
+
+      expect(dialog().hidden).toBe(true);
+      expect(onClose).toHaveBeenCalledWith(1);
+      expect(document.body.classList.contains('shorts-open')).toBe(false);
+      expect(document.activeElement).toBe(trigger);
+    });
+  });
+
+  describe('Keyboard', () => {
+    beforeEach(() => {
+      viewer.open(items, 0, trigger);
+    });
+
+    it('should follow the slider keys without wrapping around', () => {
+      pressKey('ArrowUp');
+      expect(viewer.currentIndex).toBe(0);
+
+      pressKey('ArrowDown');
+      pressKey('ArrowRight');
+      expect(viewer.currentIndex).toBe(2);
+
+      pressKey('ArrowLeft');
+      expect(viewer.currentIndex).toBe(1);
+
+      pressKey('End');
+      expect(viewer.currentIndex).toBe(3);
+      expect(document.querySelector('.shorts-next').disabled).toBe(true);
+
+      pressKey('ArrowDown');
+      expect(viewer.currentIndex).toBe(3);
+
+      pressKey('Home');
+      expect(viewer.currentIndex).toBe(0);
+    });
+
+    it('should keep Tab inside the dialog', () => {
+      const closeBtn = document.querySelector('.shorts-close');
+      const soundBtn = document.querySelector('.shorts-sound');
+
+      soundBtn.focus();
+      const event = pressKey('Tab');
+
+      expect(event.defaultPrevented).toBe(true);
+      expect(document.activeElement).toBe(closeBtn);
+    });
+  });
+
+  describe('Playback', () => {
+    it('should autoplay the active clip muted and pause it when moving on', () => {
+      viewer.open(items, 0, trigger);
+
+      expect(mediaAt(0).muted).toBe(true);
+      expect(HTMLMediaElement.prototype.play).toHaveBeenCalledTimes(1);
+
+      viewer.next();
+      expect(HTMLMediaElement.prototype.pause).toHaveBeenCalledTimes(1);
+    });
+
+    it('should unmute on a tap and keep the sound on for the next clips', () => {
+      viewer.open(items, 0, trigger);
+      const soundBtn = document.querySelector('.shorts-sound');
+
+      expect(soundBtn.hidden).toBe(false);
+      expect(soundBtn.getAttribute('aria-label')).toBe('Tap to unmute');
+
+      document.querySelector('.shorts-stage').click();
+      expect(mediaAt(0).muted).toBe(false);
+      expect(soundBtn.getAttribute('aria-label')).toBe('Mute');
+
+      viewer.show(2);
+      expect(mediaAt(2).muted).toBe(false);
+    });
+
+    it('should hide the sound button on images', () => {
+      viewer.open(items, 1, trigger);
+
+      expect(document.querySelector('.shorts-sound').hidden).toBe(true);
+    });
+
+    it('should fill the progress bar and move on once an image has been shown', () => {
+      viewer.open(items, 1, trigger);
+      const fill = document.querySelectorAll('.shorts-segment span')[1];
+
+      now += 1500;
+      vi.advanceTimersToNextTimer();
+      expect(fill.style.transform).toBe('scaleX(0.5)');
+
+      now += 1500;
+      vi.advanceTimersToNextTimer();
+      expect(viewer.currentIndex).toBe(2);
+      expect(document.querySelectorAll('.shorts-segment')[1].classList.contains('is-complete')).toBe(true);
+    });
+
+    it('should move on when a clip ends', () => {
+      viewer.open(items, 0, trigger);
+
+      mediaAt(0).dispatchEvent(new Event('ended'));
+
+      expect(viewer.currentIndex).toBe(1);
+    });
+  });
+
+  describe('Wheel and swipe', () => {
+    beforeEach(() => {
+      viewer.open(items, 0, trigger);
+    });
+
+    it('should move one item per wheel gesture', () => {
+      const event = wheel(30);
+      expect(event.defaultPrevented).toBe(true);
+      expect(viewer.currentIndex).toBe(0);
+
+      wheel(30);
+      wheel(120);
+      wheel(120);
+      expect(viewer.currentIndex).toBe(1);
+
+      vi.advanceTimersByTime(250);
+      wheel(-80);
+      expect(viewer.currentIndex).toBe(0);
+    });
+
+    it('should swipe up to the next item and snap back from a short drag', () => {
+      pointer('pointerdown', 500);
+      now += 16;
+      pointer('pointermove', 480);
+      now += 200;
+      pointer('pointermove', 470);
+      now += 16;
+      pointer('pointerup', 470);
+      expect(viewer.currentIndex).toBe(0);
+      expect(document.querySelector('.shorts-track').style.transform).toBe('translateY(calc(0% + 0px))');
+
+      pointer('pointerdown', 500);
+      now += 16;
+      pointer('pointermove', 400);
+      now += 16;
+      pointer('pointermove', 300);
+      pointer('pointerup', 300);
+      expect(viewer.currentIndex).toBe(1);
+    });
+  });
+
+  it('should remove the dialog on destroy', () => {
+    viewer.open(items, 0, trigger);
+    viewer.destroy();
+
+    expect(dialog()).toBeNull();
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+});
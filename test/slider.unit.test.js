@@ -0,0 +1,847 @@
+/**
+ * Unit Tests for the Slider Component
+ * Tests navigation, accessibility, looping, responsive layout, swipes, autoplay,
+ * the event API and running several instances side by side
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+function renderSlider(slideCount, attributes = '') {
+  const slides = Array.from({ length: slideCount }, (_, index) =>
+    `<div class="slide" data-index="${index}"><img src="Source/${index + 1}.png" alt="Sample ${index + 1}"></div>`
+  ).join('');
+
+  return `
+    <div class="portfolio-slider" ${attributes}>
+      <div class="slider-container">
+        <div class="slider-track">${slides}</div>
+        <button class="slider-btn slider-btn-prev" aria-label="Previous image">‹</button>
+        <button class="slider-btn slider-btn-next" aria-label="Next image">›</button>
+        <div class="slider-indicators"></div>
+      </div>
+    </div>
+  `;
+}
+
+describe('Slider', () => {
+  let Slider;
+  let sliders;
+
+  beforeAll(() => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+    require('../js/swipe-gesture.js');
+    Slider = require('../js/slider.js');
+  });
+
+  beforeEach(() => {
+    sliders = [];
+
+    // One slide per view unless a test says otherwise
+    window.innerWidth = 375;
+  });
+
+  afterEach(() => {
+    sliders.forEach(slider => slider.destroy());
+  });
+
+  function createSlider(options = {}, { slideCount = 3, attributes = '' } = {}) {
+    document.body.insertAdjacentHTML('beforeend', renderSlider(slideCount, attributes));
+    const slider = new Slider(document.body.lastElementChild, options);
+    sliders.push(slider);
+    return slider;
+  }
+
+  // Ends the running slide transition without waiting for it
+  function finishTransition(slider) {
+    const transitionEnd = new Event('transitionend');
+    transitionEnd.propertyName = 'transform';
+    slider.track.dispatchEvent(transitionEnd);
+    slider.isAnimating = false;
+  }
+
+  describe('Navigation', () => {
+    it('should render one indicator per slide with the first one active', () => {
+      const slider = createSlider();
+
+      const indicators = slider.root.querySelectorAll('.indicator');
+      expect(slider.slideCount).toBe(3);
+      expect(indicators).toHaveLength(3);
+      expect(indicators[0].classList.contains('active')).toBe(true);
+      expect(indicators[0].getAttribute('aria-current')).toBe('true');
+    });
+
+    it('should move with the previous/next buttons', () => {
+      const slider = createSlider();
+
+      slider.root.querySelector('.slider-btn-next').click();
+      expect(slider.currentIndex).toBe(1);
+
+      finishTransition(slider);
+      slider.root.querySelector('.slider-btn-prev').click();
+      expect(slider.currentIndex).toBe(0);
+    });
+
+    it('should go to the slide of a clicked indicator', () => {
+      const slider = createSlider();
+
+      slider.root.querySelectorAll('.indicator')[2].click();
+
+      // One leading loop clone sits before the first slide
+      expect(slider.currentIndex).toBe(2);
+      expect(slider.track.style.transform).toBe('translateX(-300%)');
+      expect(slider.root.querySelectorAll('.indicator')[2].classList.contains('active')).toBe(true);
+    });
+
+    it('should move with the arrow, Home and End keys', () => {
+      const slider = createSlider();
+      const press = (key) => slider.container.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+      press('End');
+      expect(slider.currentIndex).toBe(2);
+      finishTransition(slider);
+
+      press('Home');
+      expect(slider.currentIndex).toBe(0);
+      finishTransition(slider);
+
+      press('ArrowRight');
+      expect(slider.currentIndex).toBe(1);
+    });
+
+    it('should ignore navigation while a transition is running unless forced', () => {
+      const slider = createSlider();
+
+      slider.next();
+      slider.next();
+      expect(slider.currentIndex).toBe(1);
+
+      slider.goTo(0, { force: true });
+      expect(slider.currentIndex).toBe(0);
+    });
+
+    it('should let beforeJump hold a jump until its promise settles', async () => {
+      let finish;
+      const beforeJump = vi.fn(() => new Promise(resolve => { finish = resolve; }));
+      const slider = createSlider({ beforeJump }, { slideCount: 5 });
+
+      slider.next();
+      finishTransition(slider);
+      expect(beforeJump).not.toHaveBeenCalled();
+
+      slider.goTo(4);
+      expect(beforeJump).toHaveBeenCalledWith(4);
+      expect(slider.currentIndex).toBe(1);
+
+      finish();
+      await Promise.resolve();
+      expect(slider.currentIndex).toBe(4);
+    });
+
+    it('should drop a held jump once another move has left its slide', async () => {
+      let finish;
+      const slider = createSlider({
+        beforeJump: () => new Promise(resolve => { finish = resolve; })
+      }, { slideCount: 5 });
+
+      slider.goTo(3);
+      slider.next();
+      finishTransition(slider);
+
+      finish();
+      await Promise.resolve();
+      expect(slider.currentIndex).toBe(1);
+    });
+
+    it('should pick up slides added after it was created', () => {
+      const slider = createSlider({}, { slideCount: 0 });
+      expect(slider.slideCount).toBe(0);
+
+      slider.track.innerHTML = '<div class="slide"></div><div class="slide"></div>';
+      slider.refresh();
+
+      expect(slider.slideCount).toBe(2);
+      expect(slider.root.querySelectorAll('.indicator')).toHaveLength(2);
+    });
+
+    it('should answer [ and ] anywhere once its shortcuts are registered, until destroyed', () => {
+      const KeyboardShortcuts = require('../js/keyboard-shortcuts.js');
+      const shortcuts = new KeyboardShortcuts();
+      const slider = createSlider();
+      const press = (key) => document.body.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+
+      slider.registerShortcuts(shortcuts, 'Portfolio');
+      expect(shortcuts.getBindings()).toEqual([
+        { keys: '[', description: 'Previous slide', group: 'Portfolio' },
+        { keys: ']', description: 'Next slide', group: 'Portfolio' }
+      ]);
+
+      press(']');
+      expect(slider.currentIndex).toBe(1);
+      finishTransition(slider);
+
+      press('[');
+      expect(slider.currentIndex).toBe(0);
+
+      slider.destroy();
+      expect(shortcuts.getBindings()).toEqual([]);
+      shortcuts.destroy();
+    });
+  });
+
+  describe('Accessibility', () => {
+    it('should describe the container and slides as a carousel', () => {
+      const slider = createSlider({ labels: { region: 'Client work' } });
+
+      expect(slider.container.getAttribute('role')).toBe('region');
+      expect(slider.container.getAttribute('aria-roledescription')).toBe('carousel');
+      expect(slider.container.getAttribute('aria-label')).toBe('Client work');
+
+      slider.slides.forEach((slide, index) => {
+        expect(slide.getAttribute('role')).toBe('group');
+        expect(slide.getAttribute('aria-roledescription')).toBe('slide');
+        expect(slide.getAttribute('aria-label')).toBe(`${index + 1} of 3`);
+      });
+      expect(slider.root.querySelector('.slider-btn-next').getAttribute('aria-controls')).toBe(slider.track.id);
+    });
+
+    it('should make only the visible slides available to assistive technology', () => {
+      const slider = createSlider();
+
+      let [first, second, third] = slider.slides;
+      expect(first.hasAttribute('inert')).toBe(false);
+      expect(second.hasAttribute('inert')).toBe(true);
+      expect(third.getAttribute('aria-hidden')).toBe('true');
+
+      slider.next();
+      [first, second] = slider.slides;
+      expect(first.hasAttribute('inert')).toBe(true);
+      expect(second.hasAttribute('inert')).toBe(false);
+      expect(second.getAttribute('aria-hidden')).toBe('false');
+    });
+
+    it('should announce manual slide changes in a polite live region', () => {
+      const slider = createSlider();
+      const status = slider.container.querySelector('.slider-status');
+
+      expect(status.getAttribute('aria-live')).toBe('polite');
+      expect(status.textContent).toBe('');
+
+      slider.root.querySelector('.slider-btn-next').click();
+      expect(status.textContent).toBe('Slide 2 of 3');
+    });
+
+    it('should not announce slides changed by autoplay', () => {
+      const slider = createSlider();
+      const status = slider.container.querySelector('.slider-status');
+
+      slider.next({ trigger: 'autoplay' });
+
+      expect(status.textContent).toBe('');
+    });
+
+    it('should keep only the active indicator in the tab order', () => {
+      const slider = createSlider();
+      slider.goTo(1);
+
+      const tabIndexes = Array.from(slider.root.querySelectorAll('.indicator')).map(indicator => indicator.tabIndex);
+      expect(tabIndexes).toEqual([-1, 0, -1]);
+    });
+
+    it('should move focus and the slide across indicators with the arrow keys', () => {
+      const slider = createSlider();
+      const onContainerKey = vi.spyOn(slider, 'next');
+      const indicators = () => slider.root.querySelectorAll('.indicator');
+      const press = (key) => document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+
+      indicators()[0].focus();
+      press('ArrowRight');
+      expect(slider.currentIndex).toBe(1);
+      expect(document.activeElement).toBe(indicators()[1]);
+      expect(indicators()[1].tabIndex).toBe(0);
+
+      // Moves straight on, even while the previous slide is still animating
+      press('End');
+      expect(slider.currentIndex).toBe(2);
+      press('ArrowRight');
+      expect(slider.currentIndex).toBe(0);
+      expect(document.activeElement).toBe(indicators()[0]);
+
+      // The container's own arrow-key handling stays out of the way
+      expect(onContainerKey).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Events', () => {
+    it('should emit slidechange with the new index and what triggered it', () => {
+      const slider = createSlider();
+      const onChange = vi.fn();
+      slider.root.addEventListener('slidechange', onChange);
+
+      slider.root.querySelector('.slider-btn-next').click();
+      finishTransition(slider);
+      slider.goTo(0);
+
+      expect(onChange).toHaveBeenCalledTimes(2);
+      expect(onChange.mock.calls[0][0].detail).toEqual({ index: 1, previousIndex: 0, direction: 1, trigger: 'button' });
+      expect(onChange.mock.calls[1][0].detail).toEqual({ index: 0, previousIndex: 1, direction: -1, trigger: 'api' });
+    });
+
+    it('should report the direction of travel when looping wraps around', () => {
+      const slider = createSlider();
+      const onChange = vi.fn();
+      slider.root.addEventListener('slidechange', onChange);
+
+      slider.prev();
+      finishTransition(slider);
+      slider.next();
+
+      expect(onChange.mock.calls[0][0].detail).toMatchObject({ index: 2, previousIndex: 0, direction: -1 });
+      expect(onChange.mock.calls[1][0].detail).toMatchObject({ index: 0, previousIndex: 2, direction: 1 });
+    });
+
+    it('should emit slidestart with the same detail before the track moves', () => {
+      const slider = createSlider();
+      const transforms = [];
+      slider.root.addEventListener('slidestart', (e) => transforms.push([e.detail, slider.track.style.transform]));
+
+      slider.goTo(2, { trigger: 'thumbnail' });
+
+      expect(transforms).toEqual([
+        [{ index: 2, previousIndex: 0, direction: 1, trigger: 'thumbnail' }, 'translateX(-100%)']
+      ]);
+      expect(slider.track.style.transform).toBe('translateX(-300%)');
+    });
+
+    it('should not emit slidechange when going to the current slide', () => {
+      const slider = createSlider();
+      const onChange = vi.fn();
+      slider.root.addEventListener('slidechange', onChange);
+
+      slider.goTo(0);
+
+      expect(onChange).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Multiple instances', () => {
+    it('should keep state, controls and events separate per root', () => {
+      const first = createSlider();
+      const second = createSlider({}, { slideCount: 4 });
+      const onSecondChange = vi.fn();
+      second.root.addEventListener('slidechange', onSecondChange);
+
+      first.root.querySelector('.slider-btn-next').click();
+
+      expect(first.currentIndex).toBe(1);
+      expect(second.currentIndex).toBe(0);
+      expect(onSecondChange).not.toHaveBeenCalled();
+      expect(second.root.querySelectorAll('.indicator')).toHaveLength(4);
+    });
+
+    it('should take options per instance, with data attributes winning', () => {
+      window.innerWidth = 1400;
+      const first = createSlider({ slidesPerView: { 0: 1, 1200: 3 } }, { slideCount: 5 });
+      const second = createSlider({ slidesPerView: 3, loop: true }, { slideCount: 5, attributes: 'data-slides-per-view="2" data-loop="false"' });
+
+      expect(first.slidesPerView).toBe(3);
+      expect(first.isLoopEnabled()).toBe(true);
+      expect(second.slidesPerView).toBe(2);
+      expect(second.isLoopEnabled()).toBe(false);
+    });
+
+    it('should stop responding and remove what it rendered once destroyed', () => {
+      const slider = createSlider({ autoplay: 3000 });
+      const root = slider.root;
+
+      slider.destroy();
+      root.querySelector('.slider-btn-next').click();
+
+      expect(slider.currentIndex).toBe(0);
+      expect(root.querySelectorAll('.slide-clone, .indicator, .slider-progress, .slider-autoplay-toggle')).toHaveLength(0);
+    });
+
+    it('should require a track inside the root', () => {
+      document.body.innerHTML = '<div class="empty-slider"></div>';
+
+      expect(() => new Slider(document.querySelector('.empty-slider'))).toThrow(/slider-track/);
+    });
+  });
+
+  describe('Infinite loop', () => {
+    it('should surround the slides with inert, hidden clones of the opposite edge', () => {
+      const slider = createSlider();
+
+      const slides = slider.track.querySelectorAll('.slide');
+      const first = slides[0];
+      const last = slides[slides.length - 1];
+
+      expect(slides).toHaveLength(5);
+      expect(slider.slides).toHaveLength(3);
+      expect(first.classList.contains('slide-clone')).toBe(true);
+      expect(first.querySelector('img').getAttribute('src')).toBe('Source/3.png');
+      expect(last.classList.contains('slide-clone')).toBe(true);
+      expect(last.querySelector('img').getAttribute('src')).toBe('Source/1.png');
+      expect(first.getAttribute('aria-hidden')).toBe('true');
+      expect(first.hasAttribute('inert')).toBe(true);
+    });
+
+    it('should hand visibility to the clones on screen while wrapping, and back once it lands', () => {
+      const slider = createSlider();
+      slider.goTo(2);
+      finishTransition(slider);
+
+      slider.next();
+      const trailingClone = slider.track.lastElementChild;
+      const [first] = slider.slides;
+      expect(trailingClone.hasAttribute('inert')).toBe(false);
+      expect(trailingClone.getAttribute('aria-hidden')).toBe('false');
+      expect(first.hasAttribute('inert')).toBe(true);
+
+      finishTransition(slider);
+      expect(trailingClone.hasAttribute('inert')).toBe(true);
+      expect(first.hasAttribute('inert')).toBe(false);
+      expect(first.getAttribute('aria-hidden')).toBe('false');
+    });
+
+    it('should play the video that is on screen, clone or not', () => {
+      const play = vi.spyOn(HTMLMediaElement.prototype, 'play').mockImplementation(function () {
+        Object.defineProperty(this, 'paused', { value: false, configurable: true });
+        return Promise.resolve();
+      });
+      const pause = vi.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(function () {
+        Object.defineProperty(this, 'paused', { value: true, configurable: true });
+      });
+
+      const slider = createSlider();
+      slider.slides[0].innerHTML = '<video muted loop></video>';
+      slider.refresh();
+      const realVideo = slider.slides[0].querySelector('video');
+      expect(realVideo.paused).toBe(false);
+
+      slider.goTo(2);
+      finishTransition(slider);
+      expect(realVideo.paused).toBe(true);
+
+      slider.next();
+      expect(slider.track.lastElementChild.querySelector('video').paused).toBe(false);
+      expect(realVideo.paused).toBe(true);
+
+      finishTransition(slider);
+      expect(slider.track.lastElementChild.querySelector('video').paused).toBe(true);
+      expect(realVideo.paused).toBe(false);
+
+      play.mockRestore();
+      pause.mockRestore();
+    });
+
+    it('should animate one step onto the trailing clone and then jump to the first slide', () => {
+      const slider = createSlider();
+      slider.goTo(2);
+      finishTransition(slider);
+
+      slider.next();
+      expect(slider.currentIndex).toBe(0);
+      expect(slider.track.style.transform).toBe('translateX(-400%)');
+      expect(slider.root.querySelectorAll('.indicator')[0].classList.contains('active')).toBe(true);
+
+      finishTransition(slider);
+
+      expect(slider.track.style.transform).toBe('translateX(-100%)');
+      expect(slider.track.style.transition).toBe('');
+    });
+
+    it('should animate one step back onto the leading clone from the first slide', () => {
+      const slider = createSlider();
+
+      slider.prev();
+      expect(slider.currentIndex).toBe(2);
+      expect(slider.track.style.transform).toBe('translateX(0%)');
+
+      slider.normalizeTrackPosition();
+      expect(slider.track.style.transform).toBe('translateX(-300%)');
+    });
+
+    it('should rewind instead of looping with data-loop="false"', () => {
+      const slider = createSlider({}, { attributes: 'data-loop="false"' });
+      slider.goTo(2);
+      finishTransition(slider);
+
+      slider.next();
+
+      expect(slider.currentIndex).toBe(0);
+      expect(slider.track.querySelectorAll('.slide-clone')).toHaveLength(0);
+      expect(slider.track.style.transform).toBe('translateX(0%)');
+    });
+  });
+
+  describe('Responsive slides per view', () => {
+    const breakpoints = { 0: 1, 768: 2, 1200: 3 };
+
+    it('should show more slides per view on wider screens', () => {
+      window.innerWidth = 800;
+      const tablet = createSlider({ slidesPerView: breakpoints }, { slideCount: 5 });
+      expect(tablet.slidesPerView).toBe(2);
+
+      window.innerWidth = 1400;
+      const desktop = createSlider({ slidesPerView: breakpoints }, { slideCount: 5 });
+      expect(desktop.slidesPerView).toBe(3);
+      expect(desktop.root.style.getPropertyValue('--slides-per-view')).toBe('3');
+    });
+
+    it('should never show more slides per view than there are', () => {
+      window.innerWidth = 1400;
+      const slider = createSlider({ slidesPerView: breakpoints }, { slideCount: 2 });
+
+      expect(slider.slidesPerView).toBe(2);
+      expect(slider.isLoopEnabled()).toBe(false);
+    });
+
+    it('should render one indicator per reachable position', () => {
+      window.innerWidth = 1400;
+      const looping = createSlider({ slidesPerView: breakpoints }, { slideCount: 5 });
+      const rewinding = createSlider({ slidesPerView: breakpoints, loop: false }, { slideCount: 5 });
+
+      expect(looping.root.querySelectorAll('.indicator')).toHaveLength(3);
+      expect(rewinding.root.querySelectorAll('.indicator')).toHaveLength(3);
+    });
+
+    it('should come to rest on real slides only, with the clones on screen just while wrapping', () => {
+      window.innerWidth = 1400;
+      const slider = createSlider({ slidesPerView: breakpoints }, { slideCount: 5 });
+
+      slider.goTo(4);
+      finishTransition(slider);
+      expect(slider.currentIndex).toBe(2);
+      expect(slider.track.style.transform).toBe(`translateX(${-5 * (100 / 3)}%)`);
+
+      // A full view forward onto the clones of slides 1-3, then back onto the real ones
+      slider.next();
+      expect(slider.currentIndex).toBe(0);
+      expect(slider.track.style.transform).toBe(`translateX(${-8 * (100 / 3)}%)`);
+      finishTransition(slider);
+      expect(slider.track.style.transform).toBe(`translateX(${-3 * (100 / 3)}%)`);
+
+      slider.prev();
+      expect(slider.currentIndex).toBe(2);
+      expect(slider.track.style.transform).toBe('translateX(0%)');
+      finishTransition(slider);
+      expect(slider.track.style.transform).toBe(`translateX(${-5 * (100 / 3)}%)`);
+    });
+
+    it('should translate by one slide width past the leading clones', () => {
+      window.innerWidth = 1400;
+      const slider = createSlider({ slidesPerView: breakpoints }, { slideCount: 5 });
+
+      slider.next();
+      expect(slider.track.style.transform).toBe(`translateX(${-4 * 100 / 3}%)`);
+    });
+
+    it('should stop at the last full view when not looping', () => {
+      window.innerWidth = 1400;
+      const slider = createSlider({ slidesPerView: breakpoints, loop: false }, { slideCount: 5 });
+
+      slider.goTo(4);
+      expect(slider.currentIndex).toBe(2);
+    });
+
+    it('should recalculate the layout on resize and keep the position in range', () => {
+      const slider = createSlider({ slidesPerView: breakpoints, loop: false }, { slideCount: 5 });
+      const onChange = vi.fn();
+      slider.goTo(4);
+      finishTransition(slider);
+      slider.root.addEventListener('slidechange', onChange);
+
+      window.innerWidth = 1400;
+      window.dispatchEvent(new Event('resize'));
+
+      expect(slider.slidesPerView).toBe(3);
+      expect(slider.currentIndex).toBe(2);
+      expect(slider.root.querySelectorAll('.indicator')).toHaveLength(3);
+      expect(slider.root.querySelectorAll('.indicator')[2].classList.contains('active')).toBe(true);
+      expect(onChange.mock.calls[0][0].detail.trigger).toBe('layout');
+    });
+
+    it('should rebuild the loop clones for the new slides-per-view on resize', () => {
+      const slider = createSlider({ slidesPerView: breakpoints }, { slideCount: 5 });
+      expect(slider.track.querySelectorAll('.slide-clone')).toHaveLength(2);
+
+      window.innerWidth = 1400;
+      window.dispatchEvent(new Event('resize'));
+
+      expect(slider.track.querySelectorAll('.slide-clone')).toHaveLength(6);
+    });
+
+    it('should read breakpoints from data-slides-per-view', () => {
+      window.innerWidth = 1400;
+      const slider = createSlider({ slidesPerView: breakpoints }, {
+        slideCount: 5,
+        attributes: `data-slides-per-view='{"0":2,"1000":4}'`
+      });
+
+      expect(slider.slidesPerView).toBe(4);
+    });
+  });
+
+  describe('Swipe gestures', () => {
+    let now;
+
+    function pointer(slider, type, clientX, pointerType = 'touch') {
+      slider.container.dispatchEvent(new PointerEvent(type, {
+        pointerId: 1, pointerType, isPrimary: true, clientX, clientY: 100, bubbles: true, cancelable: true
+      }));
+    }
+
+    // Drags across the 400px-wide slider, moving `distance` px over `duration` ms
+    function swipe(slider, distance, duration, pointerType = 'touch') {
+      const steps = 4;
+
+      pointer(slider, 'pointerdown', 200, pointerType);
+      for (let i = 1; i <= steps; i++) {
+        now += duration / steps;
+        pointer(slider, 'pointermove', 200 + (distance * i) / steps, pointerType);
+      }
+      pointer(slider, 'pointerup', 200 + distance, pointerType);
+    }
+
+    beforeEach(() => {
+      now = 0;
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      performance.now.mockRestore();
+    });
+
+    function createSwipeSlider(options) {
+      const slider = createSlider(options);
+      Object.defineProperty(slider.container, 'offsetWidth', { value: 400 });
+      return slider;
+    }
+
+    it('should snap back after a short, slow drag', () => {
+      const slider = createSwipeSlider();
+
+      swipe(slider, -30, 600);
+
+      expect(slider.currentIndex).toBe(0);
+      expect(slider.track.style.transform).toBe('translateX(-100%)');
+    });
+
+    it.each(['touch', 'pen', 'mouse'])('should turn one slide after a deliberate %s drag', (pointerType) => {
+      const slider = createSwipeSlider();
+
+      swipe(slider, -120, 600, pointerType);
+
+      expect(slider.currentIndex).toBe(1);
+    });
+
+    it('should skip further on a fast flick than on a slow drag of the same distance', () => {
+      const slider = createSwipeSlider();
+
+      // 3 px/ms adds 600px of momentum to the 300px drag
+      swipe(slider, -300, 100);
+
+      expect(slider.currentIndex).toBe(2);
+      expect(slider.track.style.transform).toBe('translateX(-300%)');
+    });
+
+    it('should swipe back through the leading clone when looping', () => {
+      const slider = createSwipeSlider();
+
+      swipe(slider, 120, 600);
+
+      expect(slider.currentIndex).toBe(2);
+      expect(slider.track.style.transform).toBe('translateX(0%)');
+    });
+
+    it('should rubber-band instead of following the pointer past the ends', () => {
+      const slider = createSwipeSlider({ loop: false });
+
+      pointer(slider, 'pointerdown', 0);
+      now += 500;
+      pointer(slider, 'pointermove', 400);
+
+      const offset = parseFloat(slider.track.style.transform.match(/-?[\d.]+/)[0]);
+      expect(offset).toBeGreaterThan(0);
+      expect(offset).toBeLessThan(50);
+
+      now += 500;
+      pointer(slider, 'pointerup', 400);
+      expect(slider.currentIndex).toBe(0);
+      expect(slider.track.style.transform).toBe('translateX(0%)');
+    });
+
+    it('should emit dragstart and dragend around a swipe', () => {
+      const slider = createSwipeSlider();
+      const onDragStart = vi.fn();
+      const onDragEnd = vi.fn();
+      const onChange = vi.fn();
+      slider.root.addEventListener('dragstart', onDragStart);
+      slider.root.addEventListener('dragend', onDragEnd);
+      slider.root.addEventListener('slidechange', onChange);
+
+      swipe(slider, -120, 600);
+
+      expect(onDragStart).toHaveBeenCalledTimes(1);
+      expect(onDragEnd.mock.calls[0][0].detail).toMatchObject({ index: 1, previousIndex: 0, deltaX: -120 });
+      expect(onChange.mock.calls[0][0].detail.trigger).toBe('swipe');
+    });
+  });
+
+  describe('Autoplay', () => {
+    let frames;
+    let nextFrameId;
+    let now;
+    let originalRequestAnimationFrame;
+    let originalCancelAnimationFrame;
+
+    // Runs the queued animation frames at the given timestamp
+    function runFrame(time) {
+      now = time;
+      const callbacks = Array.from(frames.values());
+      frames.clear();
+      callbacks.forEach(callback => callback());
+    }
+
+    function createAutoplaySlider() {
+      return createSlider({}, { attributes: 'data-autoplay="3000"' });
+    }
+
+    beforeEach(() => {
+      frames = new Map();
+      nextFrameId = 1;
+      now = 0;
+      originalRequestAnimationFrame = global.requestAnimationFrame;
+      originalCancelAnimationFrame = global.cancelAnimationFrame;
+      global.requestAnimationFrame = (callback) => {
+        frames.set(nextFrameId, callback);
+        return nextFrameId++;
+      };
+      global.cancelAnimationFrame = (id) => frames.delete(id);
+      vi.spyOn(performance, 'now').mockImplementation(() => now);
+    });
+
+    afterEach(() => {
+      global.requestAnimationFrame = originalRequestAnimationFrame;
+      global.cancelAnimationFrame = originalCancelAnimationFrame;
+      performance.now.mockRestore();
+      window.matchMedia = undefined;
+      Object.defineProperty(document, 'hidden', { value: false, configurable: true });
+    });
+
+    it('should render a progress bar and a pause control', () => {
+      const slider = createAutoplaySlider();
+
+      expect(slider.container.querySelector('.slider-progress-bar')).toBeTruthy();
+      const toggle = slider.container.querySelector('.slider-autoplay-toggle');
+      expect(toggle.getAttribute('aria-label')).toBe('Pause slideshow');
+      expect(toggle.getAttribute('aria-pressed')).toBe('false');
+    });
+
+    it('should advance to the next slide once the interval has elapsed', () => {
+      const slider = createAutoplaySlider();
+      const onChange = vi.fn();
+      slider.root.addEventListener('slidechange', onChange);
+
+      runFrame(0);
+      runFrame(1500);
+      expect(slider.currentIndex).toBe(0);
+      expect(slider.container.querySelector('.slider-progress-bar').style.transform).toBe('scaleX(0.5)');
+
+      runFrame(3000);
+      expect(slider.currentIndex).toBe(1);
+      expect(slider.root.querySelectorAll('.indicator')[1].classList.contains('active')).toBe(true);
+      expect(onChange.mock.calls[0][0].detail.trigger).toBe('autoplay');
+    });
+
+    it('should wait for a running transition instead of skipping it', () => {
+      const slider = createAutoplaySlider();
+      slider.isAnimating = true;
+
+      runFrame(0);
+      runFrame(3000);
+      expect(slider.currentIndex).toBe(0);
+
+      slider.isAnimating = false;
+      runFrame(3016);
+      expect(slider.currentIndex).toBe(1);
+    });
+
+    it('should pause while the slider is hovered and resume where it left off', () => {
+      const slider = createAutoplaySlider();
+      const container = slider.container;
+
+      runFrame(0);
+      runFrame(2000);
+      container.dispatchEvent(new MouseEvent('mouseenter'));
+      expect(container.classList.contains('autoplay-paused')).toBe(true);
+
+      runFrame(10000);
+      expect(slider.currentIndex).toBe(0);
+
+      container.dispatchEvent(new MouseEvent('mouseleave'));
+      runFrame(10000);
+      runFrame(10999);
+      expect(slider.currentIndex).toBe(0);
+      runFrame(11000);
+      expect(slider.currentIndex).toBe(1);
+    });
+
+    it('should pause while the tab is hidden', () => {
+      const slider = createAutoplaySlider();
+
+      runFrame(0);
+      Object.defineProperty(document, 'hidden', { value: true, configurable: true });
+      document.dispatchEvent(new Event('visibilitychange'));
+
+      runFrame(5000);
+      expect(slider.currentIndex).toBe(0);
+      expect(slider.autoplay.pauseReasons.has('hidden')).toBe(true);
+    });
+
+    it('should stay paused after the pause control is pressed', () => {
+      const slider = createAutoplaySlider();
+      const toggle = slider.container.querySelector('.slider-autoplay-toggle');
+
+      toggle.click();
+      runFrame(0);
+      runFrame(5000);
+
+      expect(slider.currentIndex).toBe(0);
+      expect(toggle.getAttribute('aria-pressed')).toBe('true');
+      expect(toggle.getAttribute('aria-label')).toBe('Start slideshow');
+    });
+
+    it('should stay paused until every pause reason is resumed', () => {
+      const slider = createAutoplaySlider();
+
+      slider.pause('lightbox');
+      slider.pause('user');
+      slider.resume('lightbox');
+      runFrame(0);
+      runFrame(5000);
+      expect(slider.currentIndex).toBe(0);
+
+      slider.resume('user');
+      runFrame(5000);
+      runFrame(8000);
+      expect(slider.currentIndex).toBe(1);
+    });
+
+    it('should be disabled when reduced motion is preferred', () => {
+      window.matchMedia = vi.fn().mockReturnValue({ matches: true, addEventListener: vi.fn(), removeEventListener: vi.fn() });
+      const slider = createAutoplaySlider();
+
+      runFrame(0);
+      runFrame(5000);
+
+      expect(slider.currentIndex).toBe(0);
+      expect(frames.size).toBe(0);
+      expect(slider.container.querySelector('.slider-autoplay-toggle').hidden).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/**
+ * Unit Tests for the Swipe Gesture Recognizer
+ * Tests axis locking, release velocity, input types and click suppression
+ */
+
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { createRequire } from 'module';
+
+const require = createRequire(import.meta.url);
+
+describe('SwipeGesture', () => {
+  let SwipeGesture;
+  let element;
+  let gesture;
+  let callbacks;
+  let now;
+
+  function pointer(type, clientX, clientY = 0, options = {}) {
+    const event = new PointerEvent(type, {
+      pointerId: 1,
+      pointerType: 'touch',
+      isPrimary: true,
+      clientX,
+      clientY,
+      bubbles: true,
+      cancelable: true,
+      ...options
+    });
+    element.dispatchEvent(event);
+    return event;
+  }
+
+  // Moves the pointer after the given number of milliseconds
+  function moveAfter(ms, clientX, clientY = 0, options = {}) {
+    now += ms;
+    return pointer('pointermove', clientX, clientY, options);
+  }
+
+  beforeAll(() => {
+    SwipeGesture = require('../js/swipe-gesture.js');
+  });
+
+  beforeEach(() => {
+    now = 1000;
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+
+    document.body.innerHTML = '<div class="slider-container"><button class="slide">Slide</button></div>';
+    element = document.querySelector('.slider-container');
+
+    callbacks = { onStart: vi.fn(), onMove: vi.fn(), onEnd: vi.fn() };
+    gesture = new SwipeGesture(element, callbacks);
+  });
+
+  afterEach(() => {
+    gesture.destroy();
+    vi.restoreAllMocks();
+  });
+
+  describe('Axis locking', () => {
+    it('should start a drag once the pointer moves sideways past the threshold', () => {
+      pointer('pointerdown', 200);
+      moveAfter(16, 205);
+      expect(callbacks.onStart).not.toHaveBeenCalled();
+
+      const move = moveAfter(16, 170, 4);
+
+      expect(callbacks.onStart).toHaveBeenCalledTimes(1);
+      expect(callbacks.onMove).toHaveBeenLastCalledWith(expect.objectContaining({ deltaX: -30 }));
+      expect(move.defaultPrevented).toBe(true);
+      expect(gesture.isDragging).toBe(true);
+    });
+
+    it('should leave mostly vertical movement to the page scroll', () => {
+      pointer('pointerdown', 200, 100);
+      const move = moveAfter(16, 190, 140);
+      moveAfter(16, 120, 160);
+      pointer('pointerup', 120, 160);
+
+      expect(move.defaultPrevented).toBe(false);
+      expect(callbacks.onStart).not.toHaveBeenCalled();
+      expect(callbacks.onEnd).not.toHaveBeenCalled();
+    });
+
+    it('should let the browser keep vertical panning', () => {
+      expect(element.style.touchAction).toBe('pan-y pinch-zoom');
+    });
+
+    it('should swipe vertically and leave sideways pans to the browser with axis: y', () => {
+      gesture.destroy();
+      gesture = new SwipeGesture(element, { ...callbacks, axis: 'y' });
+      expect(element.style.touchAction).toBe('pan-x pinch-zoom');
+
+      pointer('pointerdown', 100, 200);
+      moveAfter(16, 140, 205);
+      pointer('pointerup', 140, 205);
+      expect(callbacks.onStart).not.toHaveBeenCalled();
+
+      pointer('pointerdown', 100, 400);
+      moveAfter(16, 103, 360);
+      moveAfter(16, 104, 300);
+      pointer('pointerup', 104, 300);
+
+      expect(callbacks.onStart).toHaveBeenCalledTimes(1);
+      expect(callbacks.onEnd).toHaveBeenCalledWith(expect.objectContaining({ deltaY: -100, cancelled: false }));
+      expect(callbacks.onEnd.mock.calls[0][0].velocityY).toBeLessThan(0);
+    });
+  });
+
+  describe('Velocity', () => {
+    it('should report the release velocity over the last part of the drag', () => {
+      pointer('pointerdown', 300);
+      moveAfter(200, 280);
+      moveAfter(200, 260);
+      moveAfter(20, 220);
+      now += 20;
+      pointer('pointerup', 180);
+
+      const { deltaX, velocityX } = callbacks.onEnd.mock.calls[0][0];
+      expect(deltaX).toBe(-120);
+      // Only the fast final 40ms count, not the slow start
+      expect(velocityX).toBeCloseTo(-2);
+    });
+
+    it('should report no velocity when the drag is cancelled', () => {
+      pointer('pointerdown', 300);
+      moveAfter(16, 250);
+      pointer('pointercancel', 250);
+
+      expect(callbacks.onEnd).toHaveBeenCalledWith(expect.objectContaining({ deltaX: -50, velocityX: 0, cancelled: true }));
+    });
+  });
+
+  describe('Input types', () => {
+    it.each(['mouse', 'pen', 'touch'])('should recognize %s drags the same way', (pointerType) => {
+      pointer('pointerdown', 300, 0, { pointerType });
+      moveAfter(16, 260, 0, { pointerType });
+      now += 16;
+      pointer('pointerup', 240, 0, { pointerType });
+
+      expect(callbacks.onEnd).toHaveBeenCalledWith(expect.objectContaining({ deltaX: -60, pointerType }));
+    });
+
+    it('should ignore secondary mouse buttons and extra pointers', () => {
+      pointer('pointerdown', 300, 0, { pointerType: 'mouse', button: 2 });
+      moveAfter(16, 200, 0, { pointerType: 'mouse', button: 2 });
+      expect(callbacks.onStart).not.toHaveBeenCalled();
+
+      pointer('pointerdown', 300);
+      pointer('pointerdown', 100, 0, { pointerId: 2, isPrimary: false });
+      moveAfter(16, 0, 0, { pointerId: 2, isPrimary: false });
+      expect(callbacks.onStart).not.toHaveBeenCalled();
+    });
+
+    it('should stop mouse text selection but still let a press focus a control', () => {
+      expect(pointer('pointerdown', 300, 0, { pointerType: 'mouse' }).defaultPrevented).toBe(true);
+      pointer('pointerup', 300, 0, { pointerType: 'mouse' });
+
+      const press = new PointerEvent('pointerdown', {
+        pointerId: 1, pointerType: 'mouse', isPrimary: true, clientX: 300, clientY: 0, bubbles: true, cancelable: true
+      });
+      element.querySelector('.slide').dispatchEvent(press);
+      expect(press.defaultPrevented).toBe(false);
+
+      // Dragging from the control still swipes
+      moveAfter(16, 240, 0, { pointerType: 'mouse' });
+      expect(callbacks.onStart).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Clicks', () => {
+    it('should swallow the click that ends a drag but not a plain tap', () => {
+      const onClick = vi.fn();
+      element.querySelector('.slide').addEventListener('click', onClick);
+
+      pointer('pointerdown', 300);
+      moveAfter(16, 200);
+      pointer('pointerup', 200);
+      element.querySelector('.slide').click();
+      expect(onClick).not.toHaveBeenCalled();
+
+      pointer('pointerdown', 300);
+      pointer('pointerup', 300);
+      element.querySelector('.slide').click();
+      expect(onClick).toHaveBeenCalledTimes(1);
+    });
+  });
+});